@@ -0,0 +1,196 @@
+/**
+ * Audio Format Conversion
+ * Helpers between the formats adapters deliver (16-bit PCM, stereo, 48 kHz)
+ * and what the pipeline expects (mono Float32Array at 16 kHz).
+ */
+
+/**
+ * Sample rate used by every model in the pipeline
+ */
+export const PIPELINE_SAMPLE_RATE = 16000;
+
+/**
+ * 16-bit little-endian PCM to float samples in [-1, 1)
+ * @param {Buffer} buffer - Must hold whole samples (even length)
+ * @returns {Float32Array}
+ */
+export function int16ToFloat32(buffer) {
+    const samples = new Float32Array(Math.floor(buffer.length / 2));
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = buffer.readInt16LE(i * 2) / 32768.0;
+    }
+    return samples;
+}
+
+/**
+ * Float samples to 16-bit little-endian PCM (clipped)
+ * @param {Float32Array} samples
+ * @returns {Buffer}
+ */
+export function float32ToInt16(samples) {
+    const buffer = Buffer.alloc(samples.length * 2);
+    for (let i = 0; i < samples.length; i++) {
+        const sample = Math.max(-1, Math.min(1, samples[i]));
+        buffer.writeInt16LE(Math.floor(sample * 32767), i * 2);
+    }
+    return buffer;
+}
+
+/**
+ * Average interleaved channels into one
+ * @param {Float32Array} samples - Interleaved frames
+ * @param {number} channels
+ * @returns {Float32Array}
+ */
+export function downmix(samples, channels) {
+    if (channels === 1) return samples;
+
+    const mono = new Float32Array(Math.floor(samples.length / channels));
+    for (let frame = 0; frame < mono.length; frame++) {
+        let sum = 0;
+        for (let channel = 0; channel < channels; channel++) {
+            sum += samples[frame * channels + channel];
+        }
+        mono[frame] = sum / channels;
+    }
+    return mono;
+}
+
+/**
+ * Duplicate a mono signal into interleaved channels
+ * @param {Float32Array} samples
+ * @param {number} channels
+ * @returns {Float32Array}
+ */
+export function upmix(samples, channels) {
+    if (channels === 1) return samples;
+
+    const interleaved = new Float32Array(samples.length * channels);
+    for (let i = 0; i < samples.length; i++) {
+        interleaved.fill(samples[i], i * channels, (i + 1) * channels);
+    }
+    return interleaved;
+}
+
+/**
+ * Streaming mono resampler
+ * Linear interpolation, with a windowed-sinc low-pass when downsampling so
+ * 48 kHz voice does not alias into the 16 kHz band. State carries over
+ * between chunks, so it can be fed packet by packet.
+ */
+export class Resampler {
+    /**
+     * @param {number} fromRate - Input sample rate
+     * @param {number} toRate - Output sample rate
+     */
+    constructor(fromRate, toRate) {
+        this.fromRate = fromRate;
+        this.toRate = toRate;
+        this.step = fromRate / toRate;
+
+        // Low-pass kernel (none when upsampling)
+        this.kernel = this.step > 1 ? lowPassKernel(0.9 / (2 * this.step), Math.ceil(this.step) * 8 + 1) : null;
+        this.history = new Float32Array(this.kernel ? this.kernel.length - 1 : 0);
+
+        // Last filtered sample of the previous chunk and read position relative to it
+        this.previous = null;
+        this.position = 0;
+    }
+
+    /**
+     * @param {Float32Array} input - Mono samples at fromRate
+     * @returns {Float32Array} Mono samples at toRate
+     */
+    process(input) {
+        if (this.fromRate === this.toRate) return input;
+
+        const filtered = this.lowPass(input);
+
+        // Prepend the carried sample so interpolation spans chunk boundaries
+        let samples = filtered;
+        if (this.previous !== null) {
+            samples = new Float32Array(filtered.length + 1);
+            samples[0] = this.previous;
+            samples.set(filtered, 1);
+        }
+        if (samples.length < 2) {
+            this.previous = samples.length ? samples[0] : this.previous;
+            return new Float32Array(0);
+        }
+
+        const last = samples.length - 1;
+        const output = new Float32Array(Math.max(0, Math.ceil((last - this.position) / this.step)));
+        let count = 0;
+        let position = this.position;
+
+        while (position < last && count < output.length) {
+            const index = Math.floor(position);
+            const frac = position - index;
+            output[count++] = samples[index] * (1 - frac) + samples[index + 1] * frac;
+            position += this.step;
+        }
+
+        this.position = position - last;
+        this.previous = samples[last];
+        return count === output.length ? output : output.subarray(0, count);
+    }
+
+    lowPass(input) {
+        if (!this.kernel) return input;
+
+        const taps = this.kernel.length;
+        const extended = new Float32Array(this.history.length + input.length);
+        extended.set(this.history);
+        extended.set(input, this.history.length);
+
+        const output = new Float32Array(input.length);
+        for (let i = 0; i < input.length; i++) {
+            let sum = 0;
+            for (let t = 0; t < taps; t++) {
+                sum += extended[i + t] * this.kernel[t];
+            }
+            output[i] = sum;
+        }
+
+        this.history = extended.slice(extended.length - this.history.length);
+        return output;
+    }
+
+    reset() {
+        this.history.fill(0);
+        this.previous = null;
+        this.position = 0;
+    }
+}
+
+/**
+ * Hamming-windowed sinc low-pass, normalized to unity gain
+ * @param {number} cutoff - Cutoff as a fraction of the input rate (0-0.5)
+ * @param {number} taps - Kernel length (odd)
+ */
+function lowPassKernel(cutoff, taps) {
+    const kernel = new Float32Array(taps);
+    const center = (taps - 1) / 2;
+    let sum = 0;
+
+    for (let i = 0; i < taps; i++) {
+        const x = i - center;
+        const sinc = x === 0 ? 2 * cutoff : Math.sin(2 * Math.PI * cutoff * x) / (Math.PI * x);
+        const window = 0.54 - 0.46 * Math.cos((2 * Math.PI * i) / (taps - 1));
+        kernel[i] = sinc * window;
+        sum += kernel[i];
+    }
+
+    return kernel.map((value) => value / sum);
+}
+
+/**
+ * Resample a complete mono signal
+ * @param {Float32Array} samples
+ * @param {number} fromRate
+ * @param {number} toRate
+ * @returns {Float32Array}
+ */
+export function resample(samples, fromRate, toRate) {
+    return new Resampler(fromRate, toRate).process(samples);
+}
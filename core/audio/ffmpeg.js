@@ -0,0 +1,32 @@
+/**
+ * FFmpeg Decoding
+ * Turns any container/codec FFmpeg understands (e.g. a YouTube stream) into
+ * raw s16le PCM for the AudioMixer. Needs `ffmpeg` on the PATH, like
+ * @discordjs/voice itself.
+ */
+
+import prism from 'prism-media';
+
+/**
+ * @param {import('stream').Readable} input - Encoded audio
+ * @param {Object} [options]
+ * @param {number} [options.sampleRate] - Output rate (default: 48000)
+ * @param {number} [options.channels] - Output channels (default: 2)
+ * @returns {import('stream').Readable} s16le PCM
+ */
+export function decodeToPcm(input, options = {}) {
+    const ffmpeg = new prism.FFmpeg({
+        args: [
+            '-analyzeduration', '0',
+            '-loglevel', '0',
+            '-f', 's16le',
+            '-ar', String(options.sampleRate || 48000),
+            '-ac', String(options.channels || 2),
+        ],
+    });
+
+    input.on('error', (error) => ffmpeg.destroy(error));
+    return input.pipe(ffmpeg);
+}
+
+export default decodeToPcm;
@@ -0,0 +1,17 @@
+/**
+ * Audio module exports
+ */
+
+export {
+    PIPELINE_SAMPLE_RATE,
+    int16ToFloat32,
+    float32ToInt16,
+    downmix,
+    upmix,
+    resample,
+    Resampler,
+} from './convert.js';
+export { PcmConverter } from './pcm-stream.js';
+export { decodeOpusStream, OPUS_SAMPLE_RATE, OPUS_CHANNELS, OPUS_FRAME_SIZE } from './opus.js';
+export { AudioMixer } from './mixer.js';
+export { decodeToPcm } from './ffmpeg.js';
@@ -0,0 +1,383 @@
+/**
+ * Audio Mixer
+ * One output per guild (or local device) carrying music and assistant speech
+ * at the same time. Music can be ducked or paused while the assistant is
+ * listening or talking, with a short gain ramp instead of a hard cut.
+ *
+ * The output is a pull-based stream of 16-bit interleaved PCM: it only
+ * produces frames while something is playing, at the pace the consumer
+ * (Discord AudioPlayer, local speaker) reads them. Consumers that give up on
+ * a silent stream (Discord's player stops after a few missed frames) can
+ * listen for 'active' and open a fresh one with createStream().
+ *
+ * Frames sit in buffers (stream, encoder, player queue) after they leave
+ * the mixer. A consumer that knows how much it has really played reports it
+ * with trackPlayback(), and speech clips then resolve only once the
+ * channel has played their last frame; without one they resolve when mixed.
+ */
+
+import { EventEmitter } from 'events';
+import { Readable } from 'stream';
+import { int16ToFloat32, float32ToInt16, resample, upmix } from './convert.js';
+
+// Pipeline states during which music stays ducked
+const DUCKED_STATES = ['recording', 'transcribing', 'processing', 'speaking', 'followUp'];
+
+export class AudioMixer extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {number} [options.sampleRate] - Output rate (default: 48000)
+     * @param {number} [options.channels] - Output channels (default: 2)
+     * @param {number} [options.frameMs] - Output frame length (default: 20)
+     * @param {number} [options.musicVolume] - Music gain (default: 1)
+     * @param {number} [options.speechVolume] - Speech gain (default: 1)
+     * @param {'duck'|'pause'} [options.duckMode] - Lower the music or pause it (default: duck)
+     * @param {number} [options.duckVolume] - Music gain while ducked, relative to musicVolume (default: 0.2)
+     * @param {number} [options.rampMs] - Duck/unduck fade time (default: 150)
+     * @param {boolean} [options.debug]
+     */
+    constructor(options = {}) {
+        super();
+
+        this.debug = options.debug || false;
+        this.sampleRate = options.sampleRate || 48000;
+        this.channels = options.channels || 2;
+        this.frameMs = options.frameMs || 20;
+        this.frameSamples = Math.floor(this.sampleRate * this.frameMs / 1000) * this.channels;
+        this.musicVolume = options.musicVolume ?? 1;
+        this.speechVolume = options.speechVolume ?? 1;
+        this.duckMode = options.duckMode || 'duck';
+        this.duckVolume = options.duckVolume ?? 0.2;
+        this.rampMs = options.rampMs ?? 150;
+
+        // Music: buffered s16le chunks from a PCM stream
+        this.music = null;
+        this.musicPaused = false;
+        this.musicGain = this.musicVolume;
+        this.isDucked = false;
+
+        // Speech: queued clips, already at the output format, and clips that
+        // are mixed out but still waiting for the consumer to play their end
+        this.speech = [];
+        this.playing = [];
+
+        this.output = null;
+        this.reading = false;
+        // Frames pushed into the current output, and how many the consumer has played
+        this.framesOut = 0;
+        this.playedFrames = null;
+    }
+
+    log(...args) {
+        if (this.debug) {
+            console.log('[Mixer]', ...args);
+        }
+    }
+
+    /**
+     * Open the output stream, ending the previous one
+     * @returns {Readable} s16le PCM at the mixer's rate and channels
+     */
+    createStream() {
+        this.output?.push(null);
+        this.reading = false;
+        // Whatever the old stream still held is played out or dropped with it
+        this.resolvePlayed(Infinity);
+        this.framesOut = 0;
+
+        const output = new Readable({
+            read: () => {
+                if (this.output !== output) return;
+                this.reading = true;
+                this.pump();
+            },
+        });
+        this.output = output;
+        return output;
+    }
+
+    /**
+     * Start music, replacing the current track
+     * @param {import('stream').Readable} pcmStream - s16le PCM at the mixer's rate and channels
+     */
+    playMusic(pcmStream) {
+        this.stopMusic();
+
+        const music = { stream: pcmStream, chunks: [], bytes: 0, ended: false };
+        const highWater = this.frameSamples * 2 * 50; // ~1 s
+
+        pcmStream.on('data', (chunk) => {
+            music.chunks.push(chunk);
+            music.bytes += chunk.length;
+            if (music.bytes > highWater) {
+                pcmStream.pause();
+            }
+            this.wake();
+        });
+        pcmStream.on('end', () => {
+            music.ended = true;
+            this.pump();
+        });
+        pcmStream.on('error', (error) => {
+            this.log('Music stream error:', error.message);
+            music.ended = true;
+            this.emit('musicError', error);
+            this.pump();
+        });
+
+        this.music = music;
+        this.musicPaused = false;
+        this.log('Music started');
+    }
+
+    stopMusic() {
+        if (!this.music) return;
+        this.music.stream.removeAllListeners('data');
+        this.music.stream.destroy?.();
+        this.music = null;
+        this.log('Music stopped');
+    }
+
+    pauseMusic() {
+        this.musicPaused = true;
+    }
+
+    resumeMusic() {
+        this.musicPaused = false;
+        this.wake();
+    }
+
+    /**
+     * @param {number} volume - 0..1
+     */
+    setMusicVolume(volume) {
+        this.musicVolume = Math.max(0, Math.min(1, volume));
+    }
+
+    get isMusicPlaying() {
+        return this.music !== null && !this.musicPaused;
+    }
+
+    /**
+     * Lower (or pause) the music while the assistant has the floor
+     */
+    duck() {
+        if (this.isDucked) return;
+        this.isDucked = true;
+        this.log('Ducking music');
+    }
+
+    unduck() {
+        if (!this.isDucked) return;
+        this.isDucked = false;
+        this.log('Restoring music');
+        this.wake();
+    }
+
+    /**
+     * Queue assistant speech
+     * @param {Float32Array} audio - Mono samples
+     * @param {number} sampleRate
+     * @returns {Promise<void>} Resolves once the clip has been played (see trackPlayback) or stopped
+     */
+    playSpeech(audio, sampleRate) {
+        const samples = upmix(resample(audio, sampleRate, this.sampleRate), this.channels);
+
+        return new Promise((resolve) => {
+            this.speech.push({ samples, offset: 0, resolve });
+            this.wake();
+        });
+    }
+
+    /**
+     * Drop queued and playing speech
+     */
+    stopSpeech() {
+        const clips = [...this.speech, ...this.playing];
+        this.speech = [];
+        this.playing = [];
+        clips.forEach((clip) => clip.resolve());
+    }
+
+    get isSpeaking() {
+        return this.speech.length > 0 || this.playing.length > 0;
+    }
+
+    /**
+     * Let the consumer say how far playback of the current output has got
+     * @param {(() => number)|null} playedFrames - Frames of the current stream played so far
+     *     (Infinity once it is done with it); null resolves clips as soon as they are mixed
+     */
+    trackPlayback(playedFrames) {
+        this.playedFrames = playedFrames;
+        this.updatePlayback();
+    }
+
+    /**
+     * Resolve the clips whose last frame has been played; consumers call this
+     * as playback moves on
+     */
+    updatePlayback() {
+        this.resolvePlayed(this.playedFrames ? this.playedFrames() : Infinity);
+    }
+
+    resolvePlayed(played) {
+        if (this.playing.length === 0) return;
+        const done = this.playing.filter((clip) => clip.endFrame <= played);
+        this.playing = this.playing.filter((clip) => clip.endFrame > played);
+        done.forEach((clip) => clip.resolve());
+    }
+
+    /**
+     * Follow a pipeline: duck on wake word and while it records, thinks and
+     * talks; restore when it goes back to listening
+     * @param {import('../pipeline.js').VoicePipeline} pipeline
+     * @returns {Function} Detaches the listeners
+     */
+    followPipeline(pipeline) {
+        const onWakeWord = () => this.duck();
+        const onStateChange = (state) => {
+            if (DUCKED_STATES.includes(state)) {
+                this.duck();
+            } else {
+                this.unduck();
+            }
+        };
+
+        pipeline.on('wakeWord', onWakeWord);
+        pipeline.on('stateChange', onStateChange);
+
+        return () => {
+            pipeline.off('wakeWord', onWakeWord);
+            pipeline.off('stateChange', onStateChange);
+        };
+    }
+
+    hasMusicFrame() {
+        if (!this.music || this.musicPaused) return false;
+        if (this.isDucked && this.duckMode === 'pause') return false;
+        return this.music.bytes >= this.frameSamples * 2 || (this.music.ended && this.music.bytes > 0);
+    }
+
+    /**
+     * New audio is available: tell consumers, then feed the output
+     */
+    wake() {
+        if (this.hasMusicFrame() || this.speech.length > 0) {
+            this.emit('active');
+        }
+        this.pump();
+    }
+
+    /**
+     * Push frames while the consumer wants them and there is something to play
+     */
+    pump() {
+        while (this.reading && this.output) {
+            if (this.music?.ended && this.music.bytes === 0) {
+                this.music = null;
+                this.log('Music ended');
+                this.emit('musicEnd');
+            }
+
+            const hasMusic = this.hasMusicFrame();
+            if (!hasMusic && this.speech.length === 0) return;
+
+            const frame = new Float32Array(this.frameSamples);
+            if (hasMusic) this.mixMusic(frame);
+            const finished = this.mixSpeech(frame);
+
+            this.reading = this.output.push(float32ToInt16(frame));
+            this.framesOut++;
+            for (const clip of finished) {
+                clip.endFrame = this.framesOut;
+                this.playing.push(clip);
+            }
+            if (finished.length > 0) this.updatePlayback();
+        }
+    }
+
+    mixMusic(frame) {
+        const music = this.music;
+        const bytes = Math.min(frame.length * 2, music.bytes);
+        const data = takeBytes(music, bytes);
+        const samples = int16ToFloat32(data);
+
+        // Ramp towards the target gain across frames
+        const target = this.isDucked ? this.musicVolume * this.duckVolume : this.musicVolume;
+        const frameMs = (frame.length / this.channels / this.sampleRate) * 1000;
+        const maxStep = this.rampMs > 0 ? (frameMs / this.rampMs) : 1;
+        const startGain = this.musicGain;
+        const delta = Math.max(-maxStep, Math.min(maxStep, target - startGain));
+
+        for (let i = 0; i < samples.length; i++) {
+            frame[i] += samples[i] * (startGain + (delta * i) / samples.length);
+        }
+        this.musicGain = startGain + delta;
+
+        // Let the source refill once the buffer runs low
+        if (music.bytes < frame.length * 2 * 10) {
+            music.stream.resume();
+        }
+    }
+
+    mixSpeech(frame) {
+        const finished = [];
+        let position = 0;
+
+        while (position < frame.length && this.speech.length > 0) {
+            const clip = this.speech[0];
+            const count = Math.min(frame.length - position, clip.samples.length - clip.offset);
+
+            for (let i = 0; i < count; i++) {
+                frame[position + i] += clip.samples[clip.offset + i] * this.speechVolume;
+            }
+            clip.offset += count;
+            position += count;
+
+            if (clip.offset >= clip.samples.length) {
+                finished.push(this.speech.shift());
+            }
+        }
+
+        return finished;
+    }
+
+    /**
+     * Stop everything and end the output stream
+     */
+    destroy() {
+        this.stopMusic();
+        this.stopSpeech();
+        this.output?.push(null);
+        this.output = null;
+        this.reading = false;
+        this.removeAllListeners();
+    }
+}
+
+/**
+ * Remove `bytes` from the front of a chunk queue
+ */
+function takeBytes(source, bytes) {
+    const out = Buffer.alloc(bytes);
+    let filled = 0;
+
+    while (filled < bytes) {
+        const chunk = source.chunks[0];
+        const count = Math.min(chunk.length, bytes - filled);
+        chunk.copy(out, filled, 0, count);
+        filled += count;
+
+        if (count === chunk.length) {
+            source.chunks.shift();
+        } else {
+            source.chunks[0] = chunk.subarray(count);
+        }
+    }
+
+    source.bytes -= bytes;
+    return out;
+}
+
+export default AudioMixer;
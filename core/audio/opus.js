@@ -0,0 +1,50 @@
+/**
+ * Opus Decoding
+ * Turns a stream of Opus packets (e.g. from a Discord voice receiver) into
+ * the pipeline's audio format, using prism-media with @discordjs/opus.
+ */
+
+import prism from 'prism-media';
+import { PcmConverter } from './pcm-stream.js';
+
+// Discord sends 20 ms stereo frames at 48 kHz
+export const OPUS_SAMPLE_RATE = 48000;
+export const OPUS_CHANNELS = 2;
+export const OPUS_FRAME_SIZE = 960;
+
+/**
+ * Decode an Opus packet stream into 16 kHz mono Float32Array chunks
+ * The returned stream can be passed to `pipeline.start()` as the audio source.
+ *
+ * @param {import('stream').Readable} opusStream - One Opus packet per chunk
+ * @param {Object} [options]
+ * @param {number} [options.channels] - Channels in the Opus stream (default: 2)
+ * @param {number} [options.targetRate] - Output sample rate (default: 16000)
+ * @returns {PcmConverter}
+ */
+export function decodeOpusStream(opusStream, options = {}) {
+    const channels = options.channels || OPUS_CHANNELS;
+
+    const decoder = new prism.opus.Decoder({
+        rate: OPUS_SAMPLE_RATE,
+        channels,
+        frameSize: OPUS_FRAME_SIZE,
+    });
+    const converter = new PcmConverter({
+        sampleRate: OPUS_SAMPLE_RATE,
+        channels,
+        targetRate: options.targetRate,
+    });
+
+    // A corrupt packet or a closed receiver should surface on the output stream
+    opusStream.on('error', (error) => converter.destroy(error));
+    decoder.on('error', (error) => converter.destroy(error));
+    converter.on('close', () => {
+        opusStream.unpipe?.(decoder);
+        decoder.destroy();
+    });
+
+    return opusStream.pipe(decoder).pipe(converter);
+}
+
+export default decodeOpusStream;
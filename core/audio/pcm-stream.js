@@ -0,0 +1,49 @@
+/**
+ * PCM Conversion Stream
+ * Transforms raw 16-bit PCM (any rate, any channel count) into the
+ * pipeline's mono Float32Array chunks at 16 kHz.
+ */
+
+import { Transform } from 'stream';
+import { PIPELINE_SAMPLE_RATE, int16ToFloat32, downmix, Resampler } from './convert.js';
+
+export class PcmConverter extends Transform {
+    /**
+     * @param {Object} options
+     * @param {number} [options.sampleRate] - Input rate (default: 48000)
+     * @param {number} [options.channels] - Interleaved input channels (default: 2)
+     * @param {number} [options.targetRate] - Output rate (default: 16000)
+     */
+    constructor(options = {}) {
+        // Buffers in, Float32Array chunks out
+        super({ readableObjectMode: true });
+
+        this.sampleRate = options.sampleRate || 48000;
+        this.channels = options.channels || 2;
+        this.targetRate = options.targetRate || PIPELINE_SAMPLE_RATE;
+        this.resampler = new Resampler(this.sampleRate, this.targetRate);
+
+        // Bytes of an incomplete frame left over from the previous chunk
+        this.remainder = Buffer.alloc(0);
+    }
+
+    _transform(chunk, encoding, callback) {
+        const frameBytes = 2 * this.channels;
+        const data = this.remainder.length ? Buffer.concat([this.remainder, chunk]) : chunk;
+        const usable = data.length - (data.length % frameBytes);
+
+        this.remainder = data.subarray(usable);
+        if (usable === 0) {
+            callback();
+            return;
+        }
+
+        const samples = this.resampler.process(downmix(int16ToFloat32(data.subarray(0, usable)), this.channels));
+        if (samples.length > 0) {
+            this.push(samples);
+        }
+        callback();
+    }
+}
+
+export default PcmConverter;
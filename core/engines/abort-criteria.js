@@ -0,0 +1,31 @@
+/**
+ * Abort Criteria
+ * Stops a transformers.js generate() loop at the next token once an
+ * AbortSignal fires, so cancelled STT / intent jobs free the model quickly.
+ */
+
+import { StoppingCriteria } from '@huggingface/transformers';
+
+export class AbortCriteria extends StoppingCriteria {
+    /**
+     * @param {AbortSignal} signal
+     */
+    constructor(signal) {
+        super();
+        this.signal = signal;
+    }
+
+    _call(inputIds) {
+        return new Array(inputIds.length).fill(this.signal.aborted);
+    }
+}
+
+/**
+ * Generation kwargs for an optional signal
+ * @param {AbortSignal} [signal]
+ */
+export function abortOptions(signal) {
+    return signal ? { stopping_criteria: [new AbortCriteria(signal)] } : {};
+}
+
+export default AbortCriteria;
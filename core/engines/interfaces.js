@@ -0,0 +1,119 @@
+/**
+ * Engine Interfaces
+ * Contracts the VoicePipeline relies on. Any object with these members can
+ * replace a built-in engine, either injected directly or registered by name
+ * in the EngineRegistry.
+ *
+ * All `initialize()` methods must be idempotent: the pipeline calls them on
+ * every engine it is given, including injected ones that are already loaded.
+ */
+
+/**
+ * Wake word + voice activity detection on a live audio source.
+ * Must be an EventEmitter.
+ *
+ * Events:
+ *   'detected'                  wake word heard, recording started
+ *   'speechStart'               VAD detected speech
+ *   'speechEnd' (Float32Array)  VAD detected silence; payload is the recording since 'detected'
+ *                              (or since startRecording())
+ *   'vad' ({ probability, isSpeaking })
+ *
+ * @typedef {Object} WakeWordEngine
+ * @property {() => Promise<void>} initialize
+ * @property {(audioSource: {on: Function, removeAllListeners: Function}) => void} start
+ * @property {() => void} stop
+ * @property {() => void} pause
+ * @property {() => void} resume
+ * @property {() => Promise<void>} dispose
+ * @property {number} [speechProbability] - Last VAD probability, shown in status output
+ * @property {boolean} [isRecording] - True from 'detected' until 'speechEnd'; speaker sessions
+ *     keep feeding silence after the source ends until it clears
+ * @property {() => void} [startRecording] - Record the current speech without a wake word;
+ *     needed for follow-up mode
+ */
+
+/**
+ * Speech-to-text.
+ *
+ * @typedef {Object} SttEngine
+ * @property {() => Promise<void>} initialize
+ * @property {(audio: Float32Array, options?: Object) => Promise<string>} transcribe - 16 kHz mono samples
+ * @property {() => Promise<void>} dispose
+ */
+
+/**
+ * Intent recognition and tool execution.
+ *
+ * `process` returns { function, parameters, response, executed?, toolResult?, error?, calls? }.
+ * `calls` lists every function call when the model made several; the other
+ * fields describe the first.
+ * `response` is what the pipeline speaks. Tool handlers are called with
+ * (parameters, context), where context is `options.context` (e.g. { speaker, owner }),
+ * after the parameters were validated against the tool schema. The built-in
+ * engine runs them through a ToolExecutor, which adds `signal` and `logger` to
+ * the context and reports timeouts and crashes as `failure` on the call. A call that
+ * failed validation is not executed and carries `errors` (ParameterError[]).
+ * Engines that ask for missing parameters return `clarification` ({ function,
+ * field, question }) with the question as `response`, take the next process()
+ * for the same context as the answer (`cancelled` if the user backed out), and
+ * may implement `cancelClarification(context)` so the pipeline can drop an
+ * unanswered question. Confirmations work the same way with `confirmation`
+ * ({ function, parameters, question }); `getClarification(context)` returns
+ * the open question (`confirm: true` for these), and process() takes
+ * `options.confirmed` to answer one without speech.
+ * Engines with conversation memory key it by that context. `path` says what
+ * handled the utterance ('router', 'model' or 'answer'), when the engine knows.
+ *
+ * @typedef {Object} IntentEngine
+ * @property {() => Promise<void>} initialize
+ * @property {(name: string, schema: Object, handler: Function, options?: {routes?: Object[]}) => void} registerTool
+ * @property {(text: string, options?: {signal?: AbortSignal, context?: Object}) => Promise<Object>} process
+ * @property {(context?: Object) => Object[]} [getHistory] - Remembered turns for a session
+ * @property {(context?: Object) => void} [clearHistory]
+ * @property {() => Promise<void>} dispose
+ */
+
+/**
+ * Text-to-speech with playback.
+ * Named engines receive the pipeline's output as the `sink` option
+ * ({ play(audio, sampleRate): Promise, stop() }, see tts/sinks).
+ *
+ * @typedef {Object} TtsEngine
+ * @property {() => Promise<void>} initialize
+ * @property {(text: string, voiceId?: string, options?: {signal?: AbortSignal}) => Promise<void>} speak -
+ *     Resolves when playback ends; an aborted signal skips playback
+ * @property {() => void} stop
+ * @property {() => Promise<void>} dispose
+ */
+
+/**
+ * Members each engine kind must provide, used to validate injected engines
+ */
+export const ENGINE_METHODS = {
+    wakeWord: ['initialize', 'start', 'stop', 'pause', 'resume', 'dispose', 'on'],
+    stt: ['initialize', 'transcribe', 'dispose'],
+    intent: ['initialize', 'registerTool', 'process', 'dispose'],
+    tts: ['initialize', 'speak', 'stop', 'dispose'],
+};
+
+export const ENGINE_KINDS = Object.keys(ENGINE_METHODS);
+
+/**
+ * Throw if an engine is missing members of its interface
+ * @param {string} kind - 'wakeWord' | 'stt' | 'intent' | 'tts'
+ * @param {Object} engine
+ * @param {string} [name] - Engine name for the error message
+ */
+export function assertEngine(kind, engine, name = 'custom') {
+    const methods = ENGINE_METHODS[kind];
+    if (!methods) {
+        throw new Error(`Unknown engine kind: ${kind}`);
+    }
+
+    const missing = methods.filter((method) => typeof engine?.[method] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`${kind} engine "${name}" is missing: ${missing.join(', ')}`);
+    }
+    return engine;
+}
@@ -0,0 +1,124 @@
+/**
+ * Engine Registry
+ * Maps engine names to factories for each pipeline stage, so backends can be
+ * chosen from config (e.g. STT_ENGINE=whisper-server) or added by adapters.
+ *
+ * Built-in engines are imported lazily: a pipeline running only injected or
+ * remote engines never loads onnxruntime or transformers.js.
+ */
+
+import { ENGINE_KINDS, assertEngine } from './interfaces.js';
+
+/**
+ * @callback EngineFactory
+ * @param {Object} options - Pipeline defaults merged with per-engine options
+ * @returns {Object|Promise<Object>} Engine instance
+ */
+
+export class EngineRegistry {
+    constructor() {
+        /** @type {Object<string, Map<string, EngineFactory>>} */
+        this.factories = {};
+        for (const kind of ENGINE_KINDS) {
+            this.factories[kind] = new Map();
+        }
+    }
+
+    /**
+     * Register an engine factory
+     * @param {string} kind - 'wakeWord' | 'stt' | 'intent' | 'tts'
+     * @param {string} name - Name used in config
+     * @param {EngineFactory} factory
+     */
+    register(kind, name, factory) {
+        if (!this.factories[kind]) {
+            throw new Error(`Unknown engine kind: ${kind}`);
+        }
+        this.factories[kind].set(name, factory);
+        return this;
+    }
+
+    has(kind, name) {
+        return this.factories[kind]?.has(name) || false;
+    }
+
+    /**
+     * Names registered for a kind
+     * @param {string} kind
+     * @returns {string[]}
+     */
+    list(kind) {
+        return [...(this.factories[kind]?.keys() || [])];
+    }
+
+    /**
+     * Instantiate an engine by name (not initialized yet)
+     * @param {string} kind
+     * @param {string} name
+     * @param {Object} options
+     */
+    async create(kind, name, options = {}) {
+        const factory = this.factories[kind]?.get(name);
+        if (!factory) {
+            throw new Error(`Unknown ${kind} engine: ${name} (available: ${this.list(kind).join(', ')})`);
+        }
+        return assertEngine(kind, await factory(options), name);
+    }
+}
+
+/**
+ * Engines used when the pipeline config does not name one
+ */
+export const DEFAULT_ENGINES = {
+    wakeWord: 'heybuddy',
+    stt: 'whisper',
+    intent: 'gemma',
+    tts: 'supertonic',
+};
+
+/**
+ * Registry with the built-in engines
+ */
+export function createDefaultRegistry() {
+    return new EngineRegistry()
+        .register('wakeWord', 'heybuddy', async (options) => {
+            const { WakeWordDetector } = await import('../wakeword/detector.js');
+            return new WakeWordDetector(options);
+        })
+        .register('stt', 'whisper', async (options) => {
+            const { SpeechToText } = await import('../stt/whisper.js');
+            return new SpeechToText(options);
+        })
+        .register('stt', 'whisper-server', async (options) => {
+            const { WhisperServerSTT } = await import('../stt/whisper-server.js');
+            return new WhisperServerSTT(options);
+        })
+        .register('intent', 'gemma', async (options) => {
+            const { FunctionCaller } = await import('../function-caller/gemma.js');
+            return new FunctionCaller(options);
+        })
+        .register('tts', 'supertonic', async (options) => {
+            const { TextToSpeech } = await import('../tts/supertonic.js');
+            return new TextToSpeech(options);
+        })
+        // Same models, inference in a worker thread (see workers/engines.js)
+        .register('stt', 'whisper-worker', async (options) => {
+            const { WorkerSpeechToText } = await import('../workers/engines.js');
+            return new WorkerSpeechToText(options);
+        })
+        .register('intent', 'gemma-worker', async (options) => {
+            const { WorkerFunctionCaller } = await import('../workers/engines.js');
+            return new WorkerFunctionCaller(options);
+        })
+        .register('tts', 'supertonic-worker', async (options) => {
+            const { WorkerTextToSpeech } = await import('../workers/engines.js');
+            return new WorkerTextToSpeech(options);
+        });
+}
+
+/**
+ * Shared registry. Adapters and plugins may register extra engines on it.
+ */
+export const engines = createDefaultRegistry();
+
+export default engines;
@@ -0,0 +1,158 @@
+/**
+ * Clarification Dialogs
+ * When a call is missing a required parameter, or the value given does not
+ * fit (e.g. "volume" for volume_up / volume_down), the function caller asks a
+ * short question instead of running the tool, and takes the user's next
+ * utterance as the answer.
+ *
+ * Questions come from the tool schema: a property's `question` if it has one
+ * ("Who should I invite?"), otherwise one built from the field name and,
+ * for enums, the values that could be meant.
+ *
+ * Tools with a confirmation policy (`confirm` in the schema) go through the
+ * same dialogue with a yes/no question before they run:
+ *
+ *   confirm: true                                    always ask
+ *   confirm: { when: { action: ['leave'] } }         ask for these values only
+ *   confirm: { question: 'Invite {friend_name}?' }   custom question, {field} filled in
+ */
+
+import { normalize, listOr } from './speech-text.js';
+
+/**
+ * @typedef {Object} Clarification
+ * @property {string} function - Tool waiting for the answer
+ * @property {Object} parameters - Parameters so far
+ * @property {string|null} field - Parameter being asked for (null for a confirmation)
+ * @property {boolean} [confirm] - Yes/no question before running the call
+ * @property {string} question - What was asked
+ * @property {string} prompt - Prompt the call came from, to phrase the reply once it runs
+ * @property {number} attempts - Questions asked for this field
+ * @property {number} expires - When the question lapses (ms since epoch)
+ */
+
+export const DEFAULT_CANCEL_PHRASES = ['cancel', 'never mind', 'nevermind', 'forget it', 'nothing'];
+
+const YES_WORDS = ['yes', 'yeah', 'yep', 'yup', 'sure', 'ok', 'okay', 'do it', 'go ahead', 'confirm', 'correct', 'right'];
+const NO_WORDS = ['no', 'nope', 'nah', "don't", 'do not', 'cancel', 'stop', 'wait', 'never mind', 'not now'];
+
+// Lead-ins people put before an answer ("it's Bob", "um, pizza")
+const LEAD_INS = /^(?:(?:um+|uh+|er+|well|oh|so|okay|ok)\b[\s,]*|(?:it's|it is|its|that's|that is|i said|i mean)\s+)+/i;
+
+/**
+ * Question for the first parameter error of a call
+ * @param {Object} schema - Tool schema
+ * @param {import('./schema.js').ParameterError} error
+ * @returns {{field: string, question: string}}
+ */
+export function questionFor(schema, error) {
+    // Nested fields are asked for as a whole
+    const field = error.field.split('.')[0];
+    const property = schema.properties?.[field] || {};
+    const name = label(field);
+
+    if (property.question) return { field, question: property.question };
+
+    if (error.code === 'enum') {
+        const options = closeMatches(error.allowed, error.received);
+        return { field, question: `Which ${name}: ${listOr(options.map(label))}?` };
+    }
+
+    if (property.enum) {
+        return { field, question: `Which ${name}: ${listOr(property.enum.map((value) => label(String(value))))}?` };
+    }
+
+    if (property.type === 'number' || property.type === 'integer') {
+        return { field, question: `How many ${name}?` };
+    }
+
+    return { field, question: `What's the ${name}?` };
+}
+
+/**
+ * Confirmation question for a call, or null if its policy lets it run
+ * @param {string} name - Tool name
+ * @param {Object} schema - Tool schema
+ * @param {Object} parameters - Validated parameters
+ * @param {boolean|Object} [policy] - Overrides schema.confirm (false: never ask)
+ * @returns {string|null}
+ */
+export function confirmationFor(name, schema, parameters, policy = schema.confirm) {
+    if (!policy) return null;
+
+    const rule = policy === true ? {} : policy;
+    const matches = Object.entries(rule.when || {}).every(([field, values]) =>
+        [].concat(values).includes(parameters[field]));
+    if (!matches) return null;
+
+    if (rule.question) {
+        return rule.question.replace(/\{(\w+)\}/g, (_, field) => parameters[field] ?? label(field));
+    }
+
+    const action = schema.description
+        ? schema.description[0].toLowerCase() + schema.description.slice(1)
+        : label(name);
+    return `Do you want me to ${action}?`;
+}
+
+/**
+ * Yes or no from a spoken answer
+ * @param {string} text
+ * @returns {boolean|null} null when it is neither
+ */
+export function parseConfirmation(text) {
+    const normalized = normalize(text);
+
+    // "please" on its own is a yes, next to other words only politeness
+    if (normalized === 'please') return true;
+    const words = ` ${normalized.replace(/\bplease\b/g, ' ').replace(/\s+/g, ' ').trim()} `;
+    const says = (phrase) => words.includes(` ${phrase} `);
+
+    // Negation first, anywhere in the answer: "okay don't" is no yes, and
+    // one that says both ("yeah no") is unclear, so the question is asked again
+    const refused = NO_WORDS.some(says);
+    const agreed = YES_WORDS.some(says);
+    if (refused) return agreed ? null : false;
+    return agreed ? true : null;
+}
+
+/**
+ * Whether an utterance is the user backing out
+ * @param {string} text
+ * @param {string[]} [phrases]
+ * @returns {boolean}
+ */
+export function isCancelPhrase(text, phrases = DEFAULT_CANCEL_PHRASES) {
+    const normalized = normalize(text);
+    return phrases.some((phrase) => normalized === phrase || normalized.startsWith(`${phrase} `));
+}
+
+/**
+ * The answer part of an utterance: punctuation and lead-ins removed
+ * @param {string} text
+ * @returns {string}
+ */
+export function slotValue(text) {
+    return text
+        .trim()
+        .replace(/^["'\s]+|["'.,!?\s]+$/g, '')
+        .replace(LEAD_INS, '')
+        .trim();
+}
+
+/**
+ * Enum values that contain what was said ("volume" -> volume_up, volume_down),
+ * or all of them when nothing matches
+ */
+function closeMatches(allowed = [], received) {
+    const target = normalize(String(received ?? '')).replace(/\s+/g, '_');
+    if (!target) return allowed;
+
+    const matches = allowed.filter((value) => normalize(String(value)).replace(/\s+/g, '_').includes(target));
+    return matches.length > 0 ? matches : allowed;
+}
+
+function label(value) {
+    return value.replace(/[._]/g, ' ');
+}
+
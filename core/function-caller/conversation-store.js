@@ -0,0 +1,186 @@
+/**
+ * Conversation Store
+ * Short-term memory for the function caller: recent turns per session, so a
+ * command like "turn it up" or "play the next one by them" can be resolved
+ * against what was just said and done.
+ *
+ * A session is one person, or one person in one guild: the key comes from
+ * the call context (see sessionKey). Turns expire after ttlMs, sessions keep
+ * at most maxTurns, and the summary that goes into the prompt is cut to
+ * maxTokens, dropping the oldest turns first.
+ */
+
+/**
+ * @typedef {Object} ConversationTurn
+ * @property {string} text - What the user said
+ * @property {string|null} function - Tool that was called
+ * @property {Object} parameters - Tool parameters
+ * @property {Array<{function: string, parameters: Object}>} calls - Every call of the turn, in order
+ * @property {string|null} response - What the assistant answered
+ * @property {*} [toolResult] - What the tool returned
+ * @property {'router'|'model'|'answer'} [path] - What handled the utterance
+ * @property {number} time - When the turn ended (ms since epoch)
+ */
+
+export class ConversationStore {
+    /**
+     * @param {Object} options
+     * @param {number} [options.maxTurns] - Turns kept per session (default: 6)
+     * @param {number} [options.maxTokens] - Prompt budget for the summary (default: 200)
+     * @param {number} [options.ttlMs] - Turns older than this are forgotten (default: 5 minutes)
+     * @param {(text: string) => number} [options.countTokens] - Token counter (default: ~4 chars per token)
+     * @param {() => number} [options.now] - Clock (default: Date.now)
+     * @param {boolean} [options.debug]
+     */
+    constructor(options = {}) {
+        this.debug = options.debug || false;
+        this.maxTurns = options.maxTurns || 6;
+        this.maxTokens = options.maxTokens || 200;
+        this.ttlMs = options.ttlMs || 5 * 60 * 1000;
+        this.countTokens = options.countTokens || estimateTokens;
+        this.now = options.now || Date.now;
+
+        /** @type {Map<string, ConversationTurn[]>} */
+        this.conversations = new Map();
+    }
+
+    log(...args) {
+        if (this.debug) {
+            console.log('[Conversations]', ...args);
+        }
+    }
+
+    /**
+     * Session key for a call context
+     * An explicit `sessionId` wins; otherwise owner (e.g. guild) plus speaker.
+     *
+     * @param {Object} [context] - { sessionId?, owner?, speaker? }
+     * @returns {string}
+     */
+    sessionKey(context = {}) {
+        if (context.sessionId) return context.sessionId;
+        return [context.owner, context.speaker?.id].filter(Boolean).join(':') || 'default';
+    }
+
+    /**
+     * Remember a finished turn
+     * @param {Object} context - Call context (see sessionKey)
+     * @param {Omit<ConversationTurn, 'time'>} turn
+     */
+    record(context, turn) {
+        const key = this.sessionKey(context);
+        const turns = this.getHistory(context);
+
+        turns.push({
+            text: turn.text,
+            function: turn.function || null,
+            parameters: turn.parameters || {},
+            calls: (turn.calls || []).map((call) => ({ function: call.function, parameters: call.parameters })),
+            response: turn.response || null,
+            toolResult: turn.toolResult,
+            path: turn.path,
+            time: this.now(),
+        });
+
+        this.conversations.set(key, turns.slice(-this.maxTurns));
+    }
+
+    /**
+     * Turns still remembered for a session, oldest first
+     * @param {Object} context - Call context (see sessionKey)
+     * @returns {ConversationTurn[]}
+     */
+    getHistory(context) {
+        const key = this.sessionKey(context);
+        const turns = this.conversations.get(key);
+        if (!turns) return [];
+
+        const cutoff = this.now() - this.ttlMs;
+        const fresh = turns.filter((turn) => turn.time >= cutoff);
+
+        if (fresh.length === 0) {
+            this.conversations.delete(key);
+            this.log('Session expired:', key);
+        } else if (fresh.length !== turns.length) {
+            this.conversations.set(key, fresh);
+        }
+        return [...fresh];
+    }
+
+    /**
+     * Recent turns as prompt text, newest kept first within the token budget
+     * @param {Object} context - Call context (see sessionKey)
+     * @returns {string} Empty when there is nothing to remember
+     */
+    summarize(context) {
+        const lines = [];
+        let tokens = 0;
+
+        for (const turn of this.getHistory(context).reverse()) {
+            const line = describeTurn(turn);
+            const cost = this.countTokens(line);
+            if (tokens + cost > this.maxTokens) break;
+
+            lines.unshift(line);
+            tokens += cost;
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Forget a session
+     * @param {Object} context - Call context (see sessionKey)
+     */
+    clear(context) {
+        const key = this.sessionKey(context);
+        if (this.conversations.delete(key)) {
+            this.log('Cleared:', key);
+        }
+    }
+
+    clearAll() {
+        this.conversations.clear();
+    }
+
+    /**
+     * Keys of sessions that still have turns
+     * @returns {string[]}
+     */
+    sessions() {
+        return [...this.conversations.keys()].filter((key) => this.getHistory({ sessionId: key }).length > 0);
+    }
+}
+
+/**
+ * One line per turn: what was said, what was done, what came back
+ */
+function describeTurn(turn) {
+    let line = `- User: "${turn.text}"`;
+
+    const calls = turn.calls.length > 0 ? turn.calls : turn.function ? [turn] : [];
+    if (calls.length > 0) {
+        line += ` -> ${calls.map((call) => `${call.function}(${JSON.stringify(call.parameters)})`).join(', ')}`;
+    }
+
+    // Several calls: the spoken reply covers them all
+    const result = (calls.length === 1 && turn.toolResult?.response) || turn.response;
+    if (result) {
+        line += ` -> "${truncate(result, 120)}"`;
+    }
+    return line;
+}
+
+function truncate(text, length) {
+    const value = String(text);
+    return value.length > length ? `${value.slice(0, length - 3)}...` : value;
+}
+
+/**
+ * Rough token count for English text (about 4 characters per token)
+ */
+function estimateTokens(text) {
+    return Math.ceil(text.length / 4);
+}
+
+export default ConversationStore;
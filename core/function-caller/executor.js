@@ -0,0 +1,238 @@
+/**
+ * Tool Executor
+ * Runs tool handlers for the function caller with a time limit, a cap on how
+ * many run at once, and cancellation.
+ *
+ * Handlers are called with (parameters, context), where context is what the
+ * pipeline passed (speaker, owner, adapter, guildId...) plus:
+ *
+ *   signal   AbortSignal, fired when the turn is cancelled (barge-in) or the
+ *            tool runs out of time; long handlers should pass it on or check it
+ *   logger   { log, error }, tagged with the tool name
+ *
+ * A handler that times out or throws is reported with a standard spoken
+ * message instead of its error. Every execution is logged with its duration
+ * and outcome, and emitted as an 'execution' event.
+ */
+
+import { EventEmitter } from 'events';
+
+export const DEFAULT_MESSAGES = {
+    timeout: 'Sorry, that took too long, so I stopped it.',
+    failure: 'Sorry, something went wrong with that.',
+};
+
+/**
+ * @typedef {Object} Execution
+ * @property {string} tool
+ * @property {'ok'|'timeout'|'failed'|'cancelled'} status
+ * @property {*} [result] - What the handler returned (status ok)
+ * @property {string} [error] - Why it did not finish
+ * @property {string} [message] - Standard reply for a timeout or failure
+ * @property {number} durationMs - Time in the handler
+ * @property {number} queuedMs - Time waiting for a free slot
+ * @property {number} at - When it finished (ms since epoch)
+ */
+
+export class ToolExecutor extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {number} [options.timeoutMs] - Default time limit per call (default: 10000, 0 = none)
+     * @param {Object<string, number>} [options.timeouts] - Limits by tool name, over the schemas' `timeoutMs`
+     * @param {number} [options.maxConcurrent] - Handlers running at once; more wait (default: 4)
+     * @param {{timeout?: string, failure?: string}} [options.messages] - Spoken when a call does not finish
+     * @param {{log: Function, error: Function}} [options.logger] - Where executions are logged (default: debug log)
+     * @param {number} [options.historySize] - Recent executions kept for getStats() (default: 20)
+     * @param {boolean} [options.debug]
+     */
+    constructor(options = {}) {
+        super();
+
+        this.debug = options.debug || false;
+        this.timeoutMs = options.timeoutMs ?? 10000;
+        this.timeouts = options.timeouts || {};
+        this.maxConcurrent = options.maxConcurrent || 4;
+        this.messages = { ...DEFAULT_MESSAGES, ...options.messages };
+        this.logger = options.logger || null;
+        this.historySize = options.historySize || 20;
+
+        this.running = 0;
+        // Callers waiting for a slot, first come first served
+        this.waiting = [];
+
+        this.history = [];
+        this.report = { ok: 0, timeout: 0, failed: 0, cancelled: 0 };
+    }
+
+    log(...args) {
+        if (this.debug) {
+            console.log('[ToolExecutor]', ...args);
+        }
+    }
+
+    /**
+     * Time limit for a tool: `timeouts` option, then the schema's `timeoutMs`, then the default
+     * @param {string} name
+     * @param {Object} [schema]
+     * @returns {number} ms, 0 for none
+     */
+    timeoutFor(name, schema = {}) {
+        return this.timeouts[name] ?? schema.timeoutMs ?? this.timeoutMs;
+    }
+
+    /**
+     * Run a handler once a slot is free
+     * Resolves for timeouts and failures too (see `status`); rejects with the
+     * signal's reason only when the caller cancelled.
+     *
+     * @param {string} name - Tool name
+     * @param {Function} handler - (parameters, context) => result
+     * @param {Object} parameters
+     * @param {Object} [context] - Passed to the handler, with `signal` and `logger` added
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels waiting and the handler
+     * @param {number} [options.timeoutMs] - Overrides the default limit
+     * @returns {Promise<Execution>}
+     */
+    async execute(name, handler, parameters, context = {}, options = {}) {
+        const { signal } = options;
+        const timeoutMs = options.timeoutMs ?? this.timeoutMs;
+
+        const queuedAt = Date.now();
+        await this.acquire(signal);
+        const startedAt = Date.now();
+
+        // Fires for the caller's cancellation and for the time limit
+        const controller = new AbortController();
+        const cancel = () => controller.abort(signal.reason);
+        signal?.addEventListener('abort', cancel, { once: true });
+
+        let timedOut = false;
+        const timer = timeoutMs > 0 && setTimeout(() => {
+            timedOut = true;
+            controller.abort(new Error(`${name} timed out after ${timeoutMs} ms`));
+        }, timeoutMs);
+
+        const stopped = new Promise((_, reject) => {
+            controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+        });
+
+        const execution = { tool: name };
+        try {
+            const running = Promise.resolve().then(() => handler(parameters, {
+                ...context,
+                signal: controller.signal,
+                logger: this.loggerFor(name),
+            }));
+            // A handler that ignores the signal is left behind, not waited for
+            execution.result = await Promise.race([running, stopped]);
+            execution.status = 'ok';
+        } catch (error) {
+            execution.error = error?.message || String(error);
+            if (signal?.aborted) {
+                execution.status = 'cancelled';
+            } else if (timedOut) {
+                execution.status = 'timeout';
+                execution.message = this.messages.timeout;
+            } else {
+                execution.status = 'failed';
+                execution.message = this.messages.failure;
+            }
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', cancel);
+            this.release();
+        }
+
+        execution.durationMs = Date.now() - startedAt;
+        execution.queuedMs = startedAt - queuedAt;
+        execution.at = Date.now();
+        this.record(execution);
+
+        if (execution.status === 'cancelled') throw signal.reason;
+        return execution;
+    }
+
+    /**
+     * Wait for a free slot
+     * @param {AbortSignal} [signal] - Stops waiting
+     */
+    acquire(signal) {
+        signal?.throwIfAborted();
+
+        if (this.running < this.maxConcurrent) {
+            this.running++;
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = () => {
+                signal?.removeEventListener('abort', giveUp);
+                this.running++;
+                resolve();
+            };
+            const giveUp = () => {
+                this.waiting = this.waiting.filter((other) => other !== waiter);
+                reject(signal.reason);
+            };
+
+            signal?.addEventListener('abort', giveUp, { once: true });
+            this.waiting.push(waiter);
+            this.log(`Waiting for a slot (${this.waiting.length} queued)`);
+        });
+    }
+
+    release() {
+        this.running--;
+        this.waiting.shift()?.();
+    }
+
+    /**
+     * Logger handed to a tool, tagged with its name
+     */
+    loggerFor(name) {
+        const target = this.logger || { log: (...args) => this.log(...args), error: (...args) => this.log(...args) };
+        return {
+            log: (...args) => target.log(`[${name}]`, ...args),
+            error: (...args) => target.error(`[${name}]`, ...args),
+        };
+    }
+
+    record(execution) {
+        this.report[execution.status]++;
+        this.history.push(execution);
+        if (this.history.length > this.historySize) {
+            this.history.shift();
+        }
+
+        const line = `Tool ${execution.tool}: ${execution.status} in ${execution.durationMs} ms` +
+            (execution.queuedMs > 0 ? ` (waited ${execution.queuedMs} ms)` : '') +
+            (execution.error ? ` - ${execution.error}` : '');
+        if (!this.logger) {
+            this.log(line);
+        } else if (execution.status === 'timeout' || execution.status === 'failed') {
+            this.logger.error(line);
+        } else {
+            this.logger.log(line);
+        }
+
+        this.emit('execution', execution);
+    }
+
+    /**
+     * Counts by outcome, what is running now and the latest executions
+     * @returns {{ok: number, timeout: number, failed: number, cancelled: number,
+     *     running: number, queued: number, recent: Execution[]}}
+     */
+    getStats() {
+        return {
+            ...this.report,
+            running: this.running,
+            queued: this.waiting.length,
+            // Results can be large (tracks, streams); outcomes are enough here
+            recent: this.history.map(({ result, ...execution }) => execution),
+        };
+    }
+}
+
+export default ToolExecutor;
@@ -0,0 +1,265 @@
+/**
+ * FunctionGemma Prompt Format
+ * Builds prompts with FunctionGemma's control tokens and parses its output.
+ *
+ *   <start_of_turn>developer
+ *   You are a model that can do function calling with the following functions
+ *   <start_function_declaration>declaration:play_youtube{description:<escape>...<escape>,
+ *   parameters:{properties:{query:{description:<escape>...<escape>,type:<escape>STRING<escape>}},
+ *   required:[<escape>query<escape>],type:<escape>OBJECT<escape>}}<end_function_declaration><end_of_turn>
+ *   <start_of_turn>user
+ *   play bohemian rhapsody<end_of_turn>
+ *   <start_of_turn>model
+ *   <start_function_call>call:play_youtube{query:<escape>bohemian rhapsody<escape>}<end_function_call>
+ *   <start_function_response>response:play_youtube{title:<escape>...<escape>}<end_function_response>
+ *   Now playing Bohemian Rhapsody.<end_of_turn>
+ *
+ * Strings are wrapped in <escape> tokens; numbers, booleans and nested
+ * objects/arrays are written inline without quotes around keys.
+ */
+
+export const ESCAPE = '<escape>';
+
+export const TOKENS = {
+    startTurn: '<start_of_turn>',
+    endTurn: '<end_of_turn>',
+    startDeclaration: '<start_function_declaration>',
+    endDeclaration: '<end_function_declaration>',
+    startCall: '<start_function_call>',
+    endCall: '<end_function_call>',
+    startResponse: '<start_function_response>',
+    endResponse: '<end_function_response>',
+};
+
+/**
+ * Tokens that end a generation step: the end of the model's turn, or a
+ * function call waiting for its response
+ */
+export const STOP_TOKENS = [TOKENS.endTurn, TOKENS.startResponse];
+
+export const DEVELOPER_PROMPT = 'You are a model that can do function calling with the following functions';
+
+/**
+ * Write a value in FunctionGemma's argument syntax
+ * @param {*} value
+ * @returns {string}
+ */
+export function formatValue(value) {
+    if (value === null || value === undefined) return 'null';
+    if (typeof value === 'string') return `${ESCAPE}${value}${ESCAPE}`;
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+    if (Array.isArray(value)) return `[${value.map(formatValue).join(',')}]`;
+    if (typeof value === 'object') {
+        const entries = Object.entries(value).filter(([, item]) => item !== undefined && typeof item !== 'function');
+        return `{${entries.map(([key, item]) => `${key}:${formatValue(item)}`).join(',')}}`;
+    }
+    return formatValue(String(value));
+}
+
+/**
+ * JSON schema property to declaration syntax (types upper-case, keys sorted)
+ */
+function formatProperty(property) {
+    const fields = {};
+    if (property.description) fields.description = formatValue(property.description);
+    if (property.enum) fields.enum = formatValue(property.enum);
+    if (property.items) fields.items = formatProperty(property.items);
+    if (property.properties) fields.properties = formatProperties(property.properties);
+    if (property.type) fields.type = formatValue(property.type.toUpperCase());
+
+    return `{${Object.keys(fields).sort().map((key) => `${key}:${fields[key]}`).join(',')}}`;
+}
+
+function formatProperties(properties) {
+    return `{${Object.entries(properties).map(([name, property]) => `${name}:${formatProperty(property)}`).join(',')}}`;
+}
+
+/**
+ * One tool declaration
+ * @param {string} name
+ * @param {Object} schema - { description, properties, required }
+ * @returns {string}
+ */
+export function formatDeclaration(name, schema) {
+    const required = formatValue(schema.required || []);
+    const properties = formatProperties(schema.properties || {});
+    const description = formatValue(schema.description || '');
+
+    return `${TOKENS.startDeclaration}declaration:${name}{description:${description},` +
+        `parameters:{properties:${properties},required:${required},type:${ESCAPE}OBJECT${ESCAPE}}}` +
+        TOKENS.endDeclaration;
+}
+
+/**
+ * @param {string} name
+ * @param {Object} parameters
+ * @returns {string}
+ */
+export function formatCall(name, parameters = {}) {
+    return `${TOKENS.startCall}call:${name}${formatValue(parameters)}${TOKENS.endCall}`;
+}
+
+/**
+ * A tool result fed back to the model
+ * @param {string} name
+ * @param {*} result - Objects are written as-is, anything else as { result }
+ * @returns {string}
+ */
+export function formatResponse(name, result) {
+    const value = result && typeof result === 'object' && !Array.isArray(result) ? result : { result };
+    return `${TOKENS.startResponse}response:${name}${formatValue(value)}${TOKENS.endResponse}`;
+}
+
+/**
+ * Prompt up to the start of the model's turn
+ * @param {Object} options
+ * @param {Object<string, Object>} options.tools - Tool schemas by name
+ * @param {string} options.text - What the user said
+ * @param {string} [options.context] - Extra developer text after the declarations (e.g. memory)
+ * @returns {string} Starts with <bos>; tokenize without adding special tokens
+ */
+export function buildPrompt({ tools, text, context = '' }) {
+    const declarations = Object.entries(tools)
+        .map(([name, schema]) => formatDeclaration(name, schema))
+        .join('');
+    const developer = `${DEVELOPER_PROMPT}${declarations}${context ? `\n${context}` : ''}`;
+
+    return `<bos>${TOKENS.startTurn}developer\n${developer}${TOKENS.endTurn}\n` +
+        `${TOKENS.startTurn}user\n${text}${TOKENS.endTurn}\n` +
+        `${TOKENS.startTurn}model\n`;
+}
+
+/**
+ * Split generated text into function calls and plain reply text
+ * @param {string} output - Decoded with special tokens kept
+ * @returns {{calls: Array<{name: string, parameters: Object}>, text: string}}
+ */
+export function parseOutput(output) {
+    const calls = [];
+    const pattern = /<start_function_call>call:([\w.-]+)(\{[\s\S]*?\})<end_function_call>/g;
+
+    for (const match of output.matchAll(pattern)) {
+        try {
+            calls.push({ name: match[1], parameters: parseValue(match[2]) });
+        } catch {
+            calls.push({ name: match[1], parameters: {}, malformed: match[2] });
+        }
+    }
+
+    const text = output
+        .replace(pattern, '')
+        .replace(/<start_function_response>[\s\S]*?(<end_function_response>|$)/g, '')
+        .replace(/<[a-z_]+>/g, '')
+        .trim();
+
+    return { calls, text };
+}
+
+/**
+ * Parse a value written in FunctionGemma's argument syntax
+ * @param {string} source
+ * @returns {*}
+ */
+export function parseValue(source) {
+    const parser = new ValueParser(source);
+    const value = parser.value();
+    parser.skipSpace();
+    if (parser.position !== source.length) {
+        throw new Error(`Unexpected text at ${parser.position}`);
+    }
+    return value;
+}
+
+class ValueParser {
+    constructor(source) {
+        this.source = source;
+        this.position = 0;
+    }
+
+    skipSpace() {
+        while (/\s/.test(this.source[this.position] || '')) this.position++;
+    }
+
+    expect(char) {
+        this.skipSpace();
+        if (this.source[this.position] !== char) {
+            throw new Error(`Expected '${char}' at ${this.position}`);
+        }
+        this.position++;
+    }
+
+    value() {
+        this.skipSpace();
+        const rest = this.source.slice(this.position);
+
+        if (rest.startsWith(ESCAPE)) {
+            const end = rest.indexOf(ESCAPE, ESCAPE.length);
+            if (end === -1) throw new Error('Unterminated string');
+            this.position += end + ESCAPE.length;
+            return rest.slice(ESCAPE.length, end);
+        }
+        if (rest[0] === '{') return this.object();
+        if (rest[0] === '[') return this.array();
+
+        // Bare literal up to the next delimiter
+        const literal = rest.match(/^[^,}\]]*/)[0];
+        this.position += literal.length;
+        return parseLiteral(literal.trim());
+    }
+
+    object() {
+        const object = {};
+        this.expect('{');
+        this.skipSpace();
+        if (this.source[this.position] === '}') {
+            this.position++;
+            return object;
+        }
+
+        for (;;) {
+            this.skipSpace();
+            const key = this.source.slice(this.position).match(/^[^:{}]+/)?.[0];
+            if (!key) throw new Error(`Expected key at ${this.position}`);
+            this.position += key.length;
+            this.expect(':');
+            object[key.trim()] = this.value();
+
+            this.skipSpace();
+            if (this.source[this.position] === ',') {
+                this.position++;
+                continue;
+            }
+            this.expect('}');
+            return object;
+        }
+    }
+
+    array() {
+        const array = [];
+        this.expect('[');
+        this.skipSpace();
+        if (this.source[this.position] === ']') {
+            this.position++;
+            return array;
+        }
+
+        for (;;) {
+            array.push(this.value());
+            this.skipSpace();
+            if (this.source[this.position] === ',') {
+                this.position++;
+                continue;
+            }
+            this.expect(']');
+            return array;
+        }
+    }
+}
+
+function parseLiteral(literal) {
+    if (literal === 'true') return true;
+    if (literal === 'false') return false;
+    if (literal === 'null' || literal === '') return null;
+    const number = Number(literal);
+    return Number.isNaN(number) ? literal : number;
+}
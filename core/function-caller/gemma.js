@@ -8,10 +8,22 @@
  */
 
 import { EventEmitter } from 'events';
-import { AutoTokenizer, AutoModelForCausalLM } from '@huggingface/transformers';
+import { AutoTokenizer, AutoModelForCausalLM, env } from '@huggingface/transformers';
+import { getModelResolver } from '../models/resolver.js';
+import { ModelPool } from '../model-pool.js';
+import { abortOptions } from '../engines/abort-criteria.js';
+import { ConversationStore } from './conversation-store.js';
+import { buildPrompt, parseOutput, formatCall, formatResponse, STOP_TOKENS } from './format.js';
+import { ToolCallGrammar, ToolCallLogitsProcessor, getVocabularyIndex } from './grammar.js';
+import { validateParameters, describeErrors } from './schema.js';
+import { IntentRouter } from './router.js';
+import { ToolExecutor } from './executor.js';
+import {
+    questionFor, isCancelPhrase, slotValue, confirmationFor, parseConfirmation, DEFAULT_CANCEL_PHRASES,
+} from './clarification.js';
 
 // FunctionGemma model
-const FUNCTION_GEMMA_MODEL = 'onnx-community/gemma-3-270m-it-ONNX';
+const FUNCTION_GEMMA_MODEL = 'onnx-community/functiongemma-270m-it-ONNX';
 
 export class FunctionCaller extends EventEmitter {
     constructor(options = {}) {
@@ -19,14 +31,59 @@ export class FunctionCaller extends EventEmitter {
 
         this.debug = options.debug || false;
         this.quantized = options.quantized !== false;
+        // Mask generation to valid tool calls or a plain reply (see grammar.js)
+        this.constrained = options.constrained !== false;
+        // Calls run per command; more are dropped (a model stuck repeating itself)
+        this.maxCalls = options.maxCalls || 4;
         this.tools = options.tools || {};
+        this.resolver = options.resolver || getModelResolver();
+
+        // Weights are shared with other pipelines when a pool is passed in;
+        // tools stay per instance
+        this.pool = options.pool || new ModelPool({ debug: this.debug });
+        this.owner = options.owner || 'default';
+        this.poolKey = null;
 
         this.tokenizer = null;
         this.model = null;
+        this.stopIds = null;
         this.isInitialized = false;
 
         // Tool schemas for context injection
         this.toolSchemas = {};
+
+        // Recent turns per session, summarized into the prompt; pass a shared
+        // store to keep memory across engines, or `memory` options for a new one
+        this.conversations = options.conversations ||
+            new ConversationStore({ debug: this.debug, ...options.memory });
+
+        // Ask for missing or unclear parameters instead of failing the call:
+        // open questions by session key (see clarification.js)
+        const clarify = options.clarify || {};
+        this.clarifyEnabled = clarify.enabled !== false;
+        this.clarifyTtlMs = clarify.ttlMs || 30000;
+        this.clarifyMaxAttempts = clarify.maxAttempts || 2;
+        this.cancelPhrases = clarify.cancelPhrases || DEFAULT_CANCEL_PHRASES;
+        this.clarifications = new Map();
+
+        // Confirmation policies by tool name, over the schemas' `confirm`
+        // (false for a tool: never ask; `confirmations: false`: never ask at all)
+        this.confirmations = options.confirmations ?? {};
+
+        // Rule-based fast path for simple commands (see router.js); tools add
+        // routes when registered, `routing` options go to a new router
+        const routing = options.routing || {};
+        this.routingEnabled = routing.enabled !== false;
+        this.router = options.router || new IntentRouter({ debug: this.debug, ...routing });
+        // Which path handled each utterance
+        this.routingReport = { router: 0, model: 0, answer: 0 };
+
+        // Runs the handlers with time limits and a concurrency cap (see executor.js);
+        // pass a shared one to cap tools across pipelines, `execution` options for a new one
+        this.executor = options.executor || new ToolExecutor({ debug: this.debug, ...options.execution });
+
+        // How often output still fell outside the grammar
+        this.constraintReport = { generations: 0, fallbacks: 0, reasons: { invalid: 0, incomplete: 0 } };
     }
 
     log(...args) {
@@ -39,11 +96,14 @@ export class FunctionCaller extends EventEmitter {
      * Register a tool function
      * @param {string} name - Tool name (e.g., 'play_youtube')
      * @param {Object} schema - JSON schema describing parameters
-     * @param {Function} handler - Function to execute
+     * @param {Function} handler - Function to execute, called with (parameters, context)
+     * @param {Object} [options]
+     * @param {Object[]} [options.routes] - Router patterns for this tool (see router.js)
      */
-    registerTool(name, schema, handler) {
+    registerTool(name, schema, handler, options = {}) {
         this.tools[name] = { schema, handler };
         this.toolSchemas[name] = schema;
+        this.router.addRoutes(name, schema, options.routes);
         this.log(`Registered tool: ${name}`);
     }
 
@@ -53,16 +113,29 @@ export class FunctionCaller extends EventEmitter {
         this.log('Loading FunctionGemma model...');
 
         try {
-            // Load tokenizer
-            this.tokenizer = await AutoTokenizer.from_pretrained(FUNCTION_GEMMA_MODEL, {
-                progress_callback: (p) => this.emit('progress', p),
-            });
-
-            // Load model with ONNX optimization
-            this.model = await AutoModelForCausalLM.from_pretrained(FUNCTION_GEMMA_MODEL, {
-                quantized: this.quantized,
-                progress_callback: (p) => this.emit('progress', p),
-            });
+            this.resolver.configureTransformers(env);
+
+            // q8 loads the *_quantized.onnx files listed in the model manifest
+            const dtype = this.quantized ? 'q8' : 'fp32';
+            this.poolKey = `intent:${FUNCTION_GEMMA_MODEL}:${dtype}`;
+
+            const loaded = await this.pool.acquire(this.poolKey, async () => ({
+                // Load tokenizer
+                tokenizer: await AutoTokenizer.from_pretrained(FUNCTION_GEMMA_MODEL, {
+                    ...this.resolver.transformersOptions(),
+                    progress_callback: (p) => this.emit('progress', p),
+                }),
+
+                // Load model with ONNX optimization
+                model: await AutoModelForCausalLM.from_pretrained(FUNCTION_GEMMA_MODEL, {
+                    ...this.resolver.transformersOptions(),
+                    dtype,
+                    progress_callback: (p) => this.emit('progress', p),
+                }),
+            }), ({ model }) => model.dispose());
+
+            this.tokenizer = loaded.tokenizer;
+            this.model = loaded.model;
 
             this.isInitialized = true;
             this.log('FunctionGemma initialized');
@@ -74,162 +147,658 @@ export class FunctionCaller extends EventEmitter {
     }
 
     /**
-     * Build the system prompt with available tools
+     * Remembered turns for a session, oldest first
+     * @param {Object} [context] - { speaker, owner } or { sessionId }
      */
-    buildSystemPrompt() {
-        const toolDescriptions = Object.entries(this.toolSchemas).map(([name, schema]) => {
-            return `- ${name}: ${schema.description}\n  Parameters: ${JSON.stringify(schema.properties || {})}`;
-        }).join('\n');
-
-        return `You are a voice assistant that interprets user commands and calls functions.
-
-Available functions:
-${toolDescriptions}
-
-When the user gives a command, respond with a JSON object containing:
-- "function": the function name to call
-- "parameters": an object with the function parameters
-- "response": a short spoken response to the user
+    getHistory(context = {}) {
+        return this.conversations.getHistory(context);
+    }
 
-If no function matches, respond with:
-- "function": null
-- "response": your helpful response to the user
+    /**
+     * Forget a session's turns
+     * @param {Object} [context] - { speaker, owner } or { sessionId }
+     */
+    clearHistory(context = {}) {
+        this.conversations.clear(context);
+    }
 
-Always respond with valid JSON only.`;
+    /**
+     * Prompt for one command: tool declarations, recent turns, the command
+     * @param {string} text - User's spoken command
+     * @param {string} [history] - Summary of recent turns in this session
+     * @returns {string}
+     */
+    buildPrompt(text, history = '') {
+        return buildPrompt({
+            tools: this.toolSchemas,
+            text,
+            context: history
+                ? `Recent conversation with this user (oldest first), for words like "it" or "the next one":\n${history}`
+                : '',
+        });
     }
 
     /**
      * Process user input and determine intent
+     * The model answers with function calls or plain text. Calls are run in
+     * order, their results are fed back as function responses, and the model
+     * phrases the spoken reply from them.
+     * 
      * @param {string} text - User's spoken command
-     * @returns {Promise<Object>} - { function, parameters, response, executed }
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels generation
+     * @param {Object} [options.context] - Passed to the tool handler (e.g. { speaker })
+     * @param {boolean} [options.confirmed] - Answer to an open confirmation (e.g. a button), instead of the text
+     * @returns {Promise<Object>} - { function, parameters, response, executed, calls, path }; path is
+     *     'router', 'model' or 'answer' (to an open question), see dispatch(); function,
+     *     parameters, executed, toolResult and error describe the first call. When a call needs
+     *     more from the user, `clarification` ({ function, field, question }) or `confirmation`
+     *     ({ function, parameters, question }) is set, the response is the question, and the next
+     *     process() for the same session is taken as the answer; `cancelled` is set if that
+     *     answer was a cancel phrase or a no.
      */
-    async process(text) {
+    async process(text, options = {}) {
         if (!this.isInitialized) {
             await this.initialize();
         }
 
         this.log('Processing:', text);
 
-        const systemPrompt = this.buildSystemPrompt();
-        const userPrompt = `User command: "${text}"`;
-
-        // Format for chat
-        const messages = [
-            { role: 'system', content: systemPrompt },
-            { role: 'user', content: userPrompt },
-        ];
+        const context = options.context || {};
 
         try {
-            // Tokenize
-            const inputs = this.tokenizer.apply_chat_template(messages, {
-                add_generation_prompt: true,
-                return_dict: true,
-            });
+            const result = await this.dispatch(text, context, options);
+            this.routingReport[result.path]++;
 
-            // Generate
-            const output = await this.model.generate({
-                ...inputs,
-                max_new_tokens: 256,
-                temperature: 0.1, // Low temperature for deterministic outputs
-                do_sample: false,
-            });
+            if (!result.response) {
+                result.response = "I'm sorry, I didn't understand that.";
+            }
 
-            // Decode
-            const responseText = this.tokenizer.decode(output[0], {
-                skip_special_tokens: true,
+            this.conversations.record(context, {
+                text,
+                function: result.function,
+                parameters: result.parameters,
+                calls: result.calls,
+                response: result.response,
+                toolResult: result.toolResult,
+                path: result.path,
             });
 
-            this.log('Raw response:', responseText);
-
-            // Parse JSON response
-            const result = this.parseResponse(responseText);
-
-            // Execute function if found
-            if (result.function && this.tools[result.function]) {
-                try {
-                    this.log(`Executing: ${result.function}`, result.parameters);
-                    const tool = this.tools[result.function];
-                    const toolResult = await tool.handler(result.parameters);
-                    result.executed = true;
-                    result.toolResult = toolResult;
-
-                    // Update response if tool provided one
-                    if (toolResult?.response) {
-                        result.response = toolResult.response;
-                    }
-                } catch (error) {
-                    this.log('Tool execution error:', error);
-                    result.executed = false;
-                    result.error = error.message;
-                    result.response = `Sorry, I had trouble with that. ${error.message}`;
-                }
-            }
-
             this.emit('result', result);
             return result;
 
         } catch (error) {
+            // Cancellation is not a failed command, let the caller handle it
+            if (options.signal?.aborted) throw error;
+
             this.log('Processing error:', error);
             return {
                 function: null,
                 parameters: {},
                 response: "I'm sorry, I didn't understand that.",
+                calls: [],
                 error: error.message,
             };
         }
     }
 
     /**
-     * Parse the model's JSON response
+     * Pick the path for an utterance: the answer to an open question, a
+     * router match sure enough to skip the model, or the model
+     * @param {string} text
+     * @param {Object} context
+     * @param {Object} options - { signal, confirmed? }
+     * @returns {Promise<Object>} Result as returned by process(), with `path`
      */
-    parseResponse(responseText) {
-        try {
-            // Extract JSON from response (might have extra text)
-            const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                return JSON.parse(jsonMatch[0]);
+    async dispatch(text, context, options) {
+        const pending = this.getClarification(context);
+        if (pending) {
+            const result = await this.answerClarification(pending, text, context, options);
+            return { ...result, path: 'answer' };
+        }
+
+        const routed = this.routingEnabled ? this.router.route(text) : null;
+        if (this.router.accepts(routed)) {
+            // No prompt: the reply is made of what the tools said
+            const result = await this.complete(null, routed.calls, context, options);
+            return { ...result, path: 'router', route: { pattern: routed.pattern, confidence: routed.confidence } };
+        }
+        if (routed) {
+            this.log(`Router not sure (${routed.confidence.toFixed(2)}), asking the model`);
+        }
+
+        const result = await this.interpret(text, context, options);
+        return { ...result, path: 'model' };
+    }
+
+    /**
+     * Generate calls for a new command and run them
+     * @param {string} text
+     * @param {Object} context
+     * @param {Object} options - { signal }
+     * @returns {Promise<Object>} Result as returned by process()
+     */
+    async interpret(text, context, options) {
+        const prompt = this.buildPrompt(text, this.conversations.summarize(context));
+
+        const constraint = { tools: this.toolSchemas, allowMissing: this.clarifyEnabled };
+        const output = await this.generate(prompt, { ...options, constraint });
+        this.log('Raw response:', output);
+        this.checkOutput(output, constraint);
+
+        const { calls, text: reply } = parseOutput(output);
+        if (calls.length === 0) {
+            return { function: null, parameters: {}, response: reply || null, calls: [] };
+        }
+        if (calls.length > this.maxCalls) {
+            this.log(`Dropping ${calls.length - this.maxCalls} of ${calls.length} calls`);
+        }
+        return this.complete(prompt, calls.slice(0, this.maxCalls), context, options);
+    }
+
+    /**
+     * Run calls, then either ask for what one of them is missing or phrase the reply
+     * @param {string|null} prompt - Prompt the calls came from; null for routed calls, which
+     *     are answered with the tools' own responses instead of a generation
+     * @param {Object[]} calls - Parsed calls ({ name, parameters })
+     * @param {Object} context
+     * @param {Object} options - { signal }
+     * @param {import('./clarification.js').Clarification} [previous] - Question these calls answer
+     * @returns {Promise<Object>} Result as returned by process()
+     */
+    async complete(prompt, calls, context, options, previous = null) {
+        const results = await this.runCalls(calls, context, options);
+        const [first] = results;
+        this.log(`Ran ${results.filter((call) => call.executed).length} of ${results.length} calls`);
+        const result = {
+            function: first.function,
+            parameters: first.parameters,
+            response: null,
+            calls: results,
+            executed: first.executed,
+            toolResult: first.toolResult,
+            error: first.error,
+        };
+
+        const clarification = this.findClarification(results);
+        // Asking again for the same field counts against the limit; a new field starts over
+        const attempts = clarification && previous?.field === clarification.field ? previous.attempts : 0;
+        if (clarification && attempts < this.clarifyMaxAttempts) {
+            // Calls after the one asking run once it is answered
+            const remaining = calls.slice(clarification.index + 1);
+            const pending = this.ask({ ...clarification, prompt, remaining, attempts: attempts + 1 }, context);
+
+            if (pending.confirm) {
+                result.confirmation = { function: pending.function, parameters: pending.parameters, question: pending.question };
+            } else {
+                result.clarification = { function: pending.function, field: pending.field, question: pending.question };
             }
 
-            // Fallback: treat as plain response
-            return {
-                function: null,
-                parameters: {},
-                response: responseText.trim(),
-            };
-        } catch (error) {
-            this.log('JSON parse error:', error);
+            // Say what already happened before asking ("Playing Daft Punk. Who should I invite?")
+            const done = results.slice(0, clarification.index).map((call) => call.toolResult?.response).filter(Boolean);
+            result.response = [...done, pending.question].join(' ');
+            return result;
+        }
+
+        const ran = results.filter((call) => !call.waiting);
+        // A tool that timed out or crashed gets its standard message, not a generated excuse
+        const failed = ran.some((call) => call.failure);
+        result.response = prompt && !failed ? await this.phraseReply(prompt, ran, options) : combineReplies(ran);
+        return result;
+    }
+
+    /**
+     * Open a question for a session
+     * @param {Object} question - Clarification without `expires`
+     * @param {Object} context
+     * @returns {import('./clarification.js').Clarification}
+     */
+    ask(question, context) {
+        const pending = { ...question, expires: Date.now() + this.clarifyTtlMs };
+        this.clarifications.set(this.conversations.sessionKey(context), pending);
+
+        if (pending.confirm) {
+            this.log(`Confirming ${pending.function}:`, pending.question);
+            this.emit('confirmation', pending);
+        } else {
+            this.log(`Asking for ${pending.field} of ${pending.function}:`, pending.question);
+            this.emit('clarification', pending);
+        }
+        return pending;
+    }
+
+    /**
+     * First call that could run with one more answer from the user: a
+     * confirmation, or a missing or unclear parameter. A handler can ask too,
+     * by returning { clarify: { field, question } } (e.g. two friends with that name).
+     * 
+     * @param {Object[]} calls - Results from runCalls()
+     * @returns {{function: string, parameters: Object, field: string|null, question: string,
+     *     confirm?: boolean, index: number}|null} index is the call's position in `calls`
+     */
+    findClarification(calls) {
+        const index = calls.findIndex((call) => this.waitsForAnswer(call));
+        if (index === -1) return null;
+
+        const call = calls[index];
+        if (call.confirmation) {
+            return { function: call.function, parameters: call.parameters, field: null, question: call.confirmation, confirm: true, index };
+        }
+
+        const clarify = call.toolResult?.clarify;
+        if (clarify) {
+            return { function: call.function, parameters: call.parameters, field: clarify.field, question: clarify.question, index };
+        }
+
+        const { field, question } = questionFor(this.tools[call.function].schema, call.errors[0]);
+        // Keep what was valid; the failing field is asked for again
+        const { parameters } = validateParameters({ ...this.tools[call.function].schema, required: [] }, call.parameters);
+        delete parameters[field];
+        return { function: call.function, parameters, field, question, index };
+    }
+
+    /**
+     * Whether a call result needs an answer from the user before going on
+     * @param {Object} call - Entry from runCalls()
+     * @returns {boolean}
+     */
+    waitsForAnswer(call) {
+        if (call.confirmation) return true;
+        if (!this.clarifyEnabled) return false;
+
+        const clarify = call.toolResult?.clarify;
+        return Boolean((clarify?.field && clarify.question) || call.errors?.length);
+    }
+
+    /**
+     * Take the user's next utterance as the answer to an open question
+     * @param {import('./clarification.js').Clarification} pending
+     * @param {string} text
+     * @param {Object} context
+     * @param {Object} options - { signal, confirmed? }
+     * @returns {Promise<Object>} Result as returned by process()
+     */
+    async answerClarification(pending, text, context, options) {
+        this.cancelClarification(context);
+
+        if (pending.confirm) {
+            return this.answerConfirmation(pending, text, context, options);
+        }
+
+        if (isCancelPhrase(text, this.cancelPhrases)) {
+            this.log('Clarification cancelled');
             return {
-                function: null,
-                parameters: {},
-                response: responseText.trim(),
+                function: pending.function,
+                parameters: pending.parameters,
+                response: 'Okay, never mind.',
+                calls: [],
+                cancelled: true,
             };
         }
+
+        const parameters = { ...pending.parameters, [pending.field]: slotValue(text) };
+        this.log(`Filled ${pending.field} of ${pending.function}:`, parameters[pending.field]);
+
+        const calls = [{ name: pending.function, parameters }, ...pending.remaining];
+        return this.complete(pending.prompt, calls, context, options, pending);
     }
 
     /**
-     * Quick intent classification without full generation
-     * Faster for simple yes/no or category decisions
+     * Run a call the user said yes to; anything else drops it
+     * @param {import('./clarification.js').Clarification} pending
+     * @param {string} text - Spoken answer
+     * @param {Object} context
+     * @param {Object} options - { signal, confirmed? }; `confirmed` (e.g. from a button) wins over the text
+     * @returns {Promise<Object>} Result as returned by process()
      */
-    async classifyIntent(text, intents) {
-        // Simple keyword matching for speed
-        const lowerText = text.toLowerCase();
+    async answerConfirmation(pending, text, context, options) {
+        const answer = typeof options.confirmed === 'boolean' ? options.confirmed : parseConfirmation(text);
+
+        if (answer === true) {
+            this.log(`Confirmed ${pending.function}`);
+            const calls = [{ name: pending.function, parameters: pending.parameters, confirmed: true }, ...pending.remaining];
+            return this.complete(pending.prompt, calls, context, options, pending);
+        }
 
-        for (const [intent, keywords] of Object.entries(intents)) {
-            for (const keyword of keywords) {
-                if (lowerText.includes(keyword.toLowerCase())) {
-                    return intent;
+        const result = {
+            function: pending.function,
+            parameters: pending.parameters,
+            response: null,
+            calls: [],
+        };
+
+        // Neither yes nor no: ask once more
+        if (answer === null && !isCancelPhrase(text, this.cancelPhrases) && pending.attempts < this.clarifyMaxAttempts) {
+            const again = this.ask({ ...pending, attempts: pending.attempts + 1 }, context);
+            result.confirmation = { function: again.function, parameters: again.parameters, question: again.question };
+            result.response = `Sorry, was that a yes? ${again.question}`;
+            return result;
+        }
+
+        this.log(`Not running ${pending.function}`);
+
+        // A no skips this call only; a cancel phrase drops the rest too
+        if (answer === false && pending.remaining.length > 0 && !isCancelPhrase(text, this.cancelPhrases)) {
+            const rest = await this.complete(pending.prompt, pending.remaining, context, options);
+            rest.response = `Okay, not that. ${rest.response}`;
+            return rest;
+        }
+
+        result.response = "Okay, I won't.";
+        result.cancelled = true;
+        return result;
+    }
+
+    /**
+     * Confirmation question for a call, or null if it can run
+     * @param {string} name - Tool name
+     * @param {Object} parameters - Validated parameters
+     * @returns {string|null}
+     */
+    needsConfirmation(name, parameters) {
+        if (this.confirmations === false) return null;
+
+        const { schema } = this.tools[name];
+        const policy = name in this.confirmations ? this.confirmations[name] : schema.confirm;
+        return confirmationFor(name, schema, parameters, policy);
+    }
+
+    /**
+     * Question waiting for an answer in a session, if it has not lapsed
+     * @param {Object} [context] - { speaker, owner } or { sessionId }
+     * @returns {import('./clarification.js').Clarification|null}
+     */
+    getClarification(context = {}) {
+        const key = this.conversations.sessionKey(context);
+        const pending = this.clarifications.get(key);
+        if (!pending) return null;
+
+        if (pending.expires < Date.now()) {
+            this.clarifications.delete(key);
+            return null;
+        }
+        return pending;
+    }
+
+    /**
+     * Drop a session's open question (e.g. the listening window closed)
+     * @param {Object} [context] - { speaker, owner } or { sessionId }
+     * @returns {boolean} Whether there was one
+     */
+    cancelClarification(context = {}) {
+        return this.clarifications.delete(this.conversations.sessionKey(context));
+    }
+
+    /**
+     * Execute parsed calls one after another
+     * @param {Array<{name: string, parameters: Object, malformed?: string, confirmed?: boolean}>} calls
+     * @param {Object} context - Passed to the handlers
+     * @param {Object} [options] - { signal }: cancels the handler that is running
+     * @returns {Promise<Object[]>} { function, parameters, executed, toolResult?, error?, errors?,
+     *     failure?, response?, durationMs?, confirmation?, waiting? } per call; parameters of
+     *     executed calls are coerced to the tool schema, errors lists what failed validation,
+     *     failure ('timeout' or 'failed') and response (the standard message) are set when the
+     *     handler did not finish, confirmation is the question a call waits on, and waiting
+     *     marks calls not run yet because an earlier one needs an answer
+     */
+    async runCalls(calls, context, options = {}) {
+        const results = [];
+
+        for (const [index, call] of calls.entries()) {
+            const entry = await this.runCall(call, context, options);
+            results.push(entry);
+
+            // Keep the order: what comes after a question waits for the answer
+            if (this.waitsForAnswer(entry)) {
+                for (const rest of calls.slice(index + 1)) {
+                    results.push({ function: rest.name, parameters: rest.parameters, executed: false, waiting: true });
                 }
+                break;
             }
         }
 
-        return null;
+        return results;
+    }
+
+    /**
+     * Validate and execute one call
+     * @param {{name: string, parameters: Object, malformed?: string, confirmed?: boolean}} call
+     * @param {Object} context - Passed to the handler
+     * @param {Object} [options] - { signal }
+     * @returns {Promise<Object>} Entry as described in runCalls()
+     */
+    async runCall(call, context, options = {}) {
+        const entry = { function: call.name, parameters: call.parameters, executed: false };
+
+        const tool = this.tools[call.name];
+        if (!tool) {
+            entry.error = `Unknown function: ${call.name}`;
+            return entry;
+        }
+        if (call.malformed) {
+            entry.error = 'Could not read the arguments';
+            return entry;
+        }
+
+        const { valid, parameters, errors } = validateParameters(tool.schema, call.parameters);
+        if (!valid) {
+            this.log(`Invalid parameters for ${call.name}:`, errors);
+            entry.error = describeErrors(errors);
+            entry.errors = errors;
+            this.emit('invalidParameters', { function: call.name, parameters: call.parameters, errors });
+            return entry;
+        }
+        entry.parameters = parameters;
+
+        // Sensitive tools wait for a yes (see needsConfirmation)
+        const confirmation = !call.confirmed && this.needsConfirmation(call.name, parameters);
+        if (confirmation) {
+            entry.confirmation = confirmation;
+            return entry;
+        }
+
+        this.log(`Executing: ${call.name}`, parameters);
+        const execution = await this.executor.execute(call.name, tool.handler, parameters, context, {
+            signal: options.signal,
+            timeoutMs: this.executor.timeoutFor(call.name, tool.schema),
+        });
+        entry.durationMs = execution.durationMs;
+
+        if (execution.status === 'ok') {
+            entry.toolResult = execution.result;
+            entry.executed = true;
+        } else {
+            entry.error = execution.error;
+            entry.failure = execution.status;
+            entry.response = execution.message;
+        }
+        return entry;
+    }
+
+    /**
+     * Feed tool results back as function responses and let the model answer
+     * Falls back to what the tools said, call by call, if the model has nothing to add.
+     * 
+     * @param {string} prompt - The prompt the calls were generated from
+     * @param {Object[]} calls - Results from runCalls()
+     * @param {Object} [options] - { signal }
+     * @returns {Promise<string>}
+     */
+    async phraseReply(prompt, calls, options = {}) {
+        const exchange = calls.map((call) => formatCall(call.function, call.parameters)).join('') +
+            calls.map((call) => formatResponse(call.function, describeOutcome(call))).join('');
+
+        let reply = '';
+        try {
+            const constraint = { tools: {}, allowCalls: false };
+            const output = await this.generate(prompt + exchange, { ...options, constraint });
+            this.checkOutput(output, constraint);
+            reply = parseOutput(output).text;
+        } catch (error) {
+            if (options.signal?.aborted) throw error;
+            this.log('Reply generation error:', error);
+        }
+        return reply || combineReplies(calls);
+    }
+
+    /**
+     * Which path handled the utterances so far
+     * @returns {{router: number, model: number, answer: number, total: number, routerRate: number}}
+     */
+    getRoutingReport() {
+        const total = this.routingReport.router + this.routingReport.model + this.routingReport.answer;
+        return {
+            ...this.routingReport,
+            total,
+            routerRate: total > 0 ? this.routingReport.router / total : 0,
+        };
+    }
+
+    /**
+     * How tool executions went (see ToolExecutor.getStats())
+     * @returns {Object}
+     */
+    getExecutionReport() {
+        return this.executor.getStats();
+    }
+
+    /**
+     * Count generations that left the grammar (constraints off, or cut off by
+     * max_new_tokens); process() then falls back to what it could parse
+     * @param {string} output
+     * @param {Object} constraint - { tools, allowCalls? }
+     */
+    checkOutput(output, constraint) {
+        const { valid, complete } = new ToolCallGrammar(constraint.tools, constraint).check(output);
+        this.constraintReport.generations++;
+        if (valid && complete) return;
+
+        const reason = valid ? 'incomplete' : 'invalid';
+        this.constraintReport.fallbacks++;
+        this.constraintReport.reasons[reason]++;
+        this.log(`Constraint fallback (${reason}):`, output);
+        this.emit('constraintFallback', { reason, output });
+    }
+
+    /**
+     * How often generated output was not a valid call or reply
+     * @returns {{generations: number, fallbacks: number, rate: number, reasons: Object, constrained: boolean}}
+     */
+    getConstraintReport() {
+        const { generations, fallbacks, reasons } = this.constraintReport;
+        return {
+            generations,
+            fallbacks,
+            rate: generations > 0 ? fallbacks / generations : 0,
+            reasons: { ...reasons },
+            constrained: this.constrained,
+        };
+    }
+
+    /**
+     * Run the model on a prompt and return the newly generated text
+     * Kept separate from process() so generation can move to a worker while
+     * tools keep running on the main thread. Special tokens are kept so
+     * function calls can be parsed; generation stops at the end of the turn
+     * or when a call waits for its response.
+     * 
+     * @param {string} prompt - Formatted prompt (see format.js)
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Stops generation at the next token
+     * @param {Object} [options.constraint] - { tools, allowCalls? }: grammar to decode with
+     * @returns {Promise<string>}
+     */
+    async generate(prompt, options = {}) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+
+        const { signal } = options;
+
+        // Tokenize (the prompt carries its own <bos>)
+        const inputs = this.tokenizer(prompt, { add_special_tokens: false });
+        const promptLength = inputs.input_ids.dims.at(-1);
+
+        const processors = [];
+        if (this.constrained && options.constraint) {
+            const grammar = new ToolCallGrammar(options.constraint.tools, options.constraint);
+            processors.push(new ToolCallLogitsProcessor(grammar, getVocabularyIndex(this.tokenizer), promptLength));
+        }
+
+        // Generate (takes turns with other pipelines sharing the model)
+        const output = await this.pool.schedule(this.owner, () => {
+            signal?.throwIfAborted();
+            return this.model.generate({
+                ...inputs,
+                max_new_tokens: 256,
+                temperature: 0.1, // Low temperature for deterministic outputs
+                do_sample: false,
+                eos_token_id: this.stopTokenIds(),
+                logits_processor: processors,
+                ...abortOptions(signal),
+            });
+        });
+        signal?.throwIfAborted();
+
+        // Decode only what the model added
+        const [text] = this.tokenizer.batch_decode(output.slice(null, [promptLength, null]), {
+            skip_special_tokens: false,
+        });
+        return text;
+    }
+
+    stopTokenIds() {
+        if (!this.stopIds) {
+            this.stopIds = this.tokenizer.model.convert_tokens_to_ids(['<eos>', ...STOP_TOKENS])
+                .filter((id) => id !== undefined && id !== null);
+        }
+        return this.stopIds;
     }
 
     async dispose() {
+        if (this.poolKey) {
+            await this.pool.release(this.poolKey);
+            this.poolKey = null;
+        }
         this.tokenizer = null;
         this.model = null;
+        this.stopIds = null;
         this.isInitialized = false;
     }
 }
 
+/**
+ * Reply made of what the tools said, one sentence per call in order, or why it failed
+ * (the executor's standard message for a timeout or crash)
+ * @param {Object[]} calls - Results from runCalls()
+ * @returns {string}
+ */
+function combineReplies(calls) {
+    const failed = calls.filter((call) => call.error);
+    if (failed.length > 0 && failed.length === calls.length) {
+        return failed[0].response || `Sorry, I had trouble with that. ${failed[0].error}`;
+    }
+
+    return calls
+        .map((call) => (call.error
+            ? call.response || `I couldn't ${call.function.replace(/_/g, ' ')}: ${call.error}.`
+            : call.toolResult?.response))
+        .filter(Boolean)
+        .join(' ') || 'Done.';
+}
+
+/**
+ * What a call's function response tells the model: the tool result, or the
+ * error with the failing fields so the reply can ask for them
+ */
+function describeOutcome(call) {
+    if (!call.error) return call.toolResult ?? {};
+    if (!call.errors) return { error: call.error };
+
+    return {
+        error: call.error,
+        fields: call.errors.map((error) => ({ field: error.field, problem: error.code })),
+    };
+}
+
 export default FunctionCaller;
@@ -0,0 +1,514 @@
+/**
+ * Tool Call Grammar
+ * Constrained decoding for FunctionGemma: at every step, only tokens that
+ * keep the output a valid tool call (registered name, known keys, values of
+ * the declared type, enum members, required keys present) or a plain reply
+ * are left in the logits.
+ *
+ * The grammar is a small pushdown matcher over characters and control tokens.
+ * Allowed tokens are found by walking the sorted vocabulary against it, so
+ * structural positions only look at the few tokens that can fit; inside free
+ * text (string values, replies) every ordinary token is allowed.
+ */
+
+import { LogitsProcessor } from '@huggingface/transformers';
+import { TOKENS, ESCAPE } from './format.js';
+
+const EOS = '<eos>';
+
+// Control tokens the grammar knows; any other added token is never allowed
+const CONTROL_TOKENS = [TOKENS.startCall, TOKENS.endCall, ESCAPE, TOKENS.startResponse, TOKENS.endTurn, EOS];
+
+const CONTROL_PATTERN = new RegExp(`(${CONTROL_TOKENS.map((token) => token.replace(/[<>]/g, '\\$&')).join('|')})`);
+
+export class ToolCallGrammar {
+    /**
+     * @param {Object<string, Object>} tools - Tool schemas by name ({ properties, required })
+     * @param {Object} [options]
+     * @param {boolean} [options.allowCalls] - Function calls allowed (default: true)
+     * @param {boolean} [options.allowReply] - Plain text reply allowed (default: true)
+     * @param {boolean} [options.allowMissing] - Calls may leave out required parameters, for
+     *     callers that ask for them afterwards (default: false)
+     */
+    constructor(tools = {}, options = {}) {
+        this.tools = tools;
+        this.names = Object.keys(tools);
+        this.allowCalls = options.allowCalls !== false && this.names.length > 0;
+        this.allowReply = options.allowReply !== false;
+        this.allowMissing = options.allowMissing || false;
+    }
+
+    initial() {
+        return { mode: 'start', stack: [] };
+    }
+
+    /**
+     * Advance by one character or control token
+     * @param {Object} state
+     * @param {string} input - A single character, or a control token when `special`
+     * @param {boolean} [special]
+     * @returns {Object|null} Next state, or null if the input is not allowed
+     */
+    step(state, input, special = false) {
+        switch (state.mode) {
+            case 'start':
+                if (special) {
+                    return input === TOKENS.startCall && this.allowCalls ? this.openCall() : null;
+                }
+                return this.allowReply ? { mode: 'reply', stack: [] } : null;
+
+            case 'reply':
+                if (!special) return state;
+                return input === TOKENS.endTurn || input === EOS ? { mode: 'done', stack: [] } : null;
+
+            case 'afterCall':
+                if (!special) return null;
+                if (input === TOKENS.startCall) return this.openCall();
+                return [TOKENS.startResponse, TOKENS.endTurn, EOS].includes(input) ? { mode: 'done', stack: [] } : null;
+
+            case 'call': {
+                const next = { mode: 'call', stack: state.stack.slice() };
+                return this.stepFrame(next, input, special) ? next : null;
+            }
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Text without control tokens can follow (all ordinary tokens are allowed)
+     */
+    isFreeText(state) {
+        if (state.mode === 'reply') return true;
+        if (state.mode === 'start') return this.allowReply;
+        const top = state.stack.at(-1);
+        return state.mode === 'call' && top.type === 'string' && top.open && !top.enum;
+    }
+
+    /**
+     * The output may end here
+     */
+    isComplete(state) {
+        return state.mode === 'done' || state.mode === 'afterCall' || state.mode === 'reply';
+    }
+
+    /**
+     * Check decoded output against the grammar
+     * @param {string} text - Decoded with special tokens kept
+     * @returns {{valid: boolean, complete: boolean}}
+     */
+    check(text) {
+        let state = this.initial();
+
+        for (const part of text.split(CONTROL_PATTERN)) {
+            if (!part) continue;
+            if (CONTROL_TOKENS.includes(part)) {
+                state = this.step(state, part, true);
+                if (!state) return { valid: false, complete: false };
+                continue;
+            }
+            for (const char of part) {
+                state = this.step(state, char);
+                if (!state) return { valid: false, complete: false };
+            }
+        }
+
+        return { valid: true, complete: this.isComplete(state) };
+    }
+
+    openCall() {
+        return {
+            mode: 'call',
+            stack: [{ type: 'name', text: '' }, { type: 'literal', text: 'call:', position: 0 }],
+        };
+    }
+
+    /**
+     * Feed one input to the frame on top of the stack (mutates `state`;
+     * frames are replaced, never changed in place)
+     * @returns {boolean} Accepted
+     */
+    stepFrame(state, input, special) {
+        const { stack } = state;
+        const frame = stack.at(-1);
+
+        switch (frame.type) {
+            case 'literal': {
+                if (special || input !== frame.text[frame.position]) return false;
+                if (frame.position + 1 === frame.text.length) {
+                    stack.pop();
+                } else {
+                    stack[stack.length - 1] = { ...frame, position: frame.position + 1 };
+                }
+                return true;
+            }
+
+            case 'name': {
+                if (special) return false;
+                if (input === '{' && this.tools[frame.text]) {
+                    stack[stack.length - 1] = { type: 'close' };
+                    stack.push(objectFrame(this.tools[frame.text], this.allowMissing));
+                    return this.stepFrame(state, input, special);
+                }
+                const text = frame.text + input;
+                if (!this.names.some((name) => name.startsWith(text))) return false;
+                stack[stack.length - 1] = { ...frame, text };
+                return true;
+            }
+
+            case 'close': {
+                if (!special || input !== TOKENS.endCall) return false;
+                stack.pop();
+                state.mode = 'afterCall';
+                return true;
+            }
+
+            case 'object':
+                return this.stepObject(state, frame, input, special);
+
+            case 'array':
+                return this.stepArray(state, frame, input, special);
+
+            case 'string': {
+                if (special) {
+                    if (input !== ESCAPE) return false;
+                    if (!frame.open) {
+                        stack[stack.length - 1] = { ...frame, open: true };
+                        return true;
+                    }
+                    if (frame.enum && !frame.enum.includes(frame.text)) return false;
+                    stack.pop();
+                    return true;
+                }
+                if (!frame.open) return false;
+                if (frame.enum) {
+                    const text = frame.text + input;
+                    if (!frame.enum.some((value) => value.startsWith(text))) return false;
+                    stack[stack.length - 1] = { ...frame, text };
+                }
+                return true;
+            }
+
+            case 'number': {
+                const text = frame.text + input;
+                const pattern = frame.integer ? /^-?\d*$/ : /^-?\d*(\.\d*)?$/;
+                if (!special && pattern.test(text)) {
+                    stack[stack.length - 1] = { ...frame, text };
+                    return true;
+                }
+                // A delimiter ends the number; hand it to the parent
+                if (!/^-?\d+(\.\d+)?$/.test(frame.text)) return false;
+                stack.pop();
+                return this.stepFrame(state, input, special);
+            }
+
+            case 'word': {
+                const text = frame.text + input;
+                if (!special && frame.words.some((word) => word.startsWith(text))) {
+                    stack[stack.length - 1] = { ...frame, text };
+                    return true;
+                }
+                if (!frame.words.includes(frame.text)) return false;
+                stack.pop();
+                return this.stepFrame(state, input, special);
+            }
+
+            default:
+                return false;
+        }
+    }
+
+    stepObject(state, frame, input, special) {
+        const { stack } = state;
+        if (special) return false;
+
+        const keys = Object.keys(frame.properties).filter((key) => !frame.seen.includes(key));
+        const canClose = frame.required.every((key) => frame.seen.includes(key));
+
+        switch (frame.phase) {
+            case 'open':
+                if (input !== '{') return false;
+                stack[stack.length - 1] = { ...frame, phase: 'firstKey' };
+                return true;
+
+            case 'firstKey':
+            case 'key': {
+                if (input === '}' && frame.phase === 'firstKey' && frame.key === '' && canClose) {
+                    stack.pop();
+                    return true;
+                }
+                if (input === ':' && keys.includes(frame.key)) {
+                    stack[stack.length - 1] = {
+                        ...frame,
+                        phase: 'afterValue',
+                        key: '',
+                        seen: [...frame.seen, frame.key],
+                    };
+                    stack.push(valueFrame(frame.properties[frame.key]));
+                    return true;
+                }
+                const key = frame.key + input;
+                if (!keys.some((name) => name.startsWith(key))) return false;
+                stack[stack.length - 1] = { ...frame, key };
+                return true;
+            }
+
+            case 'afterValue':
+                if (input === ',' && keys.length > 0) {
+                    stack[stack.length - 1] = { ...frame, phase: 'key' };
+                    return true;
+                }
+                if (input === '}' && canClose) {
+                    stack.pop();
+                    return true;
+                }
+                return false;
+
+            default:
+                return false;
+        }
+    }
+
+    stepArray(state, frame, input, special) {
+        const { stack } = state;
+
+        if (frame.phase === 'open') {
+            if (special || input !== '[') return false;
+            stack[stack.length - 1] = { ...frame, phase: 'firstValue' };
+            return true;
+        }
+        if (frame.phase === 'afterValue') {
+            if (special) return false;
+            if (input === ',') {
+                stack[stack.length - 1] = { ...frame, phase: 'value' };
+                return true;
+            }
+            if (input === ']') {
+                stack.pop();
+                return true;
+            }
+            return false;
+        }
+
+        // firstValue / value: the next input starts an item
+        if (frame.phase === 'firstValue' && !special && input === ']') {
+            stack.pop();
+            return true;
+        }
+        stack[stack.length - 1] = { ...frame, phase: 'afterValue' };
+        stack.push(valueFrame(frame.items));
+        return this.stepFrame(state, input, special);
+    }
+}
+
+function objectFrame(schema = {}, allowMissing = false) {
+    return {
+        type: 'object',
+        phase: 'open',
+        properties: schema.properties || {},
+        required: allowMissing ? [] : schema.required || [],
+        seen: [],
+        key: '',
+    };
+}
+
+/**
+ * Matcher frame for a JSON schema property (untyped values are strings)
+ */
+function valueFrame(schema = {}) {
+    switch (schema.type) {
+        case 'number':
+            return { type: 'number', integer: false, text: '' };
+        case 'integer':
+            return { type: 'number', integer: true, text: '' };
+        case 'boolean':
+            return { type: 'word', words: ['true', 'false'], text: '' };
+        case 'array':
+            return { type: 'array', phase: 'open', items: schema.items || {} };
+        case 'object':
+            return objectFrame(schema);
+        default:
+            return { type: 'string', open: false, text: '', enum: schema.enum?.map(String) || null };
+    }
+}
+
+// Vocabulary indexes per tokenizer (built once, shared by every processor)
+const INDEXES = new WeakMap();
+
+/**
+ * Sorted text of every ordinary token, plus the control token IDs
+ * @param {Object} tokenizer - transformers.js tokenizer
+ */
+export function getVocabularyIndex(tokenizer) {
+    let index = INDEXES.get(tokenizer);
+    if (index) return index;
+
+    const vocab = tokenizer.model.vocab;
+    const added = new Set(tokenizer.added_tokens.map((token) => token.content));
+    const entries = [];
+    const textById = new Array(vocab.length);
+
+    for (let id = 0; id < vocab.length; id++) {
+        const token = vocab[id];
+        if (token === undefined || token === null || added.has(token)) continue;
+        const text = tokenText(token);
+        if (!text) continue;
+        textById[id] = text;
+        entries.push([text, id]);
+    }
+    entries.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+
+    const controlIds = new Map();
+    for (const token of CONTROL_TOKENS) {
+        const [id] = tokenizer.model.convert_tokens_to_ids([token]);
+        if (id !== undefined && id !== null) controlIds.set(token, id);
+    }
+
+    index = {
+        texts: entries.map(([text]) => text),
+        ids: Int32Array.from(entries.map(([, id]) => id)),
+        textById,
+        controlIds,
+        tokenById: new Map([...controlIds].map(([token, id]) => [id, token])),
+    };
+    INDEXES.set(tokenizer, index);
+    return index;
+}
+
+/**
+ * Vocabulary entry to the text it decodes to (SentencePiece spaces, ASCII byte
+ * fallback); other byte tokens are left out of constrained positions
+ */
+function tokenText(token) {
+    const byte = token.match(/^<0x([0-9A-F]{2})>$/);
+    if (byte) {
+        const code = parseInt(byte[1], 16);
+        return code < 0x80 ? String.fromCharCode(code) : null;
+    }
+    return token.replace(/▁/g, ' ');
+}
+
+/**
+ * Masks the logits to what the grammar allows
+ * Created per generation; if the output ever leaves the grammar (which the
+ * mask should prevent) it stops constraining and the caller's check reports it.
+ */
+export class ToolCallLogitsProcessor extends LogitsProcessor {
+    /**
+     * @param {ToolCallGrammar} grammar
+     * @param {ReturnType<typeof getVocabularyIndex>} index
+     * @param {number} promptLength - Tokens in the prompt (not matched)
+     */
+    constructor(grammar, index, promptLength) {
+        super();
+        this.grammar = grammar;
+        this.index = index;
+        this.state = grammar.initial();
+        this.consumed = promptLength;
+        this.failed = false;
+    }
+
+    _call(inputIds, logits) {
+        const ids = inputIds[0];
+
+        // Follow the tokens picked since the last step
+        while (!this.failed && this.consumed < ids.length) {
+            this.state = this.advance(this.state, Number(ids[this.consumed]));
+            this.consumed++;
+            if (!this.state) this.failed = true;
+        }
+        if (this.failed) return logits;
+
+        const data = logits[0].data;
+        const allowed = this.allowedTokens(this.state);
+        if (!allowed) {
+            this.failed = true;
+            return logits;
+        }
+
+        for (let id = 0; id < data.length; id++) {
+            if (!allowed(id)) data[id] = -Infinity;
+        }
+        return logits;
+    }
+
+    advance(state, id) {
+        const control = this.index.tokenById.get(id);
+        if (control) return this.grammar.step(state, control, true);
+
+        const text = this.index.textById[id];
+        if (text === undefined) return null;
+
+        for (const char of text) {
+            state = this.grammar.step(state, char);
+            if (!state) return null;
+        }
+        return state;
+    }
+
+    /**
+     * @returns {((id: number) => boolean)|null} Predicate over token IDs, null if nothing fits
+     */
+    allowedTokens(state) {
+        const controls = new Set();
+        for (const [token, id] of this.index.controlIds) {
+            if (this.grammar.step(state, token, true)) controls.add(id);
+        }
+
+        if (this.grammar.isFreeText(state)) {
+            const { textById } = this.index;
+            return (id) => textById[id] !== undefined || controls.has(id);
+        }
+
+        const allowed = new Set(controls);
+        this.explore(0, this.index.texts.length, 0, state, allowed);
+        return allowed.size > 0 ? (id) => allowed.has(id) : null;
+    }
+
+    /**
+     * Walk the sorted vocabulary: texts[lo, hi) share their first `depth`
+     * characters, which the grammar accepted as `state`
+     */
+    explore(lo, hi, depth, state, allowed) {
+        const { texts, ids } = this.index;
+        let i = lo;
+
+        // Tokens that end here fit entirely
+        while (i < hi && texts[i].length === depth) {
+            if (depth > 0) allowed.add(ids[i]);
+            i++;
+        }
+
+        while (i < hi) {
+            const char = texts[i][depth];
+            const end = groupEnd(texts, i, hi, depth, char);
+            const next = this.grammar.step(state, char);
+            if (next) {
+                if (this.grammar.isFreeText(next)) {
+                    for (let k = i; k < end; k++) allowed.add(ids[k]);
+                } else {
+                    this.explore(i, end, depth + 1, next, allowed);
+                }
+            }
+            i = end;
+        }
+    }
+}
+
+/**
+ * First index in [lo, hi) whose character at `depth` sorts after `char`
+ */
+function groupEnd(texts, lo, hi, depth, char) {
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (texts[mid][depth] <= char) {
+            lo = mid + 1;
+        } else {
+            hi = mid;
+        }
+    }
+    return lo;
+}
+
+export default ToolCallGrammar;
@@ -3,3 +3,13 @@
  */
 
 export { FunctionCaller } from './gemma.js';
+export { ConversationStore } from './conversation-store.js';
+export { IntentRouter } from './router.js';
+export { ToolExecutor, DEFAULT_MESSAGES } from './executor.js';
+export { buildPrompt, parseOutput, formatDeclaration, formatCall, formatResponse } from './format.js';
+export { ToolCallGrammar, ToolCallLogitsProcessor } from './grammar.js';
+export { validateParameters, describeErrors, toNumber } from './schema.js';
+export {
+    questionFor, isCancelPhrase, slotValue, confirmationFor, parseConfirmation, DEFAULT_CANCEL_PHRASES,
+} from './clarification.js';
+export { normalize, capitalize, listAnd, listOr } from './speech-text.js';
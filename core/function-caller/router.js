@@ -0,0 +1,162 @@
+/**
+ * Intent Router
+ * Rule-based fast path ahead of the model: "pause", "skip" or "what time is
+ * it" match a tool's route and run without a Gemma generation.
+ *
+ * Tools contribute routes in tools/definitions.js:
+ *
+ *   routes: [
+ *       { pattern: /^play (?<query>.+)$/i, confidence: 0.9 },
+ *       { pattern: /^(?:louder|turn it up)$/i, parameters: { action: 'volume_up' } },
+ *   ]
+ *
+ * Patterns are matched against the cleaned-up utterance (no punctuation, no
+ * "please" / "can you"); named groups become parameters, merged over the
+ * route's fixed `parameters`, and the result is validated against the tool
+ * schema. A match is only used when its confidence reaches minConfidence;
+ * anything less goes to the model.
+ */
+
+import { validateParameters } from './schema.js';
+
+// Slot values that point back at the conversation need memory the model has
+const REFERENCES = /\b(it|them|that|this|those|these|again|same|next one|last one)\b/i;
+
+// Politeness around a command
+const PREFIXES = /^(?:(?:please|hey|ok|okay|can you|could you|would you|will you|i want you to|i'd like you to)\s+)+/i;
+const SUFFIXES = /(?:\s+(?:please|for me|now|thanks|thank you))+$/i;
+
+export class IntentRouter {
+    /**
+     * @param {Object} options
+     * @param {number} [options.minConfidence] - Below this, the model decides (default: 0.75)
+     * @param {boolean} [options.debug]
+     */
+    constructor(options = {}) {
+        this.debug = options.debug || false;
+        this.minConfidence = options.minConfidence ?? 0.75;
+
+        /** @type {Array<{tool: string, schema: Object, pattern: RegExp, parameters: Object, confidence: number}>} */
+        this.routes = [];
+    }
+
+    log(...args) {
+        if (this.debug) {
+            console.log('[IntentRouter]', ...args);
+        }
+    }
+
+    /**
+     * Add a tool's routes (replaces routes it added before)
+     * @param {string} tool - Tool name
+     * @param {Object} schema - Tool schema, to validate extracted parameters
+     * @param {Array<{pattern: RegExp|string, parameters?: Object, confidence?: number}>} routes
+     */
+    addRoutes(tool, schema, routes = []) {
+        this.removeRoutes(tool);
+
+        for (const route of routes) {
+            const source = route.pattern instanceof RegExp ? route.pattern : new RegExp(route.pattern);
+            const flags = source.flags.includes('i') ? source.flags : `${source.flags}i`;
+
+            this.routes.push({
+                tool,
+                schema,
+                pattern: new RegExp(source.source, flags.replace('g', '')),
+                parameters: route.parameters || {},
+                confidence: route.confidence ?? 1,
+            });
+        }
+
+        if (routes.length > 0) {
+            this.log(`${routes.length} routes for ${tool}`);
+        }
+    }
+
+    /**
+     * @param {string} tool
+     */
+    removeRoutes(tool) {
+        this.routes = this.routes.filter((route) => route.tool !== tool);
+    }
+
+    /**
+     * Best matching route for an utterance
+     * @param {string} text
+     * @returns {{calls: Array<{name: string, parameters: Object}>, confidence: number, pattern: string}|null}
+     *     null when nothing matched; check `confidence` against minConfidence (or use accepts())
+     */
+    route(text) {
+        const command = clean(text);
+        if (!command) return null;
+
+        let best = null;
+        for (const route of this.routes) {
+            const match = command.match(route.pattern);
+            if (!match) continue;
+
+            const slots = Object.fromEntries(
+                Object.entries(match.groups || {}).filter(([, value]) => value !== undefined));
+            const { valid, parameters } = validateParameters(route.schema, { ...route.parameters, ...slots });
+            if (!valid) continue;
+
+            const confidence = route.confidence * coverage(match, command) * slotCertainty(slots);
+            if (!best || confidence > best.confidence) {
+                best = {
+                    calls: [{ name: route.tool, parameters }],
+                    confidence,
+                    pattern: route.pattern.source,
+                };
+            }
+        }
+
+        if (best) {
+            this.log(`"${command}" -> ${best.calls[0].name} (${best.confidence.toFixed(2)})`);
+        }
+        return best;
+    }
+
+    /**
+     * Whether a route() result is sure enough to skip the model
+     * @param {Object|null} routed
+     * @returns {boolean}
+     */
+    accepts(routed) {
+        return Boolean(routed) && routed.confidence >= this.minConfidence;
+    }
+}
+
+/**
+ * Utterance without punctuation, extra spaces and politeness
+ */
+function clean(text) {
+    return text
+        .replace(/[.,!?;:"]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(PREFIXES, '')
+        .replace(SUFFIXES, '')
+        .trim();
+}
+
+/**
+ * Share of the utterance the pattern matched (1 for anchored patterns)
+ */
+function coverage(match, command) {
+    return match[0].length / command.length;
+}
+
+/**
+ * Extracted values that may mean something else lower the confidence:
+ * references to earlier turns, or a second command joined with "and"
+ */
+function slotCertainty(slots) {
+    let certainty = 1;
+    for (const value of Object.values(slots)) {
+        if (REFERENCES.test(value)) certainty *= 0.5;
+        if (/\s(and|then)\s/i.test(value)) certainty *= 0.5;
+    }
+    return certainty;
+}
+
+export default IntentRouter;
@@ -0,0 +1,246 @@
+/**
+ * Tool Parameter Schemas
+ * Checks and coerces model-produced parameters against a tool's schema
+ * (the JSON schema subset used in tools/definitions.js: type, enum,
+ * required, items, properties, default) before the handler runs.
+ *
+ * Coercion is forgiving about how speech comes out of the model: "five" or
+ * "5" for a number, "volume up" for the enum value volume_up, "yes" for true.
+ * What cannot be fixed is reported as structured errors, not thrown, so the
+ * dialogue layer can ask again.
+ */
+
+/**
+ * @typedef {Object} ParameterError
+ * @property {string} field - Dotted path (e.g. 'minutes', 'tags.0')
+ * @property {'required'|'type'|'enum'} code
+ * @property {string} message - Short, speakable description
+ * @property {string} [expected] - Expected type
+ * @property {Array} [allowed] - Enum values
+ * @property {*} [received] - Value as the model produced it
+ */
+
+const UNITS = {
+    zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+    ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+    seventeen: 17, eighteen: 18, nineteen: 19, couple: 2, half: 0.5,
+};
+
+const TENS = {
+    twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90,
+};
+
+const SCALES = { hundred: 100, thousand: 1000 };
+
+// What "a" / "an" counts as one of ("a minute"), as opposed to "a lot"
+const MEASURES = /^(?:seconds?|secs?|minutes?|mins?|hours?|hrs?|days?|weeks?|months?|years?|times?)$/;
+
+const TRUE_WORDS = ['true', 'yes', 'yeah', 'on', 'enable', 'enabled'];
+const FALSE_WORDS = ['false', 'no', 'nope', 'off', 'disable', 'disabled'];
+
+/**
+ * Validate and coerce parameters for a tool
+ * @param {Object} schema - Tool schema ({ properties, required })
+ * @param {Object} parameters - As parsed from the model
+ * @returns {{valid: boolean, parameters: Object, errors: ParameterError[]}}
+ */
+export function validateParameters(schema, parameters) {
+    const errors = [];
+    const value = coerceObject(schema, parameters ?? {}, '', errors);
+    return { valid: errors.length === 0, parameters: value, errors };
+}
+
+function coerceObject(schema, input, path, errors) {
+    const properties = schema.properties || {};
+    const required = schema.required || [];
+    const source = input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+
+    // Without declared properties, pass everything through
+    if (Object.keys(properties).length === 0 && !schema.properties) return { ...source };
+
+    const output = {};
+    for (const [key, property] of Object.entries(properties)) {
+        const field = path ? `${path}.${key}` : key;
+
+        if (isMissing(source[key])) {
+            if (required.includes(key)) {
+                errors.push({ field, code: 'required', message: `${label(field)} is missing` });
+            } else if (property.default !== undefined) {
+                output[key] = property.default;
+            }
+            continue;
+        }
+
+        const value = coerceValue(property, source[key], field, errors);
+        if (value !== undefined) output[key] = value;
+    }
+    return output;
+}
+
+/**
+ * @returns {*} Coerced value, or undefined after pushing an error
+ */
+function coerceValue(schema, value, field, errors) {
+    const typeError = (expected) => {
+        errors.push({ field, code: 'type', message: `${label(field)} should be ${article(expected)}`, expected, received: value });
+        return undefined;
+    };
+
+    let result;
+    switch (schema.type) {
+        case 'number':
+        case 'integer': {
+            result = toNumber(value);
+            if (result === null) return typeError(schema.type);
+            if (schema.type === 'integer' && !Number.isInteger(result)) return typeError('integer');
+            break;
+        }
+
+        case 'boolean': {
+            result = toBoolean(value);
+            if (result === null) return typeError('boolean');
+            break;
+        }
+
+        case 'array': {
+            const items = Array.isArray(value) ? value : [value];
+            result = [];
+            items.forEach((item, index) => {
+                const coerced = coerceValue(schema.items || {}, item, `${field}.${index}`, errors);
+                if (coerced !== undefined) result.push(coerced);
+            });
+            break;
+        }
+
+        case 'object': {
+            if (typeof value !== 'object' || value === null || Array.isArray(value)) return typeError('object');
+            result = coerceObject(schema, value, field, errors);
+            break;
+        }
+
+        case 'string': {
+            if (typeof value === 'object') return typeError('string');
+            result = String(value).trim();
+            break;
+        }
+
+        default:
+            result = typeof value === 'string' ? value.trim() : value;
+    }
+
+    if (schema.enum) {
+        const match = matchEnum(schema.enum, result);
+        if (match === undefined) {
+            errors.push({
+                field,
+                code: 'enum',
+                message: `${label(field)} should be one of ${schema.enum.join(', ')}`,
+                allowed: schema.enum,
+                received: value,
+            });
+            return undefined;
+        }
+        result = match;
+    }
+
+    return result;
+}
+
+function isMissing(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Enum member for a value, ignoring case, spaces and dashes ("Volume up" -> volume_up)
+ */
+function matchEnum(values, value) {
+    if (values.includes(value)) return value;
+
+    const normalize = (item) => String(item).trim().toLowerCase().replace(/[\s-]+/g, '_');
+    const target = normalize(value);
+    return values.find((item) => normalize(item) === target);
+}
+
+/**
+ * Number from a number, a numeric string ("5", "5 minutes") or words
+ * ("five", "twenty five", "a hundred and ten", "half", "a minute")
+ * @param {*} value
+ * @returns {number|null}
+ */
+export function toNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (typeof value !== 'string') return null;
+
+    const text = value.trim().toLowerCase();
+    const numeric = text.match(/^-?\d+(\.\d+)?(?=\s|$)/);
+    if (numeric) return Number(numeric[0]);
+
+    return parseNumberWords(text);
+}
+
+/**
+ * Leading number words to a number; null if the text does not start with one
+ * @param {string} text - Lower case
+ * @returns {number|null}
+ */
+export function parseNumberWords(text) {
+    const words = text.replace(/-/g, ' ').split(/\s+/).filter(Boolean);
+    let total = 0;
+    let current = 0;
+    let matched = false;
+    let article = false;
+
+    for (const word of words) {
+        if (word === 'and' && matched) continue;
+
+        // "a" is one before a unit ("a minute"), nothing in "a hundred",
+        // "one and a half" or "a lot"
+        if (word === 'a' || word === 'an') {
+            article = true;
+            continue;
+        }
+
+        if (word in UNITS) {
+            current += UNITS[word];
+        } else if (word in TENS) {
+            current += TENS[word];
+        } else if (word in SCALES) {
+            current = (current || 1) * SCALES[word];
+            if (SCALES[word] >= 1000) {
+                total += current;
+                current = 0;
+            }
+        } else {
+            if (!matched && article && MEASURES.test(word)) return 1;
+            break;
+        }
+        matched = true;
+    }
+
+    return matched ? total + current : null;
+}
+
+function toBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    const text = String(value).trim().toLowerCase();
+    if (TRUE_WORDS.includes(text)) return true;
+    if (FALSE_WORDS.includes(text)) return false;
+    return null;
+}
+
+function label(field) {
+    return field.replace(/[._]/g, ' ');
+}
+
+function article(type) {
+    return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+/**
+ * One sentence for a list of errors, for replies and logs
+ * @param {ParameterError[]} errors
+ * @returns {string}
+ */
+export function describeErrors(errors) {
+    return errors.map((error) => error.message).join('; ');
+}
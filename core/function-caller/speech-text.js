@@ -0,0 +1,45 @@
+/**
+ * Speech Text
+ * Small helpers for reading what was said and phrasing what is said back,
+ * shared by the clarification dialogs and the tools.
+ */
+
+/**
+ * Lower case, no punctuation, single spaces: "The Pizza timer!" -> "the pizza timer"
+ * @param {*} text
+ * @returns {string}
+ */
+export function normalize(text) {
+    return String(text).trim().toLowerCase().replace(/[.,!?]/g, '').replace(/\s+/g, ' ');
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+export function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * "a, b and c"
+ * @param {string[]} items
+ * @returns {string}
+ */
+export function listAnd(items) {
+    return joinList(items, 'and');
+}
+
+/**
+ * "a, b or c"
+ * @param {string[]} items
+ * @returns {string}
+ */
+export function listOr(items) {
+    return joinList(items, 'or');
+}
+
+function joinList(items, conjunction) {
+    if (items.length <= 1) return items.join('');
+    return `${items.slice(0, -1).join(', ')} ${conjunction} ${items[items.length - 1]}`;
+}
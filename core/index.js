@@ -3,8 +3,21 @@
  */
 
 export { VoicePipeline } from './pipeline.js';
+export { ModelPool } from './model-pool.js';
+export { TaskManager } from './task-manager.js';
+export { ReminderScheduler, TimerManager, JsonStore, systemClock, ManualClock, parseTime, parseDuration, describeTime, describeDuration } from './scheduler/index.js';
 export { WakeWordDetector } from './wakeword/detector.js';
 export { VADProcessor } from './wakeword/vad.js';
 export { SpeechToText } from './stt/whisper.js';
+export { WhisperServerSTT } from './stt/whisper-server.js';
 export { FunctionCaller } from './function-caller/gemma.js';
+export { ConversationStore } from './function-caller/conversation-store.js';
+export { IntentRouter } from './function-caller/router.js';
+export { ToolExecutor } from './function-caller/executor.js';
 export { TextToSpeech } from './tts/supertonic.js';
+export { PcmConverter, Resampler, AudioMixer, decodeOpusStream } from './audio/index.js';
+export { ModelResolver, getModelResolver, setModelResolver } from './models/resolver.js';
+export { EngineRegistry, engines, createDefaultRegistry, DEFAULT_ENGINES } from './engines/registry.js';
+export { InferenceWorker } from './workers/inference-worker.js';
+export { WorkerSpeechToText, WorkerFunctionCaller, WorkerTextToSpeech } from './workers/engines.js';
+export { ENGINE_KINDS, ENGINE_METHODS, assertEngine } from './engines/interfaces.js';
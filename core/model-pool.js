@@ -0,0 +1,155 @@
+/**
+ * Model Pool
+ * Reference-counted sharing of loaded models between pipelines, plus a fair
+ * scheduler for heavy inference.
+ *
+ * Engines acquire their sessions by key (e.g. 'stt:whisper-tiny:q8'); the first
+ * acquire loads, later ones reuse, and the last release disposes. Per-pipeline
+ * state (wake word buffers, VAD state, conversation, tools) stays in the engine
+ * instances, only the weights are shared.
+ *
+ * Inference submitted through schedule() runs one job at a time (by default),
+ * taking turns between owners so one busy guild cannot starve the others.
+ */
+
+import { EventEmitter } from 'events';
+
+export class ModelPool extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {number} [options.concurrency] - Inference jobs run at once (default: 1)
+     * @param {boolean} [options.debug]
+     */
+    constructor(options = {}) {
+        super();
+
+        this.debug = options.debug || false;
+        this.concurrency = options.concurrency || 1;
+
+        /** @type {Map<string, {promise: Promise, refs: number, release: Function|null}>} */
+        this.entries = new Map();
+
+        // Per-owner FIFO queues; Map order doubles as the round-robin order
+        this.queues = new Map();
+        this.running = 0;
+    }
+
+    log(...args) {
+        if (this.debug) {
+            console.log('[ModelPool]', ...args);
+        }
+    }
+
+    /**
+     * Get a shared resource, loading it on first use
+     * @template T
+     * @param {string} key - Identity of the loaded model (include anything that changes the weights)
+     * @param {() => Promise<T>} load - Loader, called once per key
+     * @param {(value: T) => Promise<void>|void} [release] - Disposer, called when the last user releases
+     * @returns {Promise<T>}
+     */
+    async acquire(key, load, release = null) {
+        let entry = this.entries.get(key);
+
+        if (!entry) {
+            this.log('Loading:', key);
+            entry = { promise: Promise.resolve().then(load), refs: 0, release };
+            this.entries.set(key, entry);
+
+            // A failed load must not poison the key for later attempts
+            entry.promise.catch(() => {
+                if (this.entries.get(key) === entry) {
+                    this.entries.delete(key);
+                }
+            });
+        } else {
+            this.log('Sharing:', key);
+        }
+
+        entry.refs++;
+        try {
+            return await entry.promise;
+        } catch (error) {
+            entry.refs--;
+            throw error;
+        }
+    }
+
+    /**
+     * Drop one reference; disposes the resource when nobody uses it anymore
+     * @param {string} key
+     */
+    async release(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return;
+
+        entry.refs--;
+        if (entry.refs > 0) return;
+
+        this.entries.delete(key);
+        this.log('Disposing:', key);
+        const value = await entry.promise.catch(() => null);
+        if (value !== null && entry.release) {
+            await entry.release(value);
+        }
+    }
+
+    /**
+     * Run an inference job when it is this owner's turn
+     * @template T
+     * @param {string} owner - Who the work is for (e.g. guild ID)
+     * @param {() => Promise<T>} task
+     * @returns {Promise<T>}
+     */
+    schedule(owner, task) {
+        return new Promise((resolve, reject) => {
+            if (!this.queues.has(owner)) {
+                this.queues.set(owner, []);
+            }
+            this.queues.get(owner).push({ task, resolve, reject });
+            this.drain();
+        });
+    }
+
+    drain() {
+        while (this.running < this.concurrency) {
+            const job = this.nextJob();
+            if (!job) return;
+
+            this.running++;
+            Promise.resolve()
+                .then(job.task)
+                .then(job.resolve, job.reject)
+                .finally(() => {
+                    this.running--;
+                    this.drain();
+                });
+        }
+    }
+
+    nextJob() {
+        for (const [owner, queue] of this.queues) {
+            const job = queue.shift();
+            // Move the owner to the back so the next job goes to someone else
+            this.queues.delete(owner);
+            if (queue.length > 0) {
+                this.queues.set(owner, queue);
+            }
+            if (job) return job;
+        }
+        return null;
+    }
+
+    /**
+     * Loaded resources and queue depth, for status output
+     */
+    getStats() {
+        return {
+            models: [...this.entries].map(([key, entry]) => ({ key, refs: entry.refs })),
+            running: this.running,
+            queued: [...this.queues.values()].reduce((sum, queue) => sum + queue.length, 0),
+        };
+    }
+}
+
+export default ModelPool;
@@ -0,0 +1,18 @@
+/**
+ * Model store exports
+ */
+
+export { ModelResolver, getModelResolver, setModelResolver } from './resolver.js';
+export { ModelStore, LOCK_FILE } from './store.js';
+export {
+    MODEL_ARTIFACTS,
+    MODEL_GROUPS,
+    DEFAULT_GROUPS,
+    MODE_GROUPS,
+    TTS_VOICES,
+    getArtifact,
+    getGroupArtifact,
+    getGroupArtifacts,
+    getModeArtifacts,
+    getLayoutGroup,
+} from './manifest.js';
@@ -0,0 +1,261 @@
+/**
+ * Model Manifest
+ * Single source of truth for every model file the assistant uses.
+ * The model manager pulls exactly these files and the loaders resolve them
+ * by path, so what gets pre-downloaded is what actually runs.
+ *
+ * An artifact can be pinned to a `sha256` and `size` in pins.json next to
+ * this file, so `verify` can catch a file that was corrupt from the start.
+ * Unpinned ones are only checked against the hash seen on first download
+ * (the lock file). `npm run models -- pin` fills in pins.json; it needs to
+ * reach Hugging Face.
+ */
+
+import { readFileSync } from 'fs';
+
+// { "<store path>": { sha256, size } }, written by `npm run models -- pin`
+export const PINS_FILE = new URL('./pins.json', import.meta.url);
+const PINS = JSON.parse(readFileSync(PINS_FILE, 'utf8'));
+
+const HEYBUDDY_BASE = 'https://huggingface.co/benjamin-paine/hey-buddy/resolve/main';
+const SUPERTONIC_ONNX_BASE = 'https://huggingface.co/onnx-community/Supertonic-TTS-2-ONNX/resolve/main';
+const SUPERTONE_BASE = 'https://huggingface.co/Supertone/supertonic-2/resolve/main';
+const HF_BASE = 'https://huggingface.co';
+
+export const TTS_VOICES = ['M1', 'M2', 'M3', 'M4', 'M5', 'F1', 'F2', 'F3', 'F4', 'F5'];
+
+/**
+ * Artifact groups. `root` is the directory inside the model store.
+ */
+export const MODEL_GROUPS = {
+    wakeword: {
+        description: 'HeyBuddy wake word classifiers',
+        root: 'wakeword',
+    },
+    pretrained: {
+        description: 'HeyBuddy VAD, mel spectrogram and speech embedding',
+        root: 'pretrained',
+    },
+    tts: {
+        description: 'Supertonic 2 TTS (onnx-community layout)',
+        root: 'tts',
+        layout: 'onnx-community',
+    },
+    'tts-supertone': {
+        description: 'Supertonic 2 TTS (Supertone layout)',
+        root: 'supertonic-2',
+        layout: 'supertone',
+    },
+    // transformers.js repos keep the <org>/<model> layout it resolves locally
+    'whisper-tiny': {
+        description: 'Whisper tiny.en speech recognition',
+        root: 'Xenova/whisper-tiny.en',
+    },
+    'whisper-base': {
+        description: 'Whisper base speech recognition',
+        root: 'Xenova/whisper-base',
+    },
+    'whisper-small': {
+        description: 'Whisper small speech recognition',
+        root: 'Xenova/whisper-small',
+    },
+    gemma: {
+        description: 'FunctionGemma 270M function calling',
+        root: 'onnx-community/functiongemma-270m-it-ONNX',
+    },
+};
+
+/**
+ * Groups each performance mode needs. Mirrors VoicePipeline.getPerformanceConfig().
+ */
+export const MODE_GROUPS = {
+    potato: ['wakeword', 'pretrained', 'tts', 'whisper-tiny', 'gemma'],
+    balanced: ['wakeword', 'pretrained', 'tts', 'whisper-base', 'gemma'],
+    quality: ['wakeword', 'pretrained', 'tts', 'whisper-small', 'gemma'],
+};
+
+/**
+ * Groups pulled by `npm run download-models` when none are given
+ */
+export const DEFAULT_GROUPS = MODE_GROUPS.potato;
+
+/**
+ * @param {string} group - Key of MODEL_GROUPS
+ * @param {string} baseUrl - Repository download root
+ * @param {Array<string|Object>} files - File names, or { file, modes, sha256, size }
+ */
+function fromRepo(group, baseUrl, files) {
+    const { root } = MODEL_GROUPS[group];
+    return files.map((entry) => {
+        const { file, ...extra } = typeof entry === 'string' ? { file: entry } : entry;
+        return {
+            group,
+            path: `${root}/${file}`,
+            url: `${baseUrl}/${file}`,
+            ...extra,
+        };
+    });
+}
+
+const TRANSFORMERS_CONFIG = ['config.json', 'generation_config.json', 'tokenizer.json', 'tokenizer_config.json'];
+
+/**
+ * @typedef {Object} ModelArtifact
+ * @property {string} group - Key of MODEL_GROUPS
+ * @property {string} path - Path relative to the model store
+ * @property {string} url - Remote download URL
+ * @property {string[]} [modes] - Performance modes using this file (default: every mode of the group)
+ * @property {string} [sha256] - Pinned SHA-256 of the file (from pins.json)
+ * @property {number} [size] - Pinned size in bytes (from pins.json)
+ */
+
+/** @type {ModelArtifact[]} */
+const ARTIFACTS = [
+    // Wake word classifiers (local names follow the wake word option, not the repo file)
+    { group: 'wakeword', path: 'wakeword/hey-buddy.onnx', url: `${HEYBUDDY_BASE}/models/hey-buddy.onnx` },
+    { group: 'wakeword', path: 'wakeword/ok-buddy.onnx', url: `${HEYBUDDY_BASE}/models/okay-buddy.onnx` },
+    { group: 'wakeword', path: 'wakeword/hi-buddy.onnx', url: `${HEYBUDDY_BASE}/models/hi-buddy.onnx` },
+
+    // Wake word feature pipeline
+    { group: 'pretrained', path: 'pretrained/silero-vad.onnx', url: `${HEYBUDDY_BASE}/pretrained/silero-vad.onnx` },
+    { group: 'pretrained', path: 'pretrained/mel-spectrogram.onnx', url: `${HEYBUDDY_BASE}/pretrained/mel-spectrogram.onnx` },
+    { group: 'pretrained', path: 'pretrained/speech-embedding.onnx', url: `${HEYBUDDY_BASE}/pretrained/speech-embedding.onnx` },
+
+    // Supertonic 2, onnx-community export (default)
+    ...fromRepo('tts', SUPERTONIC_ONNX_BASE, [
+        'config.json',
+        'tokenizer.json',
+        'tokenizer_config.json',
+        'onnx/text_encoder.onnx',
+        'onnx/text_encoder.onnx_data',
+        'onnx/latent_denoiser.onnx',
+        'onnx/latent_denoiser.onnx_data',
+        'onnx/voice_decoder.onnx',
+        'onnx/voice_decoder.onnx_data',
+        ...TTS_VOICES.map((voice) => `voices/${voice}.bin`),
+    ]),
+
+    // Supertonic 2, original Supertone export
+    ...fromRepo('tts-supertone', SUPERTONE_BASE, [
+        'tts.json',
+        'unicode_indexer.json',
+        'onnx/duration_predictor.onnx',
+        'onnx/text_encoder.onnx',
+        'onnx/vector_estimator.onnx',
+        'onnx/vocoder.onnx',
+        ...TTS_VOICES.map((voice) => `voice_styles/${voice}.json`),
+    ]),
+
+    // Whisper - potato runs tiny quantized, balanced base quantized, quality small fp32
+    ...fromRepo('whisper-tiny', `${HF_BASE}/Xenova/whisper-tiny.en/resolve/main`, [
+        ...TRANSFORMERS_CONFIG,
+        'preprocessor_config.json',
+        'onnx/encoder_model_quantized.onnx',
+        'onnx/decoder_model_merged_quantized.onnx',
+    ]),
+    ...fromRepo('whisper-base', `${HF_BASE}/Xenova/whisper-base/resolve/main`, [
+        ...TRANSFORMERS_CONFIG,
+        'preprocessor_config.json',
+        'onnx/encoder_model_quantized.onnx',
+        'onnx/decoder_model_merged_quantized.onnx',
+    ]),
+    ...fromRepo('whisper-small', `${HF_BASE}/Xenova/whisper-small/resolve/main`, [
+        ...TRANSFORMERS_CONFIG,
+        'preprocessor_config.json',
+        'onnx/encoder_model.onnx',
+        'onnx/decoder_model_merged.onnx',
+    ]),
+
+    // FunctionGemma - quantized only in potato mode
+    ...fromRepo('gemma', `${HF_BASE}/onnx-community/functiongemma-270m-it-ONNX/resolve/main`, [
+        ...TRANSFORMERS_CONFIG,
+        { file: 'onnx/model_quantized.onnx', modes: ['potato'] },
+        { file: 'onnx/model.onnx', modes: ['balanced', 'quality'] },
+        // fp32 weights live in an external data file next to the graph
+        { file: 'onnx/model.onnx_data', modes: ['balanced', 'quality'] },
+    ]),
+];
+
+/** @type {ModelArtifact[]} */
+export const MODEL_ARTIFACTS = ARTIFACTS.map((artifact) => ({ ...artifact, ...PINS[artifact.path] }));
+
+/**
+ * Artifacts with no pinned hash or size (pins.json is out of date)
+ * @returns {ModelArtifact[]}
+ */
+export function getUnpinnedArtifacts() {
+    return MODEL_ARTIFACTS.filter((artifact) => !artifact.sha256 || artifact.size == null);
+}
+
+const ARTIFACTS_BY_PATH = new Map(MODEL_ARTIFACTS.map((artifact) => [artifact.path, artifact]));
+
+/**
+ * Look up an artifact by its store path
+ * @param {string} path - e.g. 'pretrained/silero-vad.onnx'
+ * @returns {ModelArtifact}
+ */
+export function getArtifact(path) {
+    const artifact = ARTIFACTS_BY_PATH.get(path);
+    if (!artifact) {
+        throw new Error(`Model file not in manifest: ${path}`);
+    }
+    return artifact;
+}
+
+/**
+ * Look up an artifact by group and path relative to the group root
+ * @param {string} group - Key of MODEL_GROUPS
+ * @param {string} file - e.g. 'onnx/vocoder.onnx'
+ * @returns {ModelArtifact}
+ */
+export function getGroupArtifact(group, file) {
+    const info = MODEL_GROUPS[group];
+    if (!info) {
+        throw new Error(`Unknown model group: ${group}`);
+    }
+    return getArtifact(`${info.root}/${file}`);
+}
+
+/**
+ * All artifacts of a group
+ * @param {string} group
+ * @returns {ModelArtifact[]}
+ */
+export function getGroupArtifacts(group) {
+    if (!MODEL_GROUPS[group]) {
+        throw new Error(`Unknown model group: ${group}`);
+    }
+    return MODEL_ARTIFACTS.filter((artifact) => artifact.group === group);
+}
+
+/**
+ * Artifacts needed to run a performance mode
+ * @param {string} mode - 'potato' | 'balanced' | 'quality'
+ * @param {string[]} [groups] - Restrict to these groups
+ * @returns {ModelArtifact[]}
+ */
+export function getModeArtifacts(mode, groups = null) {
+    const modeGroups = MODE_GROUPS[mode];
+    if (!modeGroups) {
+        throw new Error(`Unknown performance mode: ${mode}`);
+    }
+    return MODEL_ARTIFACTS.filter((artifact) =>
+        modeGroups.includes(artifact.group) &&
+        (!groups || groups.includes(artifact.group)) &&
+        (!artifact.modes || artifact.modes.includes(mode)));
+}
+
+/**
+ * Find the group that holds a TTS layout
+ * @param {string} layout - 'onnx-community' | 'supertone'
+ * @returns {string}
+ */
+export function getLayoutGroup(layout) {
+    const entry = Object.entries(MODEL_GROUPS).find(([, info]) => info.layout === layout);
+    if (!entry) {
+        throw new Error(`Unknown TTS layout: ${layout}`);
+    }
+    return entry[0];
+}
+
+export default MODEL_ARTIFACTS;
@@ -0,0 +1,207 @@
+/**
+ * Model Resolver
+ * Finds model files in the local model store before touching the network
+ *
+ * Lookup order:
+ *   1. <modelsDir>/<relative path>  (populated by `npm run download-models`)
+ *   2. Remote URL, only when remote loading is allowed (saved into the store)
+ *
+ * In strict offline mode a missing file is a hard error that names the
+ * expected path, so a car PC without internet fails fast instead of hanging.
+ */
+
+import { access, mkdir, readFile, rename, writeFile } from 'fs/promises';
+import { dirname, join, resolve } from 'path';
+
+const DEFAULT_MODELS_DIR = './models';
+
+export class ModelResolver {
+    /**
+     * @param {Object} options
+     * @param {string} [options.modelsDir] - Local model store (default: $MODELS_DIR or ./models)
+     * @param {boolean} [options.allowRemote] - Fetch missing files from the network (default: true)
+     * @param {boolean} [options.offline] - Strict offline mode, never touch the network
+     * @param {boolean} [options.saveRemote] - Write fetched files into the store (default: true)
+     * @param {boolean} [options.debug]
+     */
+    constructor(options = {}) {
+        this.debug = options.debug || false;
+        this.modelsDir = resolve(options.modelsDir || process.env.MODELS_DIR || DEFAULT_MODELS_DIR);
+        this.offline = options.offline ?? process.env.MODELS_OFFLINE === 'true';
+        this.allowRemote = !this.offline &&
+            (options.allowRemote ?? process.env.ALLOW_REMOTE_MODELS !== 'false');
+        this.saveRemote = options.saveRemote !== false;
+    }
+
+    log(...args) {
+        if (this.debug) {
+            console.log('[Models]', ...args);
+        }
+    }
+
+    /**
+     * Absolute path of a file inside the model store
+     * @param {string} relPath - Path relative to the store root
+     */
+    localPath(relPath) {
+        return join(this.modelsDir, relPath);
+    }
+
+    async exists(relPath) {
+        try {
+            await access(this.localPath(relPath));
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Make sure a file is available locally and return its absolute path
+     * @param {string} relPath - Path relative to the store root
+     * @param {string} url - Remote fallback URL
+     * @returns {Promise<string>}
+     */
+    async resolveFile(relPath, url) {
+        const path = this.localPath(relPath);
+
+        if (await this.exists(relPath)) {
+            this.log('Local:', relPath);
+            return path;
+        }
+
+        const data = await this.fetchRemote(relPath, url);
+        await this.save(path, data);
+        return path;
+    }
+
+    /**
+     * Load a binary model file (ONNX, voice embeddings, ...)
+     * @param {string} relPath - Path relative to the store root
+     * @param {string} url - Remote fallback URL
+     * @returns {Promise<Uint8Array>}
+     */
+    async loadBinary(relPath, url) {
+        if (await this.exists(relPath)) {
+            this.log('Local:', relPath);
+            return new Uint8Array(await readFile(this.localPath(relPath)));
+        }
+
+        const data = await this.fetchRemote(relPath, url);
+        if (this.saveRemote) {
+            await this.save(this.localPath(relPath), data);
+        }
+        return data;
+    }
+
+    /**
+     * Load a JSON file (configs, indexers, voice styles)
+     * @param {string} relPath - Path relative to the store root
+     * @param {string} url - Remote fallback URL
+     */
+    async loadJson(relPath, url) {
+        const data = await this.loadBinary(relPath, url);
+        return JSON.parse(Buffer.from(data).toString('utf8'));
+    }
+
+    /**
+     * Manifest-aware variants of the loaders above
+     * @param {import('./manifest.js').ModelArtifact} artifact
+     */
+    resolveArtifact(artifact) {
+        return this.resolveFile(artifact.path, artifact.url);
+    }
+
+    loadArtifactBinary(artifact) {
+        return this.loadBinary(artifact.path, artifact.url);
+    }
+
+    loadArtifactJson(artifact) {
+        return this.loadJson(artifact.path, artifact.url);
+    }
+
+    async fetchRemote(relPath, url) {
+        if (!this.allowRemote) {
+            const reason = this.offline ? 'offline mode is enabled' : 'remote models are disabled';
+            throw new Error(
+                `Model file not found: ${this.localPath(relPath)} (${reason}). ` +
+                'Run `npm run download-models` on a machine with internet and copy the models directory.'
+            );
+        }
+
+        this.log('Downloading:', url);
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to download model ${url}: ${response.status} ${response.statusText}`);
+        }
+        return new Uint8Array(await response.arrayBuffer());
+    }
+
+    async save(path, data) {
+        // Write to a temp file first so a crash never leaves a truncated model behind
+        await mkdir(dirname(path), { recursive: true });
+        const tmpPath = `${path}.tmp`;
+        await writeFile(tmpPath, data);
+        await rename(tmpPath, path);
+        this.log('Saved:', path);
+    }
+
+    /**
+     * Point transformers.js at the model store
+     * Whisper and Gemma repos live at <modelsDir>/<org>/<model>/...
+     * @param {Object} env - `env` export of @huggingface/transformers
+     */
+    configureTransformers(env) {
+        env.allowLocalModels = true;
+        env.localModelPath = this.modelsDir;
+        env.allowRemoteModels = this.allowRemote;
+        // Remote downloads land in the same layout, so the next boot is local
+        env.cacheDir = this.modelsDir;
+    }
+
+    /**
+     * Per-call options for transformers.js `from_pretrained` / `pipeline`
+     */
+    transformersOptions() {
+        return {
+            cache_dir: this.modelsDir,
+            local_files_only: !this.allowRemote,
+        };
+    }
+
+    /**
+     * Plain options that recreate this resolver (e.g. inside a worker thread)
+     */
+    toOptions() {
+        return {
+            modelsDir: this.modelsDir,
+            allowRemote: this.allowRemote,
+            offline: this.offline,
+            saveRemote: this.saveRemote,
+            debug: this.debug,
+        };
+    }
+}
+
+let defaultResolver = null;
+
+/**
+ * Shared resolver configured from the environment
+ * @returns {ModelResolver}
+ */
+export function getModelResolver() {
+    if (!defaultResolver) {
+        defaultResolver = new ModelResolver({ debug: process.env.DEBUG === 'true' });
+    }
+    return defaultResolver;
+}
+
+/**
+ * Replace the shared resolver (e.g. from adapter config)
+ * @param {ModelResolver} resolver
+ */
+export function setModelResolver(resolver) {
+    defaultResolver = resolver;
+}
+
+export default ModelResolver;
@@ -0,0 +1,403 @@
+/**
+ * Model Store
+ * Manages the local model directory: what is installed, resumable
+ * downloads with SHA-256 checks, pruning and offline bundles.
+ *
+ * Hashes come from the manifest pins (core/models/pins.json) when a file is
+ * pinned; otherwise from the Hugging Face LFS headers (or the downloaded
+ * bytes) on first pull, so a bad first download is trusted. Either way they
+ * are recorded in <modelsDir>/models.lock.json, which `verify` checks against.
+ *
+ * The store shares its directory with the transformers.js cache, so only
+ * files the manifest lists are ever deleted.
+ */
+
+import { EventEmitter } from 'events';
+import { createHash } from 'crypto';
+import { createReadStream, createWriteStream } from 'fs';
+import { mkdir, readFile, readdir, rename, stat, unlink, writeFile } from 'fs/promises';
+import { dirname, join, relative, resolve, sep } from 'path';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { MODEL_ARTIFACTS } from './manifest.js';
+
+const execFileAsync = promisify(execFile);
+
+export const LOCK_FILE = 'models.lock.json';
+const PARTIAL_SUFFIX = '.partial';
+const SHA256_PATTERN = /^[a-f0-9]{64}$/;
+
+export class ModelStore extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {string} [options.modelsDir] - Local model store (default: $MODELS_DIR or ./models)
+     * @param {boolean} [options.debug]
+     */
+    constructor(options = {}) {
+        super();
+
+        this.debug = options.debug || false;
+        this.modelsDir = resolve(options.modelsDir || process.env.MODELS_DIR || './models');
+        this.lockPath = join(this.modelsDir, LOCK_FILE);
+    }
+
+    log(...args) {
+        if (this.debug) {
+            console.log('[ModelStore]', ...args);
+        }
+    }
+
+    localPath(relPath) {
+        return join(this.modelsDir, relPath);
+    }
+
+    async readLock() {
+        try {
+            return JSON.parse(await readFile(this.lockPath, 'utf8'));
+        } catch {
+            return { version: 1, files: {} };
+        }
+    }
+
+    async writeLock(lock) {
+        await mkdir(this.modelsDir, { recursive: true });
+        await writeFile(this.lockPath, JSON.stringify(lock, null, 2) + '\n');
+    }
+
+    async fileSize(path) {
+        try {
+            return (await stat(path)).size;
+        } catch {
+            return null;
+        }
+    }
+
+    async hashFile(path) {
+        const hash = createHash('sha256');
+        await pipeline(createReadStream(path), hash);
+        return hash.digest('hex');
+    }
+
+    /**
+     * Installed state of each artifact (sizes only, no hashing)
+     * @param {import('./manifest.js').ModelArtifact[]} artifacts
+     */
+    async status(artifacts = MODEL_ARTIFACTS) {
+        const lock = await this.readLock();
+        return Promise.all(artifacts.map(async (artifact) => {
+            const path = this.localPath(artifact.path);
+            return {
+                artifact,
+                size: await this.fileSize(path),
+                partialSize: await this.fileSize(path + PARTIAL_SUFFIX),
+                locked: lock.files[artifact.path] || null,
+            };
+        }));
+    }
+
+    /**
+     * Ask the server for the expected hash and size without downloading.
+     * Hugging Face answers LFS files with a redirect carrying X-Linked-Etag/X-Linked-Size.
+     */
+    async probe(artifact) {
+        try {
+            const response = await fetch(artifact.url, { method: 'HEAD', redirect: 'manual' });
+            const etag = (response.headers.get('x-linked-etag') || response.headers.get('etag') || '')
+                .replace(/^W\//, '')
+                .replace(/"/g, '');
+            const size = response.headers.get('x-linked-size') || response.headers.get('content-length');
+            return {
+                sha256: SHA256_PATTERN.test(etag) ? etag : null,
+                size: size ? Number(size) : null,
+            };
+        } catch (error) {
+            this.log('Probe failed:', artifact.url, error.message);
+            return { sha256: null, size: null };
+        }
+    }
+
+    /**
+     * Expected hash and size of an artifact as the server has it, for pinning
+     * LFS files answer from their headers; small files kept in git are
+     * downloaded and hashed in memory.
+     * @returns {Promise<{sha256: string, size: number}>}
+     */
+    async fetchPin(artifact) {
+        const remote = await this.probe(artifact);
+        if (remote.sha256 && remote.size != null) {
+            return remote;
+        }
+
+        const response = await fetch(artifact.url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} ${response.statusText}`);
+        }
+
+        const hash = createHash('sha256');
+        let size = 0;
+        for await (const chunk of Readable.fromWeb(response.body)) {
+            hash.update(chunk);
+            size += chunk.length;
+        }
+        return { sha256: hash.digest('hex'), size };
+    }
+
+    /**
+     * Download artifacts that are missing or do not match their expected hash
+     * @param {import('./manifest.js').ModelArtifact[]} artifacts
+     * @param {Object} [options]
+     * @param {boolean} [options.force] - Re-download even if the file verifies
+     */
+    async pull(artifacts, options = {}) {
+        const lock = await this.readLock();
+        const summary = { downloaded: [], skipped: [], failed: [] };
+
+        for (const artifact of artifacts) {
+            try {
+                if (!options.force && await this.isIntact(artifact, lock)) {
+                    summary.skipped.push(artifact);
+                    this.emit('skip', { artifact });
+                    continue;
+                }
+
+                this.emit('start', { artifact });
+                const entry = await this.download(artifact);
+                lock.files[artifact.path] = entry;
+                await this.writeLock(lock);
+
+                summary.downloaded.push(artifact);
+                this.emit('done', { artifact, ...entry });
+            } catch (error) {
+                summary.failed.push({ artifact, error });
+                this.emit('fail', { artifact, error });
+            }
+        }
+
+        return summary;
+    }
+
+    /**
+     * Cheap check used by pull: size must match, hash is only compared
+     * when the lock entry is missing (file placed by hand or by the runtime)
+     */
+    async isIntact(artifact, lock) {
+        const size = await this.fileSize(this.localPath(artifact.path));
+        if (size === null) return false;
+
+        const entry = lock.files[artifact.path];
+        const expectedSize = artifact.size ?? entry?.size;
+        if (expectedSize != null && expectedSize !== size) return false;
+
+        if (!entry) {
+            const expected = artifact.sha256 || (await this.probe(artifact)).sha256;
+            const sha256 = await this.hashFile(this.localPath(artifact.path));
+            if (expected && expected !== sha256) return false;
+            lock.files[artifact.path] = { sha256, size, url: artifact.url, pulledAt: new Date().toISOString() };
+            await this.writeLock(lock);
+        }
+
+        return !artifact.sha256 || artifact.sha256 === lock.files[artifact.path].sha256;
+    }
+
+    /**
+     * Download one artifact, resuming a previous partial download
+     * with an HTTP range request. The file only appears under its real
+     * name once size and hash check out.
+     */
+    async download(artifact) {
+        const dest = this.localPath(artifact.path);
+        const partial = dest + PARTIAL_SUFFIX;
+        await mkdir(dirname(dest), { recursive: true });
+
+        const remote = await this.probe(artifact);
+        const expectedHash = artifact.sha256 || remote.sha256;
+        const expectedSize = artifact.size ?? remote.size;
+
+        let offset = (await this.fileSize(partial)) || 0;
+        if (expectedSize != null && offset > expectedSize) {
+            offset = 0;
+        }
+
+        const complete = expectedSize != null && offset === expectedSize;
+        if (!complete) {
+            const headers = offset > 0 ? { Range: `bytes=${offset}-` } : {};
+            const response = await fetch(artifact.url, { headers });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} ${response.statusText}`);
+            }
+
+            // Server ignored the range request, start over
+            if (offset > 0 && response.status !== 206) {
+                offset = 0;
+            }
+            if (offset > 0) {
+                this.log(`Resuming ${artifact.path} at ${offset} bytes`);
+            }
+
+            const length = Number(response.headers.get('content-length')) || null;
+            const total = expectedSize ?? (length !== null ? offset + length : null);
+            let received = offset;
+
+            const body = Readable.fromWeb(response.body);
+            body.on('data', (chunk) => {
+                received += chunk.length;
+                this.emit('progress', { artifact, received, total });
+            });
+
+            await pipeline(body, createWriteStream(partial, { flags: offset > 0 ? 'a' : 'w' }));
+        }
+
+        const size = await this.fileSize(partial);
+        if (expectedSize != null && size !== expectedSize) {
+            throw new Error(`Size mismatch for ${artifact.path}: expected ${expectedSize}, got ${size}`);
+        }
+
+        const sha256 = await this.hashFile(partial);
+        if (expectedHash && sha256 !== expectedHash) {
+            await unlink(partial);
+            throw new Error(`Checksum mismatch for ${artifact.path}: expected ${expectedHash}, got ${sha256}`);
+        }
+
+        await rename(partial, dest);
+        return { sha256, size, url: artifact.url, pulledAt: new Date().toISOString() };
+    }
+
+    /**
+     * Hash every installed artifact and compare with manifest or lock
+     * @param {import('./manifest.js').ModelArtifact[]} artifacts
+     * @returns {Promise<Array<{artifact: Object, status: 'ok'|'missing'|'corrupt'|'unverified', expected?: string, actual?: string}>>}
+     */
+    async verify(artifacts = MODEL_ARTIFACTS) {
+        const lock = await this.readLock();
+        const results = [];
+
+        for (const artifact of artifacts) {
+            const path = this.localPath(artifact.path);
+            const size = await this.fileSize(path);
+            if (size === null) {
+                results.push({ artifact, status: 'missing' });
+                continue;
+            }
+
+            const entry = lock.files[artifact.path];
+            const expected = artifact.sha256 || entry?.sha256;
+            const expectedSize = artifact.size ?? entry?.size;
+            const actual = await this.hashFile(path);
+
+            let status = 'ok';
+            if (!expected) {
+                status = 'unverified';
+            } else if (expected !== actual || (expectedSize != null && expectedSize !== size)) {
+                status = 'corrupt';
+            }
+
+            results.push({ artifact, status, expected, actual });
+            this.emit('verified', results[results.length - 1]);
+        }
+
+        return results;
+    }
+
+    async listFiles(dir = this.modelsDir) {
+        let entries;
+        try {
+            entries = await readdir(dir, { withFileTypes: true });
+        } catch {
+            return [];
+        }
+
+        const files = [];
+        for (const entry of entries) {
+            const path = join(dir, entry.name);
+            if (entry.isDirectory()) {
+                files.push(...await this.listFiles(path));
+            } else {
+                files.push(relative(this.modelsDir, path).split(sep).join('/'));
+            }
+        }
+        return files;
+    }
+
+    /**
+     * Delete manifest files that are not kept, plus their stale partial downloads
+     * Anything the manifest does not list (e.g. the transformers.js cache) is left alone.
+     * @param {Object} [options]
+     * @param {import('./manifest.js').ModelArtifact[]} [options.keep] - Artifacts to keep (default: whole manifest)
+     * @param {boolean} [options.dryRun] - Only report what would be removed
+     * @returns {Promise<Array<{path: string, size: number}>>}
+     */
+    async prune(options = {}) {
+        const keep = new Set((options.keep || MODEL_ARTIFACTS).map((artifact) => artifact.path));
+        const owned = new Set(MODEL_ARTIFACTS.flatMap((artifact) => [artifact.path, artifact.path + PARTIAL_SUFFIX]));
+
+        const removed = [];
+        for (const path of await this.listFiles()) {
+            if (!owned.has(path) || keep.has(path)) continue;
+
+            const size = await this.fileSize(this.localPath(path));
+            removed.push({ path, size });
+            if (!options.dryRun) {
+                await unlink(this.localPath(path));
+            }
+        }
+
+        if (!options.dryRun && removed.length > 0) {
+            const lock = await this.readLock();
+            for (const { path } of removed) {
+                delete lock.files[path];
+            }
+            await this.writeLock(lock);
+        }
+
+        return removed;
+    }
+
+    /**
+     * Export artifacts and the lock file as a .tar.gz for offline machines.
+     * Extract it into the models directory on the target.
+     * @param {string} outFile - Tarball path
+     * @param {import('./manifest.js').ModelArtifact[]} artifacts
+     */
+    async bundle(outFile, artifacts) {
+        const missing = [];
+        for (const artifact of artifacts) {
+            if (await this.fileSize(this.localPath(artifact.path)) === null) {
+                missing.push(artifact.path);
+            }
+        }
+        if (missing.length > 0) {
+            throw new Error(`Cannot bundle, missing files (run pull first): ${missing.join(', ')}`);
+        }
+
+        // Make sure every bundled file carries a hash for `verify` on the target
+        const lock = await this.readLock();
+        for (const artifact of artifacts) {
+            if (!lock.files[artifact.path]) {
+                const path = this.localPath(artifact.path);
+                lock.files[artifact.path] = {
+                    sha256: await this.hashFile(path),
+                    size: await this.fileSize(path),
+                    url: artifact.url,
+                    pulledAt: new Date().toISOString(),
+                };
+            }
+        }
+        await this.writeLock(lock);
+
+        const output = resolve(outFile);
+        await mkdir(dirname(output), { recursive: true });
+        await execFileAsync('tar', [
+            '-czf', output,
+            '-C', this.modelsDir,
+            LOCK_FILE,
+            ...artifacts.map((artifact) => artifact.path),
+        ]);
+
+        return { file: output, size: await this.fileSize(output), count: artifacts.length };
+    }
+}
+
+export default ModelStore;
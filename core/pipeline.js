@@ -6,26 +6,82 @@
  */
 
 import { EventEmitter } from 'events';
-import { WakeWordDetector } from './wakeword/detector.js';
-import { SpeechToText } from './stt/whisper.js';
-import { FunctionCaller } from './function-caller/gemma.js';
-import { TextToSpeech } from './tts/supertonic.js';
+import { ModelResolver, getModelResolver } from './models/resolver.js';
+import { ModelPool } from './model-pool.js';
+import { engines as defaultRegistry, DEFAULT_ENGINES } from './engines/registry.js';
+import { assertEngine } from './engines/interfaces.js';
+import { SpeakerSession } from './speaker-session.js';
+import { TaskManager } from './task-manager.js';
+import { TimerManager } from './scheduler/timers.js';
+
+// TimerManager events after which a timer no longer needs announcing
+const TIMER_DONE_EVENTS = ['dismissed', 'cancelled', 'missed'];
 
 /**
  * @typedef {Object} PipelineOptions
  * @property {'potato'|'balanced'|'quality'} performanceMode - Resource usage mode
  * @property {string} wakeWord - Wake word to listen for
  * @property {string} ttsVoice - TTS voice ID
+ * @property {'onnx-community'|'supertone'} [ttsLayout] - Supertonic model layout
+ * @property {{play: Function, stop: Function}} [ttsSink] - Where speech is played (default: local
+ *     speaker, see tts/sinks); adapters pass their own, e.g. a Discord voice channel
  * @property {boolean} debug - Enable debug logging
  * @property {Object} tools - Available tool functions
+ * @property {Object} [models] - Model store options ({ modelsDir, allowRemote, offline })
+ * @property {ModelResolver} [resolver] - Shared model resolver (overrides `models`)
+ * @property {Object<string, string|Object>} [engines] - Per stage (wakeWord, stt, intent, tts):
+ *     a registry name or an engine instance (see engines/interfaces.js)
+ * @property {Object<string, Object>} [engineOptions] - Extra options per stage for named engines
+ * @property {import('./engines/registry.js').EngineRegistry} [registry] - Registry to resolve names
+ * @property {ModelPool} [pool] - Shared model pool; pipelines on the same pool load each model once
+ * @property {string} [owner] - Who this pipeline runs inference for (e.g. guild ID), used for fair scheduling
+ * @property {boolean} [workers] - Run STT, intent and TTS models in worker threads (uses the
+ *     `<name>-worker` variant of each named engine when the registry has one)
+ * @property {boolean} [bargeIn] - Keep listening while a command is handled; a wake word stops
+ *     the reply, cancels pending inference and starts a new recording
+ * @property {number} [followUpMs] - After a reply, record the same speaker's next utterance without
+ *     the wake word if it starts within this window (default: 0, off)
+ * @property {number} [clarifyTimeoutMs] - How long to wait for the answer when the assistant asks
+ *     for a missing tool parameter or a confirmation; the question is dropped after that (default: 8000)
+ * @property {Object<string, boolean|Object>|false} [confirmations] - Confirmation policy per tool
+ *     over the schemas' `confirm` (false for a tool never asks; false for all turns them off)
+ * @property {import('./function-caller/conversation-store.js').ConversationStore} [conversations] -
+ *     Conversation memory for the intent engine; share one to inspect all sessions in one place
+ * @property {import('./function-caller/executor.js').ToolExecutor} [executor] - Runs tool handlers
+ *     with time limits; share one to cap concurrent tools across pipelines
+ * @property {Object} [toolContext] - Extra fields for tool handlers' context (e.g. { adapter, guildId })
+ * @property {TaskManager} [tasks] - Background tasks started by tools; pipelines sharing one only
+ *     announce their own owner's tasks
+ * @property {boolean} [speakAnnouncements] - Speak task announcements; when false they are only
+ *     emitted ('announcement'), e.g. for an adapter that posts them as text (default: true)
+ * @property {TimerManager} [timers] - Timers and alarms set by tools; pass one with its own clock
+ *     to test expiry, or share one like `tasks`
+ */
+
+/**
+ * Who is talking. Passed to tool handlers as `context.speaker` and with the
+ * 'wakeWord', 'transcript' and 'intent' events.
+ * 
+ * @typedef {Object} Speaker
+ * @property {string} id - Stable ID (e.g. Discord user ID)
+ * @property {string} [name] - Display name
  */
 
 /**
  * @typedef {Object} PipelineState
- * @property {'idle'|'listening'|'recording'|'transcribing'|'processing'|'speaking'} state
+ * @property {'idle'|'listening'|'followUp'|'recording'|'transcribing'|'processing'|'speaking'} state
  * @property {number} speechProbability - Current speech probability
  * @property {string} transcript - Current transcription
  * @property {Object} lastIntent - Last detected intent
+ * @property {string[]} speakers - IDs of speakers with a listening session
+ * @property {Speaker|null} activeSpeaker - Whose command is being handled
+ * @property {Object|null} intentConstraints - How often intent output fell outside the tool grammar
+ * @property {Object|null} intentRouting - How many utterances the router handled without the model
+ * @property {Object|null} toolExecutions - Tool outcomes and durations (see ToolExecutor.getStats())
+ * @property {number} tasks - Background tasks running for this pipeline
+ * @property {number} announcements - Announcements waiting for the assistant to be free
+ * @property {number} timers - Timers and alarms set here
+ * @property {number} ringing - Of those, how many are ringing
  */
 
 export class VoicePipeline extends EventEmitter {
@@ -39,13 +95,74 @@ export class VoicePipeline extends EventEmitter {
         this.performanceMode = options.performanceMode || 'potato';
         this.wakeWord = options.wakeWord || 'hey-buddy';
         this.ttsVoice = options.ttsVoice || 'M3';
+        this.ttsLayout = options.ttsLayout;
+        this.ttsSink = options.ttsSink || null;
         this.tools = options.tools || {};
+        this.resolver = options.resolver ||
+            (options.models ? new ModelResolver({ debug: this.debug, ...options.models }) : getModelResolver());
+        this.registry = options.registry || defaultRegistry;
+        this.engines = { ...DEFAULT_ENGINES, ...withoutEmpty(options.engines) };
+        this.engineOptions = options.engineOptions || {};
+        this.pool = options.pool || new ModelPool({ debug: this.debug });
+        this.owner = options.owner || 'default';
+        this.workers = options.workers || false;
+        this.bargeIn = options.bargeIn || false;
+        this.followUpMs = options.followUpMs || 0;
+        this.clarifyTimeoutMs = options.clarifyTimeoutMs || 8000;
+        this.confirmations = options.confirmations;
+        this.conversations = options.conversations || null;
+        this.executor = options.executor || null;
+        this.toolContext = options.toolContext || {};
+        this.speakAnnouncements = options.speakAnnouncements !== false;
+        
+        // Background tasks started by tools; what they announce waits in a
+        // queue until nobody is talking to the assistant
+        this.ownsTasks = !options.tasks;
+        this.tasks = options.tasks || new TaskManager({ debug: this.debug });
+        this.announcements = [];
+        this.isAnnouncing = false;
+        this.onTaskAnnouncement = ({ text, task }) => {
+            if (task.owner === this.owner) this.announce(text, { task, speaker: task.speaker });
+        };
+        this.tasks.on('announcement', this.onTaskAnnouncement);
+        
+        // Timers and alarms; a ringing one is announced again until it is
+        // stopped, replacing its alert if that is still waiting in the queue.
+        // Once it stops ringing, a queued alert is dropped. Posted as text, an
+        // alert stays in the chat, so it is only posted on the first ring.
+        this.ownsTimers = !options.timers;
+        this.timers = options.timers || new TimerManager({ debug: this.debug });
+        this.onTimerRinging = ({ text, timer }) => {
+            if (timer.owner !== this.owner) return;
+            if (!this.speakAnnouncements && timer.rings > 1) return;
+            this.dropTimerAnnouncements(timer);
+            this.announce(text, { timer, speaker: timer.speaker });
+        };
+        this.onTimerDone = (timer) => {
+            if (timer.owner === this.owner) this.dropTimerAnnouncements(timer);
+        };
+        this.timers.on('ringing', this.onTimerRinging);
+        for (const event of TIMER_DONE_EVENTS) {
+            this.timers.on(event, this.onTimerDone);
+        }
         
         // State
         this.state = 'idle';
         this.isInitialized = false;
         this.isPaused = false;
         
+        // Listening sessions by speaker ID; the one whose wake word started
+        // the current command is active until the pipeline resumes
+        this.sessions = new Map();
+        this.activeSession = null;
+        
+        // The command being handled, from end of recording until resume();
+        // aborting its controller cancels whatever step it is on
+        this.turn = null;
+        
+        // Open follow-up window: { speakerId, timer, clarification }
+        this.followUp = null;
+        
         // Components (lazy-loaded for performance)
         this.wakeWordDetector = null;
         this.stt = null;
@@ -67,6 +184,7 @@ export class VoicePipeline extends EventEmitter {
 
     /**
      * Get performance configuration based on mode
+     * Keep in sync with MODE_GROUPS in models/manifest.js (what `npm run models -- pull` fetches)
      */
     getPerformanceConfig() {
         const configs = {
@@ -111,46 +229,42 @@ export class VoicePipeline extends EventEmitter {
         this.emit('status', { stage: 'init', message: 'Loading wake word detector...' });
         
         // 1. Wake Word Detector (lightweight, loads first)
-        this.wakeWordDetector = new WakeWordDetector({
+        // Serves start(audioSource); speaker sessions get their own detectors
+        // that share its models through the pool
+        this.wakeWordDetector = await this.createEngine('wakeWord', {
             wakeWord: this.wakeWord,
-            debug: this.debug,
         });
-        await this.wakeWordDetector.initialize();
-        
-        this.wakeWordDetector.on('detected', () => this.onWakeWordDetected());
-        this.wakeWordDetector.on('speechStart', () => this.emit('speechStart'));
-        this.wakeWordDetector.on('speechEnd', (audio) => this.onSpeechEnd(audio));
-        this.wakeWordDetector.on('vad', (data) => this.emit('vad', data));
         
         this.emit('status', { stage: 'init', message: 'Loading speech recognition...' });
         
         // 2. Speech-to-Text (Whisper)
-        this.stt = new SpeechToText({
+        this.stt = await this.createEngine('stt', {
             model: config.whisperModel,
             quantized: config.whisperQuantized,
-            debug: this.debug,
         });
-        await this.stt.initialize();
         
         this.emit('status', { stage: 'init', message: 'Loading intent recognition...' });
         
         // 3. Function Caller (FunctionGemma)
-        this.functionCaller = new FunctionCaller({
+        this.functionCaller = await this.createEngine('intent', {
             quantized: config.functionGemmaQuantized,
-            tools: this.tools,
-            debug: this.debug,
+            ...(this.conversations && { conversations: this.conversations }),
+            ...(this.confirmations !== undefined && { confirmations: this.confirmations }),
+            ...(this.executor && { executor: this.executor }),
         });
-        await this.functionCaller.initialize();
+        for (const [name, tool] of Object.entries(this.tools)) {
+            this.functionCaller.registerTool(name, tool.schema, tool.handler, { routes: tool.routes });
+        }
         
         this.emit('status', { stage: 'init', message: 'Loading text-to-speech...' });
         
         // 4. Text-to-Speech (Supertonic)
-        this.tts = new TextToSpeech({
+        this.tts = await this.createEngine('tts', {
             voice: this.ttsVoice,
+            layout: this.ttsLayout,
             caching: config.ttsCaching,
-            debug: this.debug,
+            sink: this.ttsSink,
         });
-        await this.tts.initialize();
         
         this.isInitialized = true;
         this.state = 'idle';
@@ -158,27 +272,163 @@ export class VoicePipeline extends EventEmitter {
         this.log('Pipeline initialized');
     }
 
+    /**
+     * Resolve and initialize the engine for a stage
+     * Injected instances are used as-is; names are created through the registry
+     * with the pipeline defaults, overridden by `engineOptions[kind]`.
+     * 
+     * @param {string} kind - 'wakeWord' | 'stt' | 'intent' | 'tts'
+     * @param {Object} defaults - Stage-specific options from the performance config
+     */
+    async createEngine(kind, defaults) {
+        let spec = this.engines[kind];
+        
+        // Keep the main thread free for audio: wake word stays here, models move out
+        if (this.workers && typeof spec === 'string' && this.registry.has(kind, `${spec}-worker`)) {
+            spec = `${spec}-worker`;
+        }
+        
+        let engine;
+        if (typeof spec === 'string') {
+            this.log(`Using ${kind} engine:`, spec);
+            engine = await this.registry.create(kind, spec, {
+                ...defaults,
+                resolver: this.resolver,
+                pool: this.pool,
+                owner: this.owner,
+                debug: this.debug,
+                ...this.engineOptions[kind],
+            });
+        } else {
+            engine = assertEngine(kind, spec);
+        }
+        
+        await engine.initialize();
+        return engine;
+    }
+
     /**
      * Start listening for wake word
+     * Single-source mode (e.g. one microphone): commands have no speaker
+     * unless one is given.
+     * 
      * @param {Object} audioSource - Audio input source
+     * @param {Speaker} [speaker] - Who is behind the source
      */
-    async start(audioSource) {
+    async start(audioSource, speaker = { id: 'default' }) {
         if (!this.isInitialized) {
             await this.initialize();
         }
         
+        if (!this.sessions.has(speaker.id)) {
+            this.addSession(speaker, this.wakeWordDetector);
+        }
+        this.sessions.get(speaker.id).attach(audioSource);
+        
         this.state = 'listening';
         this.emit('stateChange', this.state);
-        
-        // Connect audio source to wake word detector
-        this.wakeWordDetector.start(audioSource);
         this.log('Pipeline started, listening for wake word...');
+        this.flushAnnouncements();
+    }
+
+    /**
+     * Listen to one speaker's audio with a dedicated detector
+     * Calling it again for the same speaker swaps the source and keeps the
+     * detector state. The session goes away after the source closes and the
+     * speaker stays quiet, or with removeSpeaker().
+     * 
+     * @param {Speaker} speaker
+     * @param {Object} audioSource - 16kHz mono audio for this speaker only
+     */
+    async addSpeaker(speaker, audioSource) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+        
+        let session = this.sessions.get(speaker.id);
+        if (!session) {
+            if (typeof this.engines.wakeWord !== 'string') {
+                throw new Error('Per-speaker sessions need a wake word engine from the registry, not an instance');
+            }
+            
+            const detector = await this.createEngine('wakeWord', { wakeWord: this.wakeWord });
+            
+            // Another call may have created it while the detector loaded
+            if (this.sessions.has(speaker.id)) {
+                await detector.dispose();
+                session = this.sessions.get(speaker.id);
+            } else {
+                session = this.addSession(speaker, detector);
+                session.on('idle', () => this.removeSpeaker(speaker.id));
+                if (this.isPaused) detector.pause();
+            }
+        }
+        
+        session.attach(audioSource);
+        
+        if (this.state === 'idle') {
+            this.state = 'listening';
+            this.emit('stateChange', this.state);
+        }
+        return session;
+    }
+
+    /**
+     * Stop listening to a speaker (e.g. they left the channel)
+     * @param {string} speakerId
+     */
+    async removeSpeaker(speakerId) {
+        const session = this.sessions.get(speakerId);
+        if (!session) return;
+        
+        this.sessions.delete(speakerId);
+        
+        // A command cut off mid-recording would leave the pipeline stuck
+        if (session === this.activeSession && this.state === 'recording') {
+            this.resume();
+        }
+        
+        if (session.detector === this.wakeWordDetector) {
+            session.detachSource();
+            session.stopPadding();
+        } else {
+            await session.dispose();
+        }
+        this.log('Removed speaker session:', speakerId);
+    }
+
+    /**
+     * Wrap a detector in a session and route its events with the speaker
+     */
+    addSession(speaker, detector) {
+        const session = new SpeakerSession({ speaker, detector, debug: this.debug });
+        
+        detector.on('detected', () => this.onWakeWordDetected(session));
+        detector.on('speechStart', () => this.onSpeechStart(session));
+        detector.on('speechEnd', (audio) => this.onSpeechEnd(audio, session));
+        detector.on('vad', (data) => this.emit('vad', data, speaker));
+        
+        this.sessions.set(speaker.id, session);
+        this.log('Added speaker session:', speaker.name || speaker.id);
+        return session;
     }
 
     /**
      * Stop the pipeline
      */
     stop() {
+        for (const session of this.sessions.values()) {
+            session.detachSource();
+            session.stopPadding();
+            if (session.detector !== this.wakeWordDetector) {
+                session.dispose().catch((error) => this.log('Session dispose error:', error));
+            }
+        }
+        this.sessions.clear();
+        this.activeSession = null;
+        this.turn?.controller.abort();
+        this.turn = null;
+        this.endFollowUp();
         this.wakeWordDetector?.stop();
         this.tts?.stop();
         this.state = 'idle';
@@ -192,49 +442,179 @@ export class VoicePipeline extends EventEmitter {
     pause() {
         this.isPaused = true;
         this.wakeWordDetector?.pause();
+        for (const session of this.sessions.values()) {
+            session.detector.pause();
+        }
     }
 
     /**
      * Resume listening
      */
     resume() {
+        this.endFollowUp();
+        this.resumeDetectors();
+        this.state = 'listening';
+        this.emit('stateChange', this.state);
+        this.flushAnnouncements();
+    }
+
+    resumeDetectors() {
         this.isPaused = false;
+        this.activeSession = null;
+        this.turn = null;
         this.wakeWordDetector?.resume();
-        this.state = 'listening';
+        for (const session of this.sessions.values()) {
+            session.detector.resume();
+        }
+    }
+
+    /**
+     * Listen for the speaker's next utterance without the wake word
+     * Falls back to 'listening' if they stay quiet for the window; an
+     * unanswered question is then dropped.
+     * 
+     * @param {Speaker} speaker - Who got the reply
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Window length (default: followUpMs)
+     * @param {boolean} [options.clarification] - The reply asked for a tool parameter
+     */
+    startFollowUp(speaker, { timeoutMs = this.followUpMs, clarification = false } = {}) {
+        this.endFollowUp();
+        this.resumeDetectors();
+        
+        const timer = setTimeout(() => {
+            if (this.followUp?.timer !== timer) return;
+            this.log('Follow-up window closed');
+            this.resume();
+            
+            if (clarification) {
+                this.functionCaller?.cancelClarification?.({ speaker, owner: this.owner });
+                this.emit('clarificationTimeout', speaker);
+            }
+        }, timeoutMs);
+        timer.unref?.();
+        
+        this.followUp = { speakerId: speaker.id, timer, clarification };
+        this.state = 'followUp';
         this.emit('stateChange', this.state);
     }
 
+    endFollowUp() {
+        if (this.followUp) {
+            clearTimeout(this.followUp.timer);
+            this.followUp = null;
+        }
+    }
+
     /**
      * Handle wake word detection
+     * @param {SpeakerSession} session - Whose detector fired
      */
-    onWakeWordDetected() {
+    onWakeWordDetected(session) {
+        // Barge-in: cut the current reply short and take the new command
+        if (this.bargeIn && this.turn) {
+            this.interrupt(session.speaker);
+        }
+        
+        // Already recording this speaker (wake word said in a follow-up)
+        if (this.state === 'recording' && session === this.activeSession) return;
+        
+        // One command at a time: a second speaker's wake word is dropped
+        // instead of recording over the first one
+        if (this.state !== 'listening' && this.state !== 'followUp') {
+            this.log('Busy, ignoring wake word from', session.speaker.name || session.id);
+            session.detector.resume();
+            return;
+        }
+        
         this.log('Wake word detected!');
+        this.endFollowUp();
+        this.activeSession = session;
         this.state = 'recording';
         this.emit('stateChange', this.state);
-        this.emit('wakeWord');
+        this.emit('wakeWord', session.speaker);
         
         // Play acknowledgment sound (optional)
         // this.tts.playAcknowledgment();
     }
 
+    /**
+     * Handle VAD speech start
+     * In a follow-up window, speech from the speaker who got the reply is
+     * recorded as their next command.
+     * 
+     * @param {SpeakerSession} session
+     */
+    onSpeechStart(session) {
+        this.emit('speechStart', session.speaker);
+        
+        if (this.state !== 'followUp' || this.followUp?.speakerId !== session.id) return;
+        if (typeof session.detector.startRecording !== 'function') return;
+        
+        this.log('Follow-up from', session.speaker.name || session.id);
+        this.endFollowUp();
+        session.detector.startRecording();
+        this.activeSession = session;
+        this.state = 'recording';
+        this.emit('stateChange', this.state);
+    }
+
+    /**
+     * Stop the command in progress for a new one
+     * Playback stops right away; transcription, generation and synthesis stop
+     * at their next check of the turn's signal.
+     * 
+     * @param {Speaker} speaker - Whose wake word interrupted
+     */
+    interrupt(speaker) {
+        const turn = this.turn;
+        if (!turn) return;
+        
+        this.log('Interrupted while', this.state);
+        const state = this.state;
+        
+        turn.controller.abort();
+        this.tts?.stop();
+        
+        // Not resume(): that would also reset the recording the wake word just started
+        this.turn = null;
+        this.activeSession = null;
+        this.state = 'listening';
+        this.emit('interrupted', state, speaker);
+    }
+
     /**
      * Handle speech end (recording complete)
      * @param {Float32Array} audio - Recorded audio samples
+     * @param {SpeakerSession} session - Whose detector recorded it
      */
-    async onSpeechEnd(audio) {
-        if (this.state !== 'recording') return;
+    async onSpeechEnd(audio, session) {
+        if (this.state !== 'recording' || session !== this.activeSession) return;
         
         this.log('Speech ended, processing...');
-        this.pause();
+        if (this.bargeIn) {
+            // Keep listening; just close this detector's recording
+            session.detector.resume();
+        } else {
+            this.pause();
+        }
+        
+        const turn = { controller: new AbortController() };
+        const { signal } = turn.controller;
+        this.turn = turn;
+        
+        const context = this.contextFor(session.speaker);
+        let followUp = null;
         
         try {
             // 1. Transcribe
             this.state = 'transcribing';
             this.emit('stateChange', this.state);
             
-            const transcript = await this.stt.transcribe(audio);
+            const transcript = await this.stt.transcribe(audio, { signal });
+            if (signal.aborted) return;
             this.log('Transcript:', transcript);
-            this.emit('transcript', transcript);
+            this.emit('transcript', transcript, context.speaker);
             
             if (!transcript || transcript.trim().length === 0) {
                 this.log('Empty transcript, resuming...');
@@ -242,29 +622,105 @@ export class VoicePipeline extends EventEmitter {
                 return;
             }
             
-            // 2. Process intent and call function
-            this.state = 'processing';
-            this.emit('stateChange', this.state);
-            
-            const result = await this.functionCaller.process(transcript);
-            this.log('Function result:', result);
-            this.emit('intent', result);
-            
-            // 3. Speak response
-            if (result.response) {
-                this.state = 'speaking';
-                this.emit('stateChange', this.state);
-                
-                await this.tts.speak(result.response);
-            }
+            // 2-3. Intent, tools and reply
+            ({ followUp } = await this.respond(transcript, context, { signal }));
             
         } catch (error) {
+            // Interrupted: the next command owns the pipeline now
+            if (signal.aborted) return;
+            
             this.log('Processing error:', error);
             this.emit('error', error);
         }
         
-        // Resume listening
-        this.resume();
+        this.finishTurn(turn, context.speaker, followUp);
+    }
+
+    /**
+     * Run a command through the intent engine and speak the reply
+     * @param {string} text - What the speaker said
+     * @param {Object} context - { speaker, owner }
+     * @param {Object} options - { signal, confirmed? }
+     * @returns {Promise<{result: Object|null, followUp: Object|null}>} Intent result (null if
+     *     interrupted) and the follow-up window to open (see startFollowUp)
+     */
+    async respond(text, context, options) {
+        const { signal } = options;
+        
+        // 2. Process intent and call function
+        this.state = 'processing';
+        this.emit('stateChange', this.state);
+        
+        const result = await this.functionCaller.process(text, { ...options, context });
+        if (signal.aborted) return { result: null, followUp: null };
+        this.log('Function result:', result);
+        this.emit('intent', result, context.speaker);
+        if (result.confirmation) {
+            this.emit('confirmation', result.confirmation, context.speaker);
+        }
+        
+        // 3. Speak response; from there the turn goes straight back to listening
+        if (!result.response) return { result, followUp: null };
+        await this.speak(result.response, null, { signal, endsTurn: true });
+        
+        // The reply was a question: wait for the answer even without follow-ups
+        if (result.clarification || result.confirmation) {
+            return { result, followUp: { timeoutMs: this.clarifyTimeoutMs, clarification: true } };
+        }
+        
+        // Tools end the exchange with { endConversation: true } (e.g. "never mind"),
+        // and so does backing out of a question
+        const ended = result.cancelled || (result.calls || [result]).some((call) => call.toolResult?.endConversation);
+        return { result, followUp: this.followUpMs > 0 && !ended ? {} : null };
+    }
+
+    /**
+     * Resume listening after a command, unless a newer one already took over
+     */
+    finishTurn(turn, speaker, followUp) {
+        if (this.turn !== turn) return;
+        if (followUp) {
+            this.startFollowUp(speaker, followUp);
+        } else {
+            this.resume();
+        }
+    }
+
+    /**
+     * Answer an open confirmation without speaking (e.g. a Discord button)
+     * Works while the pipeline waits for that speaker's answer; the tool runs
+     * (or not) and the reply is spoken as if they had said yes or no.
+     * 
+     * @param {Speaker} speaker - Who was asked
+     * @param {boolean} answer
+     * @returns {Promise<Object|null>} Intent result, or null if there was nothing to confirm
+     */
+    async confirm(speaker, answer) {
+        const context = this.contextFor(speaker);
+        if (!this.functionCaller?.getClarification?.(context)?.confirm) return null;
+        
+        // Someone else's command is in progress
+        if (this.turn || (this.state !== 'followUp' && this.state !== 'listening')) return null;
+        
+        this.endFollowUp();
+        if (!this.bargeIn) this.pause();
+        
+        const turn = { controller: new AbortController() };
+        const { signal } = turn.controller;
+        this.turn = turn;
+        
+        let result = null;
+        let followUp = null;
+        try {
+            ({ result, followUp } = await this.respond(answer ? 'yes' : 'no', context, { signal, confirmed: answer }));
+        } catch (error) {
+            if (signal.aborted) return null;
+            this.log('Confirmation error:', error);
+            this.emit('error', error);
+        }
+        
+        this.finishTurn(turn, speaker, followUp);
+        return result;
     }
 
     /**
@@ -272,32 +728,203 @@ export class VoicePipeline extends EventEmitter {
      * Useful for text commands or testing
      * 
      * @param {string} text - Input text
+     * @param {Speaker} [speaker] - Who typed it
      * @returns {Promise<Object>} Function call result
      */
-    async processText(text) {
+    async processText(text, speaker = null) {
         if (!this.isInitialized) {
             await this.initialize();
         }
         
-        const result = await this.functionCaller.process(text);
+        const result = await this.functionCaller.process(text, { context: this.contextFor(speaker) });
         
         if (result.response) {
-            await this.tts.speak(result.response);
+            await this.speak(result.response);
         }
         
         return result;
     }
 
+    /**
+     * Say something on the pipeline's output
+     * Resolves once the sink has finished playing it (e.g. the Discord
+     * player went idle), not when synthesis is done.
+     * 
+     * @param {string} text
+     * @param {string} [voiceId] - Defaults to the pipeline voice
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels synthesis and skips playback
+     * @param {boolean} [options.endsTurn] - The reply ends the command: stay 'speaking' for
+     *     finishTurn() to move on, instead of going back to the state before
+     */
+    async speak(text, voiceId = null, options = {}) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+        
+        const previousState = this.state;
+        this.state = 'speaking';
+        this.emit('stateChange', this.state);
+        
+        try {
+            await this.tts.speak(text, voiceId, options);
+        } finally {
+            // An interrupted reply leaves the state to the command that replaced it
+            if (this.state === 'speaking' && !options.signal?.aborted && !options.endsTurn) {
+                this.state = previousState;
+                this.emit('stateChange', this.state);
+            }
+        }
+    }
+
+    /**
+     * Context for a speaker's command, as tool handlers receive it
+     * @param {Speaker|null} speaker
+     * @returns {Object} { ...toolContext, speaker, owner, tasks, timers }, tasks and timers being
+     *     this speaker's TaskManager and TimerManager scopes
+     */
+    contextFor(speaker) {
+        return {
+            ...this.toolContext,
+            speaker,
+            owner: this.owner,
+            tasks: this.tasks.scope({ speaker, owner: this.owner }),
+            timers: this.timers.scope({ speaker, owner: this.owner }),
+        };
+    }
+
+    /**
+     * Say something when the assistant is free: right away if it is
+     * listening, otherwise after the current command (and any follow-up
+     * window). Emits 'announcement' when it is delivered; spoken unless
+     * speakAnnouncements is off.
+     * 
+     * @param {string} text
+     * @param {Object} [options]
+     * @param {Object} [options.task] - Task it comes from (see TaskManager)
+     * @param {Object} [options.timer] - Timer or alarm that is ringing (see TimerManager)
+     * @param {Speaker} [options.speaker] - Who it is for
+     */
+    announce(text, options = {}) {
+        this.announcements.push({
+            text,
+            task: options.task || null,
+            timer: options.timer || null,
+            speaker: options.speaker || null,
+        });
+        this.flushAnnouncements();
+    }
+
+    /**
+     * Forget a timer's alert that is still waiting in the queue
+     * @param {{id: string}} timer
+     */
+    dropTimerAnnouncements(timer) {
+        this.announcements = this.announcements.filter((announcement) => announcement.timer?.id !== timer.id);
+    }
+
+    /**
+     * Deliver queued announcements while nobody is talking to the assistant
+     */
+    async flushAnnouncements() {
+        if (this.isAnnouncing) return;
+        this.isAnnouncing = true;
+        
+        try {
+            while (this.announcements.length > 0 && this.state === 'listening' && !this.turn) {
+                const announcement = this.announcements.shift();
+                this.log('Announcing:', announcement.text);
+                this.emit('announcement', announcement);
+                if (!this.speakAnnouncements) continue;
+                
+                // Spoken like a reply: a wake word can cut it short
+                if (!this.bargeIn) this.pause();
+                const turn = { controller: new AbortController() };
+                this.turn = turn;
+                try {
+                    await this.speak(announcement.text, null, { signal: turn.controller.signal });
+                } catch (error) {
+                    if (!turn.controller.signal.aborted) {
+                        this.log('Announcement error:', error);
+                        this.emit('error', error);
+                    }
+                }
+                if (this.turn === turn) {
+                    this.endFollowUp();
+                    this.resumeDetectors();
+                }
+            }
+        } finally {
+            this.isAnnouncing = false;
+        }
+    }
+
+    /**
+     * Background tasks tools started in this pipeline
+     * @param {Speaker} [speaker] - Only this speaker's
+     * @returns {import('./task-manager.js').TaskInfo[]}
+     */
+    getTasks(speaker = null) {
+        return this.tasks.list({ owner: this.owner, ...(speaker && { speakerId: speaker.id }) });
+    }
+
+    /**
+     * Stop a background task
+     * @param {string} id
+     * @returns {boolean} Whether it was running here and is now cancelled
+     */
+    cancelTask(id) {
+        return this.tasks.cancel(id, { owner: this.owner });
+    }
+
+    /**
+     * Timers and alarms set in this pipeline, ringing ones first, with the time left
+     * @param {Object} [filter] - { kind: 'timer'|'alarm', status: 'running'|'ringing' }
+     * @returns {import('./scheduler/timers.js').TimerInfo[]}
+     */
+    getTimers(filter = {}) {
+        return this.timers.list({ ...filter, owner: this.owner });
+    }
+
+    /**
+     * Silence ringing timers and alarms (all of them, or one by ID)
+     * @param {string} [id]
+     * @returns {number} How many were ringing
+     */
+    dismissTimers(id = null) {
+        if (id !== null) return this.timers.dismiss(id, { owner: this.owner }) ? 1 : 0;
+        return this.timers.dismissAll({ owner: this.owner });
+    }
+
+    /**
+     * What the assistant remembers of a speaker's recent commands
+     * @param {Speaker} [speaker] - Defaults to the single-source speaker
+     * @returns {Object[]} Turns, oldest first (see ConversationStore)
+     */
+    getConversation(speaker = { id: 'default' }) {
+        return this.functionCaller?.getHistory?.({ speaker, owner: this.owner }) || [];
+    }
+
+    /**
+     * Forget a speaker's recent commands
+     * @param {Speaker} [speaker]
+     */
+    clearConversation(speaker = { id: 'default' }) {
+        this.functionCaller?.clearHistory?.({ speaker, owner: this.owner });
+    }
+
     /**
      * Register a new tool function
      * 
      * @param {string} name - Tool name
      * @param {Object} schema - JSON schema for parameters
      * @param {Function} handler - Tool implementation
+     * @param {Object} [options]
+     * @param {Object[]} [options.routes] - Router patterns that run the tool without the model
      */
-    registerTool(name, schema, handler) {
-        this.tools[name] = { schema, handler };
-        this.functionCaller?.registerTool(name, schema, handler);
+    registerTool(name, schema, handler, options = {}) {
+        this.tools[name] = { schema, handler, routes: options.routes };
+        this.functionCaller?.registerTool(name, schema, handler, options);
     }
 
     /**
@@ -310,6 +937,15 @@ export class VoicePipeline extends EventEmitter {
             speechProbability: this.wakeWordDetector?.speechProbability || 0,
             isInitialized: this.isInitialized,
             isPaused: this.isPaused,
+            speakers: [...this.sessions.keys()],
+            activeSpeaker: this.activeSession?.speaker || null,
+            intentConstraints: this.functionCaller?.getConstraintReport?.() || null,
+            intentRouting: this.functionCaller?.getRoutingReport?.() || null,
+            toolExecutions: this.functionCaller?.getExecutionReport?.() || null,
+            tasks: this.getTasks().length,
+            announcements: this.announcements.length,
+            timers: this.getTimers().length,
+            ringing: this.getTimers({ status: 'ringing' }).length,
         };
     }
 
@@ -318,6 +954,22 @@ export class VoicePipeline extends EventEmitter {
      */
     async dispose() {
         this.stop();
+        this.tasks.off('announcement', this.onTaskAnnouncement);
+        if (this.ownsTasks) {
+            this.tasks.dispose();
+        } else {
+            this.tasks.cancelAll({ owner: this.owner });
+        }
+        this.timers.off('ringing', this.onTimerRinging);
+        for (const event of TIMER_DONE_EVENTS) {
+            this.timers.off(event, this.onTimerDone);
+        }
+        if (this.ownsTimers) {
+            this.timers.dispose();
+        } else {
+            this.timers.cancelAll({ owner: this.owner });
+        }
+        this.announcements = [];
         await this.wakeWordDetector?.dispose();
         await this.stt?.dispose();
         await this.functionCaller?.dispose();
@@ -327,4 +979,11 @@ export class VoicePipeline extends EventEmitter {
     }
 }
 
+/**
+ * Drop unset entries so env-driven config falls back to defaults
+ */
+function withoutEmpty(object = {}) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+}
+
 export default VoicePipeline;
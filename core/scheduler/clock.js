@@ -0,0 +1,78 @@
+/**
+ * Clock
+ * What the scheduler uses for the current time and its timers, so tests
+ * and simulations can swap in their own.
+ */
+
+/**
+ * @typedef {Object} Clock
+ * @property {() => number} now - ms since epoch
+ * @property {(callback: Function, ms: number) => *} setTimeout - Returns a handle for clearTimeout
+ * @property {(handle: *) => void} clearTimeout
+ */
+
+// Node timers overflow past ~24.8 days; longer waits are re-armed in steps
+export const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+/** @type {Clock} */
+export const systemClock = {
+    now: () => Date.now(),
+    setTimeout: (callback, ms) => {
+        const timer = setTimeout(callback, ms);
+        // Pending reminders alone should not keep the process alive
+        timer.unref?.();
+        return timer;
+    },
+    clearTimeout: (timer) => clearTimeout(timer),
+};
+
+/**
+ * Clock that only moves when told to, for tests and simulations:
+ * advance(ms) runs the timers that come due, in order.
+ * @implements {Clock}
+ */
+export class ManualClock {
+    /**
+     * @param {number} [start] - ms since epoch (default: Date.now())
+     */
+    constructor(start = Date.now()) {
+        this.time = start;
+        this.timers = [];
+        this.nextHandle = 1;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    setTimeout(callback, ms) {
+        const handle = this.nextHandle++;
+        this.timers.push({ handle, callback, at: this.time + Math.max(0, ms) });
+        return handle;
+    }
+
+    clearTimeout(handle) {
+        this.timers = this.timers.filter((timer) => timer.handle !== handle);
+    }
+
+    /**
+     * Move time forward, running every timer due on the way
+     * @param {number} ms
+     */
+    advance(ms) {
+        const end = this.time + ms;
+        for (;;) {
+            const due = this.timers
+                .filter((timer) => timer.at <= end)
+                .sort((a, b) => a.at - b.at || a.handle - b.handle)[0];
+            if (!due) break;
+
+            this.timers = this.timers.filter((timer) => timer !== due);
+            this.time = Math.max(this.time, due.at);
+            due.callback();
+        }
+        this.time = end;
+    }
+}
+
+export default systemClock;
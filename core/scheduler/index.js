@@ -0,0 +1,9 @@
+/**
+ * Scheduler module exports
+ */
+
+export { ReminderScheduler } from './reminders.js';
+export { TimerManager, alertText, REPEATS } from './timers.js';
+export { JsonStore } from './store.js';
+export { systemClock, ManualClock, MAX_TIMEOUT_MS } from './clock.js';
+export { parseTime, parseDuration, describeTime, describeDuration } from './time.js';
@@ -0,0 +1,317 @@
+/**
+ * Reminder Scheduler
+ * Keeps reminders in a JSON file (default ./data/reminders.json) and fires
+ * them on time, across restarts: reminders that came due while the process
+ * was down fire right after load(), marked `late`.
+ *
+ * It only keeps time. Adapters listen for 'reminder' and deliver it their
+ * way (spoken in the car; spoken in the voice channel and sent as a DM in
+ * Discord), and for 'error' (a reminders file that could not be read).
+ * Fired reminders are kept for a while so they can be snoozed.
+ */
+
+import { EventEmitter } from 'events';
+import { copyFile } from 'fs/promises';
+import { JsonStore } from './store.js';
+import { systemClock, MAX_TIMEOUT_MS } from './clock.js';
+
+const FILE_VERSION = 1;
+
+/**
+ * @typedef {Object} Reminder
+ * @property {string} id
+ * @property {string} message - What to remind about ("stretch")
+ * @property {number} at - When it is due (ms since epoch)
+ * @property {string} owner - Whose it is (guild ID, or 'default')
+ * @property {{id: string, name?: string}|null} speaker - Who asked
+ * @property {'pending'|'fired'} status
+ * @property {number} createdAt
+ * @property {number} [firedAt]
+ * @property {boolean} [late] - Fired after load() because it came due while the process was down
+ * @property {number} [snoozes] - Times it was snoozed
+ */
+
+export class ReminderScheduler extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {string} [options.path] - Where reminders are kept (default: ./data/reminders.json)
+     * @param {JsonStore} [options.store] - Store to use instead of a file at `path`
+     * @param {import('./clock.js').Clock} [options.clock] - Time source and timers (default: system clock)
+     * @param {number} [options.keepFiredMs] - How long a fired reminder can still be snoozed (default: 30 min)
+     * @param {number} [options.maxPerOwner] - Pending reminders per owner (default: 100)
+     * @param {boolean} [options.debug]
+     */
+    constructor(options = {}) {
+        super();
+
+        this.debug = options.debug || false;
+        this.store = options.store || new JsonStore({ path: options.path || './data/reminders.json', debug: this.debug });
+        this.clock = options.clock || systemClock;
+        this.keepFiredMs = options.keepFiredMs ?? 30 * 60 * 1000;
+        this.maxPerOwner = options.maxPerOwner || 100;
+
+        /** @type {Map<string, Reminder>} */
+        this.reminders = new Map();
+        this.timers = new Map();
+        this.nextId = 1;
+        this.isLoaded = false;
+    }
+
+    log(...args) {
+        if (this.debug) {
+            console.log('[Reminders]', ...args);
+        }
+    }
+
+    /**
+     * Read saved reminders and arm their timers; overdue ones fire now
+     * A file that cannot be parsed is copied aside (.corrupt) and replaced,
+     * and 'error' is emitted once the empty scheduler is running.
+     */
+    async load() {
+        let data;
+        let unreadable = null;
+        try {
+            data = await this.store.read({ version: FILE_VERSION, nextId: 1, reminders: [] });
+        } catch (error) {
+            const backup = `${this.store.path}.corrupt`;
+            this.log(`Could not read ${this.store.path}:`, error.message);
+            await copyFile(this.store.path, backup).catch(() => {});
+            data = { version: FILE_VERSION, nextId: 1, reminders: [] };
+            unreadable = new Error(`Could not read ${this.store.path} (${error.message}), starting empty; old file kept as ${backup}`);
+        }
+
+        this.clear();
+        this.nextId = data.nextId || 1;
+        for (const reminder of data.reminders || []) {
+            this.reminders.set(reminder.id, reminder);
+        }
+        this.isLoaded = true;
+
+        const now = this.clock.now();
+        const overdue = this.list().filter((reminder) => reminder.at <= now);
+        this.log(`Loaded ${this.reminders.size} reminders (${overdue.length} overdue)`);
+
+        for (const reminder of this.reminders.values()) {
+            if (reminder.status === 'pending' && reminder.at > now) this.arm(reminder);
+        }
+        for (const reminder of overdue) {
+            this.fire(reminder.id, { late: true });
+        }
+        this.prune();
+
+        if (unreadable) this.emit('error', unreadable);
+    }
+
+    /**
+     * Schedule a reminder
+     * @param {Object} reminder
+     * @param {string} reminder.message
+     * @param {number} reminder.at - ms since epoch
+     * @param {string} [reminder.owner]
+     * @param {Object} [reminder.speaker] - { id, name }
+     * @returns {Promise<Reminder>}
+     */
+    async add({ message, at, owner = 'default', speaker = null }) {
+        if (!message) throw new Error('A reminder needs a message');
+        if (!Number.isFinite(at)) throw new Error('A reminder needs a time');
+        if (this.list({ owner }).length >= this.maxPerOwner) {
+            throw new Error(`Too many reminders (${this.maxPerOwner})`);
+        }
+
+        const reminder = {
+            id: String(this.nextId++),
+            message,
+            at,
+            owner,
+            speaker: speaker ? { id: speaker.id, ...(speaker.name && { name: speaker.name }) } : null,
+            status: 'pending',
+            createdAt: this.clock.now(),
+        };
+        this.reminders.set(reminder.id, reminder);
+        this.arm(reminder);
+        await this.save();
+
+        this.log(`Added #${reminder.id}: "${message}" at ${new Date(at).toISOString()}`);
+        this.emit('added', { ...reminder });
+        return { ...reminder };
+    }
+
+    /**
+     * Pending reminders, soonest first
+     * @param {Object} [filter] - { owner, speakerId }
+     * @returns {Reminder[]}
+     */
+    list(filter = {}) {
+        return this.select(filter, 'pending').sort((a, b) => a.at - b.at);
+    }
+
+    /**
+     * Most recently fired reminder that can still be snoozed
+     * @param {Object} [filter] - { owner, speakerId }
+     * @returns {Reminder|null}
+     */
+    lastFired(filter = {}) {
+        const since = this.clock.now() - this.keepFiredMs;
+        return this.select(filter, 'fired')
+            .filter((reminder) => reminder.firedAt >= since)
+            .sort((a, b) => b.firedAt - a.firedAt)[0] || null;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Reminder|null}
+     */
+    get(id) {
+        const reminder = this.reminders.get(String(id));
+        return reminder ? { ...reminder } : null;
+    }
+
+    /**
+     * Delete a reminder (pending or fired)
+     * @param {string} id
+     * @returns {Promise<boolean>} Whether it existed
+     */
+    async cancel(id) {
+        const reminder = this.reminders.get(String(id));
+        if (!reminder) return false;
+
+        this.disarm(reminder.id);
+        this.reminders.delete(reminder.id);
+        await this.save();
+
+        this.log(`Cancelled #${reminder.id}`);
+        this.emit('cancelled', { ...reminder });
+        return true;
+    }
+
+    /**
+     * Delete every pending reminder that matches
+     * @param {Object} [filter] - { owner, speakerId }
+     * @returns {Promise<number>} How many were cancelled
+     */
+    async cancelAll(filter = {}) {
+        const reminders = this.list(filter);
+        for (const reminder of reminders) {
+            this.disarm(reminder.id);
+            this.reminders.delete(reminder.id);
+            this.emit('cancelled', reminder);
+        }
+        if (reminders.length > 0) await this.save();
+        return reminders.length;
+    }
+
+    /**
+     * Move a reminder (usually one that just fired) to later
+     * @param {string} id
+     * @param {number} delayMs - From now
+     * @returns {Promise<Reminder|null>} The rescheduled reminder, or null if there is none
+     */
+    async snooze(id, delayMs) {
+        const reminder = this.reminders.get(String(id));
+        if (!reminder) return null;
+
+        this.disarm(reminder.id);
+        reminder.at = this.clock.now() + delayMs;
+        reminder.status = 'pending';
+        reminder.snoozes = (reminder.snoozes || 0) + 1;
+        delete reminder.firedAt;
+        delete reminder.late;
+        this.arm(reminder);
+        await this.save();
+
+        this.log(`Snoozed #${reminder.id} for ${Math.round(delayMs / 1000)} s`);
+        return { ...reminder };
+    }
+
+    /**
+     * Mark a reminder fired and emit 'reminder'
+     * @param {string} id
+     * @param {Object} [options] - { late }
+     */
+    fire(id, { late = false } = {}) {
+        const reminder = this.reminders.get(id);
+        if (!reminder || reminder.status !== 'pending') return;
+
+        this.disarm(id);
+        reminder.status = 'fired';
+        reminder.firedAt = this.clock.now();
+        if (late) reminder.late = true;
+        this.save().catch((error) => this.log('Save error:', error.message));
+
+        this.log(`Firing #${id}: "${reminder.message}"${late ? ' (late)' : ''}`);
+        this.emit('reminder', { ...reminder });
+    }
+
+    arm(reminder) {
+        this.disarm(reminder.id);
+
+        const delay = Math.max(0, reminder.at - this.clock.now());
+        const timer = this.clock.setTimeout(() => {
+            this.timers.delete(reminder.id);
+            // Long waits are split; check again when this step ends
+            if (reminder.at > this.clock.now()) {
+                this.arm(reminder);
+            } else {
+                this.fire(reminder.id);
+            }
+        }, Math.min(delay, MAX_TIMEOUT_MS));
+        this.timers.set(reminder.id, timer);
+    }
+
+    disarm(id) {
+        const timer = this.timers.get(id);
+        if (timer !== undefined) {
+            this.clock.clearTimeout(timer);
+            this.timers.delete(id);
+        }
+    }
+
+    select({ owner, speakerId } = {}, status) {
+        return [...this.reminders.values()]
+            .filter((reminder) => reminder.status === status)
+            .filter((reminder) => owner === undefined || reminder.owner === owner)
+            .filter((reminder) => speakerId === undefined || reminder.speaker?.id === speakerId)
+            .map((reminder) => ({ ...reminder }));
+    }
+
+    /**
+     * Forget fired reminders that can no longer be snoozed
+     */
+    prune() {
+        const since = this.clock.now() - this.keepFiredMs;
+        for (const [id, reminder] of this.reminders) {
+            if (reminder.status === 'fired' && reminder.firedAt < since) {
+                this.reminders.delete(id);
+            }
+        }
+    }
+
+    save() {
+        this.prune();
+        return this.store.write({
+            version: FILE_VERSION,
+            nextId: this.nextId,
+            reminders: [...this.reminders.values()],
+        });
+    }
+
+    clear() {
+        for (const id of [...this.timers.keys()]) {
+            this.disarm(id);
+        }
+        this.reminders.clear();
+    }
+
+    /**
+     * Stop the timers; reminders stay on disk for the next load()
+     */
+    dispose() {
+        for (const id of [...this.timers.keys()]) {
+            this.disarm(id);
+        }
+        this.isLoaded = false;
+    }
+}
+
+export default ReminderScheduler;
@@ -0,0 +1,67 @@
+/**
+ * JSON Store
+ * One JSON document on disk, written atomically (temp file, then rename)
+ * and one write at a time, so a crash or two quick changes never leave a
+ * half-written file behind.
+ */
+
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import { dirname, resolve } from 'path';
+
+export class JsonStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.path - File to keep the document in
+     * @param {boolean} [options.debug]
+     */
+    constructor(options = {}) {
+        if (!options.path) {
+            throw new Error('JsonStore needs a path');
+        }
+
+        this.debug = options.debug || false;
+        this.path = resolve(options.path);
+        this.writing = Promise.resolve();
+    }
+
+    log(...args) {
+        if (this.debug) {
+            console.log('[JsonStore]', ...args);
+        }
+    }
+
+    /**
+     * @param {*} fallback - Returned when the file does not exist yet
+     * @returns {Promise<*>}
+     */
+    async read(fallback = null) {
+        let text;
+        try {
+            text = await readFile(this.path, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return fallback;
+            throw error;
+        }
+        return JSON.parse(text);
+    }
+
+    /**
+     * Replace the document; resolves once it is on disk
+     * @param {*} data
+     * @returns {Promise<void>}
+     */
+    write(data) {
+        const json = JSON.stringify(data, null, 2) + '\n';
+        const write = this.writing.catch(() => {}).then(async () => {
+            await mkdir(dirname(this.path), { recursive: true });
+            const tmpPath = `${this.path}.tmp`;
+            await writeFile(tmpPath, json);
+            await rename(tmpPath, this.path);
+            this.log('Saved:', this.path);
+        });
+        this.writing = write;
+        return write;
+    }
+}
+
+export default JsonStore;
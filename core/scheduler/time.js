@@ -0,0 +1,278 @@
+/**
+ * Spoken Times
+ * Turns what people say after "remind me" into a point in time, and back
+ * into something short to say.
+ *
+ *   "in 10 minutes", "in an hour and a half", "two hours and 15 minutes"
+ *   "at 6pm", "at six thirty", "at 18:00", "at noon", "tonight at 8"
+ *   "at 6pm tomorrow", "tomorrow morning", "on friday at 5"
+ *
+ * Everything is local time. A clock time that has already passed today means
+ * tomorrow; an hour without am/pm means the next time that hour comes round
+ * (or, on another day, 7 to 11 in the morning and 12 to 6 in the afternoon).
+ */
+
+import { toNumber } from '../function-caller/schema.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const UNITS = [
+    [/^(?:seconds?|secs?)$/, 1000],
+    [/^(?:minutes?|mins?)$/, MINUTE],
+    [/^(?:hours?|hrs?)$/, HOUR],
+    [/^days?$/, DAY],
+    [/^weeks?$/, 7 * DAY],
+];
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Part of the day: default hour, and which half of the clock it means
+const PERIODS = {
+    morning: { hour: 9, meridiem: 'am' },
+    afternoon: { hour: 15, meridiem: 'pm' },
+    evening: { hour: 18, meridiem: 'pm' },
+    tonight: { hour: 20, meridiem: 'pm' },
+    night: { hour: 20, meridiem: 'pm' },
+};
+
+const DEFAULT_HOUR = 9;
+
+/**
+ * When something said should happen
+ * @param {string} text - e.g. "in 10 minutes", "at 6pm tomorrow"
+ * @param {number} [now] - ms since epoch (default: Date.now())
+ * @returns {number|null} ms since epoch, or null if it is not a time
+ */
+export function parseTime(text, now = Date.now()) {
+    const normalized = normalize(text);
+    if (!normalized) return null;
+
+    // "in 10 minutes", "after an hour", "10 minutes from now"
+    const relative = normalized.replace(/^(?:in|after)\s+/, '').replace(/\s+from now$/, '');
+    const duration = parseDuration(relative);
+    if (duration !== null && duration > 0) return now + duration;
+
+    return parseClockTime(normalized, now);
+}
+
+/**
+ * Length of a spoken duration ("an hour and a half", "2 hours 15 minutes")
+ * @param {string} text
+ * @returns {number|null} ms, or null if it is not only a duration
+ */
+export function parseDuration(text) {
+    const words = normalize(text).replace(/(\d)([a-z])/g, '$1 $2').split(' ').filter(Boolean);
+
+    let total = 0;
+    let number = [];
+    let lastUnit = null;
+
+    for (const word of words) {
+        const unit = UNITS.find(([pattern]) => pattern.test(word))?.[1];
+        if (unit) {
+            // With the unit: "a" only counts as one right before it ("a minute")
+            const value = number.length > 0 ? toNumber(`${number.join(' ')} ${word}`) : null;
+            if (value === null) return null;
+            total += value * unit;
+            lastUnit = unit;
+            number = [];
+        } else if (word === 'and') {
+            // Between units ("2 hours and 15 minutes") or inside a number ("one and a half")
+            if (number.length > 0) number.push(word);
+        } else if (isNumberWord(word)) {
+            number.push(word);
+        } else {
+            return null;
+        }
+    }
+
+    // "an hour and a half": the trailing number is a share of the last unit
+    if (number.length > 0) {
+        const value = toNumber(number.join(' '));
+        if (value === null || lastUnit === null || value >= 1) return null;
+        total += value * lastUnit;
+    }
+
+    return lastUnit === null ? null : total;
+}
+
+/**
+ * "at 6pm tomorrow", "tonight", "on friday at 5:30"
+ */
+function parseClockTime(text, now) {
+    let rest = ` ${text} `;
+    let dayOffset = null;
+    let period = null;
+
+    const take = (pattern) => {
+        const match = rest.match(pattern);
+        if (match) rest = rest.replace(pattern, ' ');
+        return match;
+    };
+
+    if (take(/\s(?:today)\s/)) dayOffset = 0;
+    if (take(/\s(?:tomorrow)\s/)) dayOffset = 1;
+
+    const weekday = take(/\s(?:on\s|next\s|this\s)?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\s/);
+    if (weekday) {
+        const today = new Date(now).getDay();
+        dayOffset = ((WEEKDAYS.indexOf(weekday[1]) - today + 7) % 7) || 7;
+    }
+
+    const part = take(/\s(?:this\s|in the\s|at\s)?(morning|afternoon|evening|tonight|night)\s/);
+    if (part) {
+        period = PERIODS[part[1]];
+        if (part[1] === 'tonight' && dayOffset === null) dayOffset = 0;
+    }
+
+    rest = rest.replace(/\s(?:at|on|by|around)\s/g, ' ').trim();
+
+    let clock = null;
+    if (rest) {
+        clock = parseClock(rest);
+        if (!clock) return null;
+    } else if (dayOffset === null && !period) {
+        return null;
+    }
+
+    const meridiem = clock?.meridiem || period?.meridiem || null;
+    let hour = clock ? clock.hour : (period?.hour ?? DEFAULT_HOUR);
+    const minute = clock?.minute || 0;
+
+    if (clock && clock.hour <= 12 && meridiem) {
+        hour = clock.hour % 12 + (meridiem === 'pm' ? 12 : 0);
+    }
+
+    const at = (offset, h) => {
+        const date = new Date(now);
+        date.setDate(date.getDate() + offset);
+        date.setHours(h, minute, 0, 0);
+        return date.getTime();
+    };
+
+    // No am/pm and nothing to tell: the next time that hour comes round
+    const ambiguous = clock && !meridiem && clock.hour >= 1 && clock.hour <= 12 && !clock.twentyFour;
+
+    if (dayOffset !== null) {
+        if (ambiguous) {
+            hour = clock.hour >= 7 && clock.hour <= 11 ? clock.hour : clock.hour % 12 + 12;
+            if (dayOffset === 0) {
+                const candidates = [clock.hour % 12, clock.hour % 12 + 12].map((h) => at(0, h)).filter((time) => time > now);
+                return candidates[0] ?? null;
+            }
+        }
+        return at(dayOffset, hour);
+    }
+
+    if (ambiguous) {
+        const candidates = [0, 1].flatMap((offset) => [clock.hour % 12, clock.hour % 12 + 12].map((h) => at(offset, h)));
+        return candidates.sort((a, b) => a - b).find((time) => time > now) ?? null;
+    }
+
+    const today = at(0, hour);
+    return today > now ? today : at(1, hour);
+}
+
+/**
+ * Hour and minute from "6", "6pm", "6:30 pm", "6.30", "18:00", "630", "six thirty", "noon"
+ * @returns {{hour: number, minute: number, meridiem: string|null, twentyFour: boolean}|null}
+ */
+function parseClock(text) {
+    const compact = text.replace(/\s*o'?clock$/, '').trim();
+
+    if (compact === 'noon' || compact === 'midday') return { hour: 12, minute: 0, meridiem: null, twentyFour: true };
+    if (compact === 'midnight') return { hour: 0, minute: 0, meridiem: null, twentyFour: true };
+
+    const meridiemMatch = compact.match(/\s*(am|pm)$/);
+    const meridiem = meridiemMatch?.[1] || null;
+    const time = meridiemMatch ? compact.slice(0, meridiemMatch.index).trim() : compact;
+
+    let hour;
+    let minute = 0;
+
+    const digits = time.match(/^(\d{1,2})(?:[:.](\d{2}))?$/) || time.match(/^(\d{1,2})(\d{2})$/);
+    if (digits) {
+        hour = Number(digits[1]);
+        minute = Number(digits[2] || 0);
+    } else {
+        // "six", "six thirty", "seven oh five"
+        const [first, ...others] = time.split(' ');
+        hour = toNumber(first);
+        if (others.length > 0) {
+            minute = toNumber(others.filter((word) => word !== 'oh').join(' '));
+        }
+    }
+
+    if (!Number.isInteger(hour) || !Number.isInteger(minute)) return null;
+    if (hour > 23 || minute > 59 || (meridiem && (hour < 1 || hour > 12))) return null;
+
+    return { hour, minute, meridiem, twentyFour: hour === 0 || hour > 12 || /^0\d/.test(time) };
+}
+
+/**
+ * How to say when something happens, relative to now
+ * ("in 10 minutes", "at 6:30 PM", "at 9:00 AM tomorrow", "on Friday at 5:00 PM")
+ * @param {number} at - ms since epoch
+ * @param {number} [now]
+ * @returns {string}
+ */
+export function describeTime(at, now = Date.now()) {
+    const delta = at - now;
+    if (delta < HOUR) {
+        const minutes = Math.max(1, Math.round(delta / MINUTE));
+        return `in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+    }
+
+    const date = new Date(at);
+    const clock = date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+    const days = Math.round((startOfDay(at) - startOfDay(now)) / DAY);
+
+    if (days === 0) return `at ${clock}`;
+    if (days === 1) return `at ${clock} tomorrow`;
+    if (days < 7) return `on ${date.toLocaleDateString('en-US', { weekday: 'long' })} at ${clock}`;
+    return `on ${date.toLocaleDateString('en-US', { month: 'long', day: 'numeric' })} at ${clock}`;
+}
+
+/**
+ * How long something lasts, in words ("12 minutes", "1 hour and 5 minutes", "40 seconds")
+ * Under ten minutes seconds are kept; above that it is rounded to the minute.
+ * @param {number} ms
+ * @returns {string}
+ */
+export function describeDuration(ms) {
+    const totalSeconds = Math.max(0, Math.round(ms / 1000));
+    const rounded = totalSeconds >= 600 ? Math.round(totalSeconds / 60) * 60 : totalSeconds;
+
+    const hours = Math.floor(rounded / 3600);
+    const minutes = Math.floor((rounded % 3600) / 60);
+    const seconds = rounded % 60;
+
+    const parts = [[hours, 'hour'], [minutes, 'minute'], [seconds, 'second']]
+        .filter(([value]) => value > 0)
+        .map(([value, unit]) => `${value} ${unit}${value === 1 ? '' : 's'}`);
+    if (parts.length === 0) return '0 seconds';
+    if (parts.length === 1) return parts[0];
+    return `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}`;
+}
+
+function startOfDay(time) {
+    const date = new Date(time);
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+}
+
+function isNumberWord(word) {
+    return /^\d+(\.\d+)?$/.test(word) || ['a', 'an'].includes(word) || toNumber(word) !== null;
+}
+
+function normalize(text) {
+    return String(text ?? '')
+        .toLowerCase()
+        .replace(/\b([ap])\.?\s?m\b\.?/g, '$1m')
+        .replace(/[,!?]/g, ' ')
+        .replace(/\.(?!\d)/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
@@ -0,0 +1,345 @@
+/**
+ * Timers and Alarms
+ * Named countdowns ("a pizza timer for 12 minutes") and alarms at a time of
+ * day, once or repeating (daily, weekdays, weekends).
+ *
+ * When one goes off it rings: 'ringing' is emitted with what to say, and
+ * again every ringIntervalMs until someone dismisses it or it has rung
+ * maxRings times ('missed'). A timer is then gone; a repeating alarm moves
+ * on to its next day.
+ *
+ * Timers are short-lived and kept in memory only. Time comes from an
+ * injectable clock, so a ManualClock (./clock.js) can run them in tests
+ * without waiting.
+ */
+
+import { EventEmitter } from 'events';
+import { systemClock, MAX_TIMEOUT_MS } from './clock.js';
+import { describeDuration } from './time.js';
+
+// Days (0 = Sunday) a repeating alarm goes off
+export const REPEATS = {
+    daily: [0, 1, 2, 3, 4, 5, 6],
+    weekdays: [1, 2, 3, 4, 5],
+    weekends: [0, 6],
+};
+
+/**
+ * @typedef {Object} TimerInfo
+ * @property {string} id
+ * @property {'timer'|'alarm'} kind
+ * @property {string|null} name - "pizza" (without "timer"), or null
+ * @property {'running'|'ringing'} status
+ * @property {number} at - When it goes off next (ms since epoch)
+ * @property {number} remainingMs - Until then (0 while ringing)
+ * @property {number} [durationMs] - Timers: how long it was set for
+ * @property {number} [hour] - Alarms: time of day
+ * @property {number} [minute]
+ * @property {'daily'|'weekdays'|'weekends'|null} [repeat] - Alarms: when it repeats
+ * @property {number} rings - Times it has rung since it went off
+ * @property {string} owner
+ * @property {Object|null} speaker - Who set it
+ * @property {number} createdAt
+ */
+
+export class TimerManager extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {import('./clock.js').Clock} [options.clock] - Time source and timers (default: system clock)
+     * @param {number} [options.ringIntervalMs] - Between repeated alerts (default: 20000)
+     * @param {number} [options.maxRings] - Alerts before giving up on an acknowledgement (default: 15)
+     * @param {number} [options.maxTimers] - Timers and alarms per owner (default: 20)
+     * @param {(timer: TimerInfo) => string} [options.alert] - What to say when one rings (default: alertText)
+     * @param {boolean} [options.debug]
+     */
+    constructor(options = {}) {
+        super();
+
+        this.debug = options.debug || false;
+        this.clock = options.clock || systemClock;
+        this.ringIntervalMs = options.ringIntervalMs || 20000;
+        this.maxRings = options.maxRings || 15;
+        this.maxTimers = options.maxTimers || 20;
+        this.alert = options.alert || alertText;
+
+        this.timers = new Map();
+        this.handles = new Map();
+        this.nextId = 1;
+    }
+
+    log(...args) {
+        if (this.debug) {
+            console.log('[Timers]', ...args);
+        }
+    }
+
+    /**
+     * Start a countdown
+     * @param {Object} spec - { durationMs, name? }
+     * @param {Object} [context] - { owner, speaker }
+     * @returns {TimerInfo}
+     */
+    startTimer({ durationMs, name = null }, context = {}) {
+        if (!(durationMs > 0)) throw new Error('A timer needs a duration');
+
+        return this.add({ kind: 'timer', name, durationMs, at: this.clock.now() + durationMs }, context);
+    }
+
+    /**
+     * Set an alarm; a repeating one goes off at that time of day on its days
+     * @param {Object} spec - { at, name?, repeat? }
+     * @param {Object} [context] - { owner, speaker }
+     * @returns {TimerInfo}
+     */
+    setAlarm({ at, name = null, repeat = null }, context = {}) {
+        if (!Number.isFinite(at)) throw new Error('An alarm needs a time');
+        if (repeat && !REPEATS[repeat]) throw new Error(`Unknown repeat: ${repeat}`);
+
+        const date = new Date(at);
+        const alarm = { kind: 'alarm', name, hour: date.getHours(), minute: date.getMinutes(), repeat: repeat || null };
+        alarm.at = repeat ? nextOccurrence(alarm, this.clock.now()) : at;
+        return this.add(alarm, context);
+    }
+
+    add(fields, context) {
+        const owner = context.owner || 'default';
+        if (this.list({ owner }).length >= this.maxTimers) {
+            throw new Error(`Too many timers (${this.maxTimers})`);
+        }
+
+        const timer = {
+            id: String(this.nextId++),
+            ...fields,
+            name: cleanName(fields.name),
+            status: 'running',
+            rings: 0,
+            owner,
+            speaker: context.speaker || null,
+            createdAt: this.clock.now(),
+        };
+        this.timers.set(timer.id, timer);
+        this.schedule(timer, timer.at, () => this.ring(timer));
+
+        this.log(`Started ${timer.kind} #${timer.id}${timer.name ? ` (${timer.name})` : ''}, goes off in ${describeDuration(timer.at - this.clock.now())}`);
+        this.emit('started', this.describe(timer));
+        return this.describe(timer);
+    }
+
+    /**
+     * Timers and alarms, soonest first (ringing ones before the rest)
+     * @param {Object} [filter] - { owner, speakerId, kind, status }
+     * @returns {TimerInfo[]}
+     */
+    list(filter = {}) {
+        return [...this.timers.values()]
+            .filter((timer) => matches(timer, filter))
+            .sort((a, b) => (b.status === 'ringing') - (a.status === 'ringing') || a.at - b.at)
+            .map((timer) => this.describe(timer));
+    }
+
+    /**
+     * @param {string} id
+     * @returns {TimerInfo|null}
+     */
+    get(id) {
+        const timer = this.timers.get(String(id));
+        return timer ? this.describe(timer) : null;
+    }
+
+    /**
+     * Remove a timer or alarm, ringing or not (a repeating alarm for good)
+     * @param {string} id
+     * @param {Object} [filter] - { owner, ... }: only if it matches
+     * @returns {boolean} Whether it existed
+     */
+    cancel(id, filter = {}) {
+        const timer = this.timers.get(String(id));
+        if (!timer || !matches(timer, filter)) return false;
+
+        this.disarm(timer.id);
+        this.timers.delete(timer.id);
+        this.log(`Cancelled ${timer.kind} #${timer.id}`);
+        this.emit('cancelled', this.describe(timer));
+        return true;
+    }
+
+    /**
+     * @param {Object} [filter] - { owner, speakerId, kind, status }
+     * @returns {number} How many were cancelled
+     */
+    cancelAll(filter = {}) {
+        return this.list(filter).filter((timer) => this.cancel(timer.id)).length;
+    }
+
+    /**
+     * Acknowledge a ringing timer or alarm: it stops ringing, and a
+     * repeating alarm is set for its next day
+     * @param {string} id
+     * @param {Object} [filter]
+     * @returns {boolean} Whether it was ringing
+     */
+    dismiss(id, filter = {}) {
+        const timer = this.timers.get(String(id));
+        if (!timer || timer.status !== 'ringing' || !matches(timer, filter)) return false;
+
+        this.log(`Dismissed ${timer.kind} #${timer.id}`);
+        this.emit('dismissed', this.describe(timer));
+        this.finish(timer);
+        return true;
+    }
+
+    /**
+     * @param {Object} [filter] - { owner, speakerId, kind }
+     * @returns {number} How many were ringing
+     */
+    dismissAll(filter = {}) {
+        return this.list({ ...filter, status: 'ringing' }).filter((timer) => this.dismiss(timer.id)).length;
+    }
+
+    /**
+     * Timer API for one speaker's command, handed to tool handlers as `context.timers`
+     * Everything is shared within the owner (anyone in the guild can check the pizza timer).
+     * @param {Object} context - { owner, speaker }
+     */
+    scope(context) {
+        const owner = context.owner || 'default';
+        return {
+            now: () => this.clock.now(),
+            startTimer: (spec) => this.startTimer(spec, context),
+            setAlarm: (spec) => this.setAlarm(spec, context),
+            list: (filter = {}) => this.list({ ...filter, owner }),
+            cancel: (id) => this.cancel(id, { owner }),
+            cancelAll: (filter = {}) => this.cancelAll({ ...filter, owner }),
+            dismiss: (id) => this.dismiss(id, { owner }),
+            dismissAll: (filter = {}) => this.dismissAll({ ...filter, owner }),
+        };
+    }
+
+    ring(timer) {
+        timer.status = 'ringing';
+        timer.rings++;
+
+        const text = this.alert(this.describe(timer));
+        this.log(`${timer.kind} #${timer.id} ringing (${timer.rings}/${this.maxRings}):`, text);
+        this.emit('ringing', { text, timer: this.describe(timer) });
+
+        this.schedule(timer, this.clock.now() + this.ringIntervalMs, () => {
+            if (timer.rings < this.maxRings) {
+                this.ring(timer);
+                return;
+            }
+            this.log(`${timer.kind} #${timer.id} was not acknowledged`);
+            this.emit('missed', this.describe(timer));
+            this.finish(timer);
+        });
+    }
+
+    /**
+     * Done ringing: a repeating alarm goes on to its next day, anything else is removed
+     */
+    finish(timer) {
+        this.disarm(timer.id);
+
+        if (timer.kind === 'alarm' && timer.repeat) {
+            timer.status = 'running';
+            timer.rings = 0;
+            timer.at = nextOccurrence(timer, this.clock.now());
+            this.schedule(timer, timer.at, () => this.ring(timer));
+            return;
+        }
+        this.timers.delete(timer.id);
+    }
+
+    schedule(timer, at, callback) {
+        this.disarm(timer.id);
+
+        const delay = Math.max(0, at - this.clock.now());
+        const handle = this.clock.setTimeout(() => {
+            this.handles.delete(timer.id);
+            // Long waits are split; check again when this step ends
+            if (at > this.clock.now()) {
+                this.schedule(timer, at, callback);
+            } else {
+                callback();
+            }
+        }, Math.min(delay, MAX_TIMEOUT_MS));
+        this.handles.set(timer.id, handle);
+    }
+
+    disarm(id) {
+        const handle = this.handles.get(id);
+        if (handle !== undefined) {
+            this.clock.clearTimeout(handle);
+            this.handles.delete(id);
+        }
+    }
+
+    describe(timer) {
+        return {
+            ...timer,
+            remainingMs: timer.status === 'ringing' ? 0 : Math.max(0, timer.at - this.clock.now()),
+        };
+    }
+
+    /**
+     * Stop everything (e.g. on shutdown)
+     */
+    dispose() {
+        for (const id of [...this.handles.keys()]) {
+            this.disarm(id);
+        }
+        this.timers.clear();
+    }
+}
+
+/**
+ * Default alert: "Your pizza timer is done.", "It's 6:30 AM. Your alarm is going off."
+ * @param {TimerInfo} timer
+ * @returns {string}
+ */
+export function alertText(timer) {
+    if (timer.kind === 'alarm') {
+        const clock = new Date(timer.at).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+        return `It's ${clock}. Your ${timer.name ? `${timer.name} ` : ''}alarm is going off.`;
+    }
+    return timer.name
+        ? `Your ${timer.name} timer is done.`
+        : `Your timer for ${describeDuration(timer.durationMs)} is done.`;
+}
+
+/**
+ * Next time a repeating alarm goes off after `after`
+ */
+function nextOccurrence(alarm, after) {
+    const days = REPEATS[alarm.repeat] || REPEATS.daily;
+    for (let offset = 0; offset <= 7; offset++) {
+        const date = new Date(after);
+        date.setDate(date.getDate() + offset);
+        date.setHours(alarm.hour, alarm.minute, 0, 0);
+        if (date.getTime() > after && days.includes(date.getDay())) return date.getTime();
+    }
+    return null;
+}
+
+/**
+ * "the Pizza timer" -> "pizza"
+ */
+function cleanName(name) {
+    const cleaned = String(name ?? '')
+        .trim()
+        .toLowerCase()
+        .replace(/^(?:the|my|a|an)\s+/, '')
+        .replace(/\s+(?:timer|alarm)$/, '')
+        .trim();
+    return cleaned || null;
+}
+
+function matches(timer, { owner, speakerId, kind, status } = {}) {
+    if (owner !== undefined && timer.owner !== owner) return false;
+    if (speakerId !== undefined && timer.speaker?.id !== speakerId) return false;
+    if (kind !== undefined && timer.kind !== kind) return false;
+    if (status !== undefined && timer.status !== status) return false;
+    return true;
+}
+
+export default TimerManager;
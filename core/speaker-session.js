@@ -0,0 +1,111 @@
+/**
+ * Speaker Session
+ * One listener per person: its own wake word detector (VAD state, embedding
+ * buffer, recording) fed only with that person's audio.
+ *
+ * Sources may come and go - Discord ends a user's stream after each silence -
+ * so the detector listens to a relay instead of the source itself. When a
+ * source ends, the session keeps feeding silence for a moment so VAD can see
+ * the end of speech and a pending recording completes.
+ */
+
+import { EventEmitter } from 'events';
+
+export class SpeakerSession extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {{id: string, name?: string}} options.speaker - Who this session listens to
+     * @param {Object} options.detector - Initialized wake word engine, owned by the session
+     * @param {number} [options.sampleRate] - Detector input rate (default: 16000)
+     * @param {number} [options.silencePadMs] - Silence fed after a source ends (default: 2000)
+     * @param {boolean} [options.debug]
+     */
+    constructor(options = {}) {
+        super();
+
+        this.debug = options.debug || false;
+        this.speaker = options.speaker;
+        this.id = this.speaker.id;
+        this.detector = options.detector;
+        this.sampleRate = options.sampleRate || 16000;
+        this.silencePadMs = options.silencePadMs || 2000;
+
+        // What the detector reads from
+        this.relay = new EventEmitter();
+        this.audioSource = null;
+        this.padTimer = null;
+
+        this.detector.start(this.relay);
+    }
+
+    log(...args) {
+        if (this.debug) {
+            console.log(`[Session:${this.speaker.name || this.id}]`, ...args);
+        }
+    }
+
+    /**
+     * Listen to a (new) audio source for this speaker
+     * @param {{on: Function, removeAllListeners?: Function}} audioSource
+     */
+    attach(audioSource) {
+        this.detachSource();
+        this.stopPadding();
+
+        this.audioSource = audioSource;
+        audioSource.on('data', (chunk) => this.relay.emit('data', chunk));
+        audioSource.on('close', () => {
+            if (this.audioSource === audioSource) {
+                this.detach();
+            }
+        });
+        this.log('Source attached');
+    }
+
+    /**
+     * The speaker went quiet: flush with silence, then report 'idle'
+     */
+    detach() {
+        this.detachSource();
+        this.stopPadding();
+
+        const chunkMs = 100;
+        const silence = new Float32Array(Math.floor(this.sampleRate * chunkMs / 1000));
+        let padded = 0;
+
+        this.padTimer = setInterval(() => {
+            this.relay.emit('data', silence);
+            padded += chunkMs;
+
+            if (padded >= this.silencePadMs && !this.detector.isRecording) {
+                this.stopPadding();
+                this.log('Idle');
+                this.emit('idle');
+            }
+        }, chunkMs);
+        this.padTimer.unref?.();
+    }
+
+    detachSource() {
+        this.audioSource?.removeAllListeners?.('data');
+        this.audioSource?.removeAllListeners?.('close');
+        this.audioSource = null;
+    }
+
+    stopPadding() {
+        if (this.padTimer) {
+            clearInterval(this.padTimer);
+            this.padTimer = null;
+        }
+    }
+
+    async dispose() {
+        this.detachSource();
+        this.stopPadding();
+        this.relay.removeAllListeners();
+        await this.detector.dispose();
+        this.removeAllListeners();
+    }
+}
+
+export default SpeakerSession;
@@ -3,3 +3,4 @@
  */
 
 export { SpeechToText } from './whisper.js';
+export { WhisperServerSTT } from './whisper-server.js';
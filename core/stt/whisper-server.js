@@ -0,0 +1,117 @@
+/**
+ * Speech-to-Text via a whisper.cpp HTTP server
+ * Offloads transcription to `whisper-server` (whisper.cpp/examples/server),
+ * e.g. running on a stronger machine on the LAN or a GPU box.
+ */
+
+import { EventEmitter } from 'events';
+import { float32ToInt16 } from '../audio/convert.js';
+
+export class WhisperServerSTT extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.debug = options.debug || false;
+        this.url = options.url || process.env.WHISPER_SERVER_URL || 'http://127.0.0.1:8080';
+        this.language = options.language || 'en';
+        this.timeoutMs = options.timeoutMs || 15000;
+        this.sampleRate = 16000;
+
+        this.isInitialized = false;
+    }
+
+    log(...args) {
+        if (this.debug) {
+            console.log('[WhisperServer]', ...args);
+        }
+    }
+
+    async initialize() {
+        if (this.isInitialized) return;
+
+        // Fail at startup rather than on the first command
+        try {
+            await fetch(this.url, { signal: AbortSignal.timeout(this.timeoutMs) });
+        } catch (error) {
+            throw new Error(`whisper.cpp server not reachable at ${this.url}: ${error.message}`);
+        }
+
+        this.isInitialized = true;
+        this.log('Connected to', this.url);
+    }
+
+    /**
+     * Transcribe audio samples
+     * @param {Float32Array} audio - Audio samples at 16kHz
+     * @param {Object} options - Transcription options
+     * @returns {Promise<string>} Transcription text
+     */
+    async transcribe(audio, options = {}) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+
+        const startTime = performance.now();
+        this.emit('start');
+
+        try {
+            const form = new FormData();
+            form.append('file', new Blob([this.encodeWav(audio)], { type: 'audio/wav' }), 'audio.wav');
+            form.append('language', options.language || this.language);
+            form.append('response_format', 'json');
+            form.append('temperature', '0');
+
+            const response = await fetch(`${this.url}/inference`, {
+                method: 'POST',
+                body: form,
+                signal: AbortSignal.timeout(this.timeoutMs),
+            });
+            if (!response.ok) {
+                throw new Error(`whisper.cpp server error: ${response.status} ${response.statusText}`);
+            }
+
+            const { text = '' } = await response.json();
+            const elapsed = performance.now() - startTime;
+            this.log(`Transcription took ${elapsed.toFixed(0)}ms:`, text);
+
+            this.emit('complete', { text, duration: elapsed });
+            return text.trim();
+
+        } catch (error) {
+            this.log('Transcription error:', error);
+            this.emit('error', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Encode float samples as 16-bit mono WAV
+     */
+    encodeWav(audio) {
+        const buffer = Buffer.alloc(44 + audio.length * 2);
+
+        buffer.write('RIFF', 0);
+        buffer.writeUInt32LE(36 + audio.length * 2, 4);
+        buffer.write('WAVE', 8);
+        buffer.write('fmt ', 12);
+        buffer.writeUInt32LE(16, 16);
+        buffer.writeUInt16LE(1, 20); // PCM
+        buffer.writeUInt16LE(1, 22); // mono
+        buffer.writeUInt32LE(this.sampleRate, 24);
+        buffer.writeUInt32LE(this.sampleRate * 2, 28);
+        buffer.writeUInt16LE(2, 32);
+        buffer.writeUInt16LE(16, 34);
+        buffer.write('data', 36);
+        buffer.writeUInt32LE(audio.length * 2, 40);
+
+        float32ToInt16(audio).copy(buffer, 44);
+
+        return buffer;
+    }
+
+    async dispose() {
+        this.isInitialized = false;
+    }
+}
+
+export default WhisperServerSTT;
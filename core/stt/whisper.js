@@ -4,7 +4,10 @@
  */
 
 import { EventEmitter } from 'events';
-import { pipeline } from '@huggingface/transformers';
+import { pipeline, env } from '@huggingface/transformers';
+import { getModelResolver } from '../models/resolver.js';
+import { ModelPool } from '../model-pool.js';
+import { abortOptions } from '../engines/abort-criteria.js';
 
 // Model configurations based on performance needs
 const WHISPER_MODELS = {
@@ -30,6 +33,12 @@ export class SpeechToText extends EventEmitter {
         this.modelName = options.model || 'whisper-tiny';
         this.quantized = options.quantized !== false;
         this.language = options.language || 'en';
+        this.resolver = options.resolver || getModelResolver();
+
+        // Shared with other pipelines when a pool is passed in
+        this.pool = options.pool || new ModelPool({ debug: this.debug });
+        this.owner = options.owner || 'default';
+        this.poolKey = null;
 
         this.transcriber = null;
         this.isInitialized = false;
@@ -52,12 +61,19 @@ export class SpeechToText extends EventEmitter {
         this.log(`Loading ${this.modelName}...`);
 
         try {
+            this.resolver.configureTransformers(env);
+
+            // q8 loads the *_quantized.onnx files listed in the model manifest
+            const dtype = this.quantized ? 'q8' : 'fp32';
+            this.poolKey = `stt:${this.modelName}:${dtype}`;
+
             // Use transformers.js for Whisper inference
-            this.transcriber = await pipeline(
+            this.transcriber = await this.pool.acquire(this.poolKey, () => pipeline(
                 'automatic-speech-recognition',
                 modelConfig.model,
                 {
-                    quantized: this.quantized,
+                    ...this.resolver.transformersOptions(),
+                    dtype,
                     progress_callback: (progress) => {
                         this.emit('progress', progress);
                         if (progress.status === 'progress') {
@@ -65,7 +81,7 @@ export class SpeechToText extends EventEmitter {
                         }
                     },
                 }
-            );
+            ), (transcriber) => transcriber.dispose());
 
             this.isInitialized = true;
             this.log('STT initialized');
@@ -80,6 +96,7 @@ export class SpeechToText extends EventEmitter {
      * Transcribe audio samples
      * @param {Float32Array} audio - Audio samples at 16kHz
      * @param {Object} options - Transcription options
+     * @param {AbortSignal} [options.signal] - Cancels the job (stops decoding at the next token)
      * @returns {Promise<string>} Transcription text
      */
     async transcribe(audio, options = {}) {
@@ -92,13 +109,19 @@ export class SpeechToText extends EventEmitter {
         this.emit('start');
 
         try {
-            const result = await this.transcriber(audio, {
-                language: options.language || this.language,
-                task: 'transcribe',
-                chunk_length_s: 30,
-                stride_length_s: 5,
-                return_timestamps: false,
+            const { signal } = options;
+            const result = await this.pool.schedule(this.owner, () => {
+                signal?.throwIfAborted();
+                return this.transcriber(audio, {
+                    language: options.language || this.language,
+                    task: 'transcribe',
+                    chunk_length_s: 30,
+                    stride_length_s: 5,
+                    return_timestamps: false,
+                    ...abortOptions(signal),
+                });
             });
+            signal?.throwIfAborted();
 
             const elapsed = performance.now() - startTime;
             this.log(`Transcription took ${elapsed.toFixed(0)}ms:`, result.text);
@@ -129,7 +152,7 @@ export class SpeechToText extends EventEmitter {
         this.emit('start');
 
         try {
-            const result = await this.transcriber(audio, {
+            const result = await this.pool.schedule(this.owner, () => this.transcriber(audio, {
                 language: this.language,
                 task: 'transcribe',
                 chunk_length_s: 30,
@@ -142,7 +165,7 @@ export class SpeechToText extends EventEmitter {
                     }
                     this.emit('chunk', chunk);
                 },
-            });
+            }));
 
             this.emit('complete', { text: result.text });
             return result.text;
@@ -154,6 +177,10 @@ export class SpeechToText extends EventEmitter {
     }
 
     async dispose() {
+        if (this.poolKey) {
+            await this.pool.release(this.poolKey);
+            this.poolKey = null;
+        }
         this.transcriber = null;
         this.isInitialized = false;
     }
@@ -0,0 +1,232 @@
+/**
+ * Task Manager
+ * Background work started by tools that outlives the command: reminders,
+ * downloads, "tell me when the song ends", watching a game lobby.
+ *
+ * A handler starts a task through its context and returns right away:
+ *
+ *   handler: async (params, { tasks }) => {
+ *       const task = tasks.start({
+ *           description: 'watch the lobby',
+ *           run: async ({ signal, announce }) => {
+ *               await lobby.waitForPlayers(4, { signal });
+ *               announce('The lobby is full.');
+ *           },
+ *       });
+ *       return { response: "I'll tell you when the lobby is full.", task };
+ *   }
+ *
+ * run() gets the task's signal (fired by cancel()) and announce(), which
+ * hands text to the pipeline to speak (or post) when the assistant is not
+ * busy. A string returned by run() is announced too. Tasks are tagged with
+ * the owner and speaker they were started for, so adapters can list and
+ * cancel them per guild or per user.
+ */
+
+import { EventEmitter } from 'events';
+
+/**
+ * @typedef {Object} TaskSpec
+ * @property {string} description - What it does, as a verb phrase for lists and the failure
+ *     message ("watch the lobby" -> "Sorry, I couldn't watch the lobby.")
+ * @property {(task: RunningTask) => Promise<string|void>} run
+ * @property {string} [name] - Tool that started it
+ * @property {string|null} [failureMessage] - Announced if run() throws (null: stay quiet)
+ */
+
+/**
+ * @typedef {Object} RunningTask
+ * @property {string} id
+ * @property {AbortSignal} signal - Fires when the task is cancelled
+ * @property {(text: string) => void} announce - Queue an announcement
+ * @property {(progress: *) => void} progress - Report progress, shown in list()
+ */
+
+/**
+ * @typedef {Object} TaskInfo
+ * @property {string} id
+ * @property {string|null} name
+ * @property {string} description
+ * @property {'running'|'done'|'failed'|'cancelled'} status
+ * @property {string} owner
+ * @property {Object|null} speaker
+ * @property {number} startedAt
+ * @property {*} [progress]
+ * @property {string} [error]
+ */
+
+export class TaskManager extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {number} [options.maxTasks] - Running tasks per owner; start() throws beyond this (default: 20)
+     * @param {boolean} [options.debug]
+     */
+    constructor(options = {}) {
+        super();
+
+        this.debug = options.debug || false;
+        this.maxTasks = options.maxTasks || 20;
+
+        /** @type {Map<string, {info: TaskInfo, controller: AbortController}>} */
+        this.tasks = new Map();
+        this.nextId = 1;
+    }
+
+    log(...args) {
+        if (this.debug) {
+            console.log('[TaskManager]', ...args);
+        }
+    }
+
+    /**
+     * Start a background task
+     * @param {TaskSpec} spec
+     * @param {Object} [context] - { owner, speaker } it belongs to
+     * @returns {TaskInfo & {cancel: () => boolean}} Handle to return from the handler
+     */
+    start(spec, context = {}) {
+        if (typeof spec.run !== 'function') {
+            throw new Error('A task needs a run() function');
+        }
+
+        const owner = context.owner || 'default';
+        if (this.list({ owner }).length >= this.maxTasks) {
+            throw new Error(`Too many background tasks (${this.maxTasks})`);
+        }
+
+        const id = String(this.nextId++);
+        const info = {
+            id,
+            name: spec.name || null,
+            description: spec.description || spec.name || 'background task',
+            status: 'running',
+            owner,
+            speaker: context.speaker || null,
+            startedAt: Date.now(),
+        };
+        const controller = new AbortController();
+        this.tasks.set(id, { info, controller });
+
+        const running = {
+            id,
+            signal: controller.signal,
+            announce: (text) => this.announce(info, text),
+            progress: (progress) => {
+                info.progress = progress;
+            },
+        };
+
+        this.log(`Started #${id}: ${info.description}`);
+        this.emit('taskStarted', { ...info });
+
+        // Starts on the next tick, after the handler has returned its reply
+        Promise.resolve()
+            .then(() => spec.run(running))
+            .then((result) => {
+                if (controller.signal.aborted) return;
+                if (typeof result === 'string' && result) running.announce(result);
+                this.finish(info, 'done');
+            }, (error) => {
+                if (controller.signal.aborted) return;
+                info.error = error?.message || String(error);
+                this.log(`#${id} failed:`, info.error);
+
+                const message = spec.failureMessage === undefined
+                    ? `Sorry, I couldn't ${info.description}.`
+                    : spec.failureMessage;
+                if (message) this.announce(info, message);
+                this.finish(info, 'failed');
+            });
+
+        return { ...info, cancel: () => this.cancel(id) };
+    }
+
+    /**
+     * Stop a running task
+     * @param {string} id
+     * @param {Object} [filter] - { owner, speakerId }: only if it belongs to them
+     * @returns {boolean} Whether a task was cancelled
+     */
+    cancel(id, filter = {}) {
+        const task = this.tasks.get(String(id));
+        if (!task || !matches(task.info, filter)) return false;
+
+        task.controller.abort();
+        this.finish(task.info, 'cancelled');
+        return true;
+    }
+
+    /**
+     * Stop every running task that matches
+     * @param {Object} [filter] - { owner, speakerId }
+     * @returns {number} How many were cancelled
+     */
+    cancelAll(filter = {}) {
+        return this.list(filter).filter((info) => this.cancel(info.id)).length;
+    }
+
+    /**
+     * Running tasks, oldest first
+     * @param {Object} [filter] - { owner, speakerId }
+     * @returns {TaskInfo[]}
+     */
+    list(filter = {}) {
+        return [...this.tasks.values()]
+            .map((task) => task.info)
+            .filter((info) => matches(info, filter))
+            .map((info) => ({ ...info }));
+    }
+
+    /**
+     * @param {string} id
+     * @returns {TaskInfo|null}
+     */
+    get(id) {
+        const task = this.tasks.get(String(id));
+        return task ? { ...task.info } : null;
+    }
+
+    /**
+     * Task API for one speaker's command, handed to tool handlers as `context.tasks`
+     * @param {Object} context - { owner, speaker }
+     * @returns {{start: Function, list: Function, cancel: Function}}
+     */
+    scope(context) {
+        const filter = { owner: context.owner || 'default' };
+        return {
+            start: (spec) => this.start(spec, context),
+            list: () => this.list(filter),
+            cancel: (id) => this.cancel(id, filter),
+        };
+    }
+
+    announce(info, text) {
+        // Nothing to say for a task that was stopped
+        if (!this.tasks.has(info.id)) return;
+
+        this.log(`#${info.id} announces:`, text);
+        this.emit('announcement', { text, task: { ...info } });
+    }
+
+    finish(info, status) {
+        info.status = status;
+        this.tasks.delete(info.id);
+        this.log(`#${info.id} ${status}`);
+        this.emit('taskFinished', { ...info });
+    }
+
+    /**
+     * Cancel everything (e.g. on shutdown)
+     */
+    dispose() {
+        this.cancelAll();
+    }
+}
+
+function matches(info, { owner, speakerId } = {}) {
+    if (owner !== undefined && info.owner !== owner) return false;
+    if (speakerId !== undefined && info.speaker?.id !== speakerId) return false;
+    return true;
+}
+
+export default TaskManager;
@@ -3,3 +3,4 @@
  */
 
 export { TextToSpeech } from './supertonic.js';
+export { SpeakerSink, MixerSink, createDefaultSink } from './sinks/index.js';
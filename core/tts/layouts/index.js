@@ -0,0 +1,30 @@
+/**
+ * Supertonic model layouts
+ * Both exports run the same voice model; they differ in graph split,
+ * tensor names and voice format. TextToSpeech talks to them through
+ * load() / loadVoice() / synthesize() / release().
+ */
+
+import { SupertoneLayout } from './supertone.js';
+import { OnnxCommunityLayout } from './onnx-community.js';
+import { getLayoutGroup } from '../../models/manifest.js';
+
+export const TTS_LAYOUTS = {
+    'onnx-community': OnnxCommunityLayout,
+    'supertone': SupertoneLayout,
+};
+
+/**
+ * Create the adapter for a layout, bound to its manifest group
+ * @param {string} layout - 'onnx-community' | 'supertone'
+ * @param {Object} options - Passed to the layout constructor
+ */
+export function createTtsLayout(layout, options = {}) {
+    const Layout = TTS_LAYOUTS[layout];
+    if (!Layout) {
+        throw new Error(`Unknown TTS layout: ${layout}`);
+    }
+    return new Layout({ group: getLayoutGroup(layout), ...options });
+}
+
+export { SupertoneLayout, OnnxCommunityLayout };
@@ -0,0 +1,171 @@
+/**
+ * Supertonic 2 - onnx-community export
+ * text_encoder (with durations) → latent_denoiser (denoising) → voice_decoder
+ * Voices are raw float32 style embeddings under voices/*.bin
+ */
+
+import ort from 'onnxruntime-node';
+import { PreTrainedTokenizer } from '@huggingface/transformers';
+import { getGroupArtifact } from '../../models/manifest.js';
+
+// Companion weight files that must sit next to each graph
+const EXTERNAL_DATA = {
+    'onnx/text_encoder.onnx': 'onnx/text_encoder.onnx_data',
+    'onnx/latent_denoiser.onnx': 'onnx/latent_denoiser.onnx_data',
+    'onnx/voice_decoder.onnx': 'onnx/voice_decoder.onnx_data',
+};
+
+export class OnnxCommunityLayout {
+    /**
+     * @param {Object} options
+     * @param {import('../../models/resolver.js').ModelResolver} options.resolver
+     * @param {string} [options.group] - Manifest group holding the files
+     * @param {number} [options.steps] - Denoising steps
+     * @param {number} [options.speed] - Speaking rate (>1 is faster)
+     * @param {Function} [options.log]
+     */
+    constructor(options = {}) {
+        this.resolver = options.resolver;
+        this.group = options.group || 'tts';
+        this.steps = options.steps || 5;
+        this.speed = options.speed || 1.05;
+        this.log = options.log || (() => {});
+
+        this.config = null;
+        this.tokenizer = null;
+        this.sessions = null;
+        this.voiceEmbeddings = {};
+    }
+
+    loadJson(file) {
+        return this.resolver.loadArtifactJson(getGroupArtifact(this.group, file));
+    }
+
+    async loadModel(file, sessionOptions) {
+        // ONNX Runtime reads external data relative to the graph, so resolve it first
+        if (EXTERNAL_DATA[file]) {
+            await this.resolver.resolveArtifact(getGroupArtifact(this.group, EXTERNAL_DATA[file]));
+        }
+        const path = await this.resolver.resolveArtifact(getGroupArtifact(this.group, file));
+        return ort.InferenceSession.create(path, sessionOptions);
+    }
+
+    async load(sessionOptions) {
+        this.log('Loading TTS config...');
+        this.config = await this.loadJson('config.json');
+
+        this.log('Loading tokenizer...');
+        const tokenizerJson = await this.loadJson('tokenizer.json');
+        const tokenizerConfig = await this.loadJson('tokenizer_config.json');
+        this.tokenizer = new PreTrainedTokenizer(tokenizerJson, tokenizerConfig);
+
+        this.log('Loading text encoder...');
+        const textEncoder = await this.loadModel('onnx/text_encoder.onnx', sessionOptions);
+
+        this.log('Loading latent denoiser...');
+        const latentDenoiser = await this.loadModel('onnx/latent_denoiser.onnx', sessionOptions);
+
+        this.log('Loading voice decoder...');
+        const voiceDecoder = await this.loadModel('onnx/voice_decoder.onnx', sessionOptions);
+
+        this.sessions = { textEncoder, latentDenoiser, voiceDecoder };
+    }
+
+    async loadVoice(voiceId) {
+        if (this.voiceEmbeddings[voiceId]) return;
+
+        this.log(`Loading voice: ${voiceId}`);
+        const data = await this.resolver.loadArtifactBinary(getGroupArtifact(this.group, `voices/${voiceId}.bin`));
+
+        // Copy into an aligned buffer before viewing as float32
+        const style = new Float32Array(data.slice().buffer);
+        const styleDim = this.config.style_dim;
+        this.voiceEmbeddings[voiceId] = new ort.Tensor('float32', style, [1, style.length / styleDim, styleDim]);
+    }
+
+    /**
+     * Synthesize cleaned text
+     * @param {string} text
+     * @param {string} voiceId
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Checked before each model run
+     * @returns {Promise<{audio: Float32Array, sampleRate: number}>}
+     */
+    async synthesize(text, voiceId, options = {}) {
+        const { signal } = options;
+        signal?.throwIfAborted();
+        await this.loadVoice(voiceId);
+        const style = this.voiceEmbeddings[voiceId];
+
+        const {
+            sampling_rate: sampleRate,
+            chunk_compress_factor: chunkCompressFactor,
+            base_chunk_size: baseChunkSize,
+            latent_dim: latentDim,
+        } = this.config;
+
+        // Tokenize
+        const encoded = this.tokenizer(text, { padding: true, truncation: true });
+        const inputIds = new ort.Tensor('int64', encoded.input_ids.data, encoded.input_ids.dims);
+        const attentionMask = new ort.Tensor('int64', encoded.attention_mask.data, encoded.attention_mask.dims);
+
+        // Text encoding + duration prediction
+        const encoderOut = await this.sessions.textEncoder.run({
+            input_ids: inputIds,
+            attention_mask: attentionMask,
+            style,
+        });
+        const duration = encoderOut.durations.data[0] / this.speed;
+
+        // Sample noisy latent
+        const chunkSize = baseChunkSize * chunkCompressFactor;
+        const latentLen = Math.floor((duration * sampleRate + chunkSize - 1) / chunkSize);
+        const channels = latentDim * chunkCompressFactor;
+        const latentShape = [1, channels, latentLen];
+
+        const latentBuffer = new Float32Array(channels * latentLen);
+        for (let i = 0; i < latentBuffer.length; i++) {
+            const u1 = Math.random() || Number.MIN_VALUE;
+            const u2 = Math.random();
+            latentBuffer[i] = Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
+        }
+
+        // Denoising loop
+        const latentMask = new ort.Tensor('float32', new Float32Array(latentLen).fill(1), [1, latentLen]);
+        const numSteps = new ort.Tensor('float32', Float32Array.from([this.steps]), [1]);
+
+        for (let step = 0; step < this.steps; step++) {
+            signal?.throwIfAborted();
+            const out = await this.sessions.latentDenoiser.run({
+                style,
+                noisy_latents: new ort.Tensor('float32', latentBuffer, latentShape),
+                latent_mask: latentMask,
+                encoder_outputs: encoderOut.last_hidden_state,
+                attention_mask: attentionMask,
+                timestep: new ort.Tensor('float32', Float32Array.from([step]), [1]),
+                num_inference_steps: numSteps,
+            });
+            latentBuffer.set(out.denoised_latents.data);
+        }
+
+        // Decode waveform
+        const decoderOut = await this.sessions.voiceDecoder.run({
+            latents: new ort.Tensor('float32', latentBuffer, latentShape),
+        });
+
+        const wavLen = Math.floor(sampleRate * duration);
+        return {
+            audio: decoderOut.waveform.data.slice(0, wavLen),
+            sampleRate,
+        };
+    }
+
+    async release() {
+        await this.sessions?.textEncoder?.release();
+        await this.sessions?.latentDenoiser?.release();
+        await this.sessions?.voiceDecoder?.release();
+        this.sessions = null;
+    }
+}
+
+export default OnnxCommunityLayout;
@@ -0,0 +1,327 @@
+/**
+ * Supertonic 2 - original Supertone export
+ * duration_predictor → text_encoder → vector_estimator (denoising) → vocoder
+ * Voices are JSON style embeddings under voice_styles/
+ */
+
+import ort from 'onnxruntime-node';
+import { getGroupArtifact } from '../../models/manifest.js';
+
+export class SupertoneLayout {
+    /**
+     * @param {Object} options
+     * @param {import('../../models/resolver.js').ModelResolver} options.resolver
+     * @param {string} [options.group] - Manifest group holding the files
+     * @param {Function} [options.log]
+     */
+    constructor(options = {}) {
+        this.resolver = options.resolver;
+        this.group = options.group || 'tts-supertone';
+        this.log = options.log || (() => {});
+
+        this.config = null;
+        this.processor = null;
+        this.sessions = null;
+        this.voiceEmbeddings = {};
+    }
+
+    loadJson(file) {
+        return this.resolver.loadArtifactJson(getGroupArtifact(this.group, file));
+    }
+
+    async loadModel(file, sessionOptions) {
+        const path = await this.resolver.resolveArtifact(getGroupArtifact(this.group, file));
+        return ort.InferenceSession.create(path, sessionOptions);
+    }
+
+    async load(sessionOptions) {
+        // Load config
+        this.log('Loading TTS config...');
+        this.config = await this.loadJson('tts.json');
+
+        // Load unicode indexer
+        this.log('Loading text processor...');
+        const indexerData = await this.loadJson('unicode_indexer.json');
+        this.processor = new UnicodeProcessor(indexerData);
+
+        // Load ONNX models
+        this.log('Loading duration predictor...');
+        const dp = await this.loadModel('onnx/duration_predictor.onnx', sessionOptions);
+
+        this.log('Loading text encoder...');
+        const textEnc = await this.loadModel('onnx/text_encoder.onnx', sessionOptions);
+
+        this.log('Loading vector estimator...');
+        const vectorEst = await this.loadModel('onnx/vector_estimator.onnx', sessionOptions);
+
+        this.log('Loading vocoder...');
+        const vocoder = await this.loadModel('onnx/vocoder.onnx', sessionOptions);
+
+        this.sessions = { dp, textEnc, vectorEst, vocoder };
+    }
+
+    async loadVoice(voiceId) {
+        if (this.voiceEmbeddings[voiceId]) return;
+
+        this.log(`Loading voice: ${voiceId}`);
+        const data = await this.loadJson(`voice_styles/${voiceId}.json`);
+
+        this.voiceEmbeddings[voiceId] = {
+            styleTtl: new ort.Tensor(
+                data.style_ttl.type || 'float32',
+                Float32Array.from(data.style_ttl.data.flat(Infinity)),
+                data.style_ttl.dims
+            ),
+            styleDp: new ort.Tensor(
+                data.style_dp.type || 'float32',
+                Float32Array.from(data.style_dp.data.flat(Infinity)),
+                data.style_dp.dims
+            ),
+        };
+    }
+
+    /**
+     * Synthesize cleaned text
+     * @param {string} text
+     * @param {string} voiceId
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Checked before each model run
+     * @returns {Promise<{audio: Float32Array, sampleRate: number}>}
+     */
+    async synthesize(text, voiceId, options = {}) {
+        const { signal } = options;
+        signal?.throwIfAborted();
+        await this.loadVoice(voiceId);
+        const embeddings = this.voiceEmbeddings[voiceId];
+
+        // Process text
+        const { textIds, textMask } = this.processor.call([text], 'en');
+        const textIdsShape = [1, textIds[0].length];
+        const textMaskShape = [1, 1, textMask[0][0].length];
+
+        const textIdsTensor = new ort.Tensor(
+            'int64',
+            BigInt64Array.from(textIds.flat().map(x => BigInt(x))),
+            textIdsShape
+        );
+        const textMaskTensor = new ort.Tensor(
+            'float32',
+            Float32Array.from(textMask.flat(Infinity)),
+            textMaskShape
+        );
+
+        // Duration prediction
+        const dpOut = await this.sessions.dp.run({
+            text_ids: textIdsTensor,
+            style_dp: embeddings.styleDp,
+            text_mask: textMaskTensor,
+        });
+
+        // Text encoding
+        const textEncOut = await this.sessions.textEnc.run({
+            text_ids: textIdsTensor,
+            style_ttl: embeddings.styleTtl,
+            text_mask: textMaskTensor,
+        });
+
+        // Sample noisy latent
+        const durOnnx = Array.from(dpOut.duration.data);
+        const { noisyLatent, latentMask } = this.sampleNoisyLatent([[[durOnnx[0]]]]);
+
+        const latentDim = noisyLatent[0].length;
+        const latentLen = noisyLatent[0][0].length;
+        const latentShape = [1, latentDim, latentLen];
+
+        const latentBuffer = new Float32Array(latentDim * latentLen);
+        let idx = 0;
+        for (let d = 0; d < latentDim; d++) {
+            for (let t = 0; t < latentLen; t++) {
+                latentBuffer[idx++] = noisyLatent[0][d][t];
+            }
+        }
+
+        // Denoising loop
+        const totalStep = 10;
+        const latentMaskTensor = new ort.Tensor(
+            'float32',
+            Float32Array.from(latentMask.flat(Infinity)),
+            [1, 1, latentMask[0][0].length]
+        );
+
+        for (let step = 0; step < totalStep; step++) {
+            signal?.throwIfAborted();
+            const currentStepTensor = new ort.Tensor('float32', Float32Array.from([step]), [1]);
+            const totalStepTensor = new ort.Tensor('float32', Float32Array.from([totalStep]), [1]);
+            const noisyLatentTensor = new ort.Tensor('float32', latentBuffer, latentShape);
+
+            const out = await this.sessions.vectorEst.run({
+                noisy_latent: noisyLatentTensor,
+                text_emb: textEncOut.text_emb,
+                style_ttl: embeddings.styleTtl,
+                text_mask: textMaskTensor,
+                latent_mask: latentMaskTensor,
+                total_step: totalStepTensor,
+                current_step: currentStepTensor,
+            });
+            latentBuffer.set(out.denoised_latent.data);
+        }
+
+        // Vocoder
+        const vocoderLatentTensor = new ort.Tensor('float32', latentBuffer, latentShape);
+        const vocoderOut = await this.sessions.vocoder.run({
+            latent: vocoderLatentTensor,
+        });
+
+        const wavBatch = vocoderOut.wav_tts.data;
+        const sampleRate = this.config.ae.sample_rate;
+        const wavLen = Math.floor(sampleRate * durOnnx[0]);
+
+        return {
+            audio: wavBatch.slice(0, wavLen),
+            sampleRate,
+        };
+    }
+
+    sampleNoisyLatent(duration) {
+        const sampleRate = this.config.ae.sample_rate;
+        const baseChunkSize = this.config.ae.base_chunk_size;
+        const chunkCompressFactor = this.config.ttl.chunk_compress_factor;
+        const ldim = this.config.ttl.latent_dim;
+
+        const wavLenMax = Math.max(...duration.map(d => d[0][0])) * sampleRate;
+        const wavLengths = duration.map(d => Math.floor(d[0][0] * sampleRate));
+        const chunkSize = baseChunkSize * chunkCompressFactor;
+        const latentLen = Math.floor((wavLenMax + chunkSize - 1) / chunkSize);
+        const latentDim = ldim * chunkCompressFactor;
+
+        const noisyLatent = [];
+        for (let b = 0; b < duration.length; b++) {
+            const batch = [];
+            for (let d = 0; d < latentDim; d++) {
+                const row = [];
+                for (let t = 0; t < latentLen; t++) {
+                    const u1 = Math.random();
+                    const u2 = Math.random();
+                    row.push(Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2));
+                }
+                batch.push(row);
+            }
+            noisyLatent.push(batch);
+        }
+
+        const latentMask = this.getLatentMask(wavLengths);
+        for (let b = 0; b < noisyLatent.length; b++) {
+            for (let d = 0; d < noisyLatent[b].length; d++) {
+                for (let t = 0; t < noisyLatent[b][d].length; t++) {
+                    noisyLatent[b][d][t] *= latentMask[b][0][t];
+                }
+            }
+        }
+
+        return { noisyLatent, latentMask };
+    }
+
+    getLatentMask(wavLengths) {
+        const baseChunkSize = this.config.ae.base_chunk_size;
+        const chunkCompressFactor = this.config.ttl.chunk_compress_factor;
+        const latentSize = baseChunkSize * chunkCompressFactor;
+        const latentLengths = wavLengths.map(len => Math.floor((len + latentSize - 1) / latentSize));
+        return this.lengthToMask(latentLengths);
+    }
+
+    lengthToMask(lengths, maxLen = null) {
+        maxLen = maxLen || Math.max(...lengths);
+        const mask = [];
+        for (let i = 0; i < lengths.length; i++) {
+            const row = [];
+            for (let j = 0; j < maxLen; j++) {
+                row.push(j < lengths[i] ? 1.0 : 0.0);
+            }
+            mask.push([row]);
+        }
+        return mask;
+    }
+
+    async release() {
+        await this.sessions?.dp?.release();
+        await this.sessions?.textEnc?.release();
+        await this.sessions?.vectorEst?.release();
+        await this.sessions?.vocoder?.release();
+        this.sessions = null;
+    }
+}
+
+/**
+ * Unicode text processor for Supertonic
+ */
+class UnicodeProcessor {
+    constructor(indexer) {
+        this.indexer = indexer;
+    }
+
+    call(textList, lang = null) {
+        const processedTexts = textList.map(t => this.preprocessText(t, lang));
+        const textIdsLengths = processedTexts.map(t => t.length);
+        const maxLen = Math.max(...textIdsLengths);
+
+        const textIds = [];
+        for (let i = 0; i < processedTexts.length; i++) {
+            const row = new Array(maxLen).fill(0);
+            for (let j = 0; j < processedTexts[i].length; j++) {
+                const charCode = processedTexts[i].charCodeAt(j);
+                row[j] = this.indexer[charCode] ?? 0;
+            }
+            textIds.push(row);
+        }
+
+        const textMask = this.getTextMask(textIdsLengths);
+        return { textIds, textMask };
+    }
+
+    preprocessText(text, lang = null) {
+        text = text.normalize('NFKD');
+        // Remove emojis
+        text = text.replace(/[\u{1F600}-\u{1F64F}\u{1F300}-\u{1F5FF}\u{1F680}-\u{1F6FF}\u{2600}-\u{26FF}]+/gu, '');
+
+        const replacements = {
+            '\u2013': '-', // en-dash
+            '\u2014': '-', // em-dash
+            '_': ' ',
+            '\u201C': '"', // left double quote
+            '\u201D': '"', // right double quote
+            '\u2018': "'", // left single quote
+            '\u2019': "'", // right single quote
+        };
+        for (const [k, v] of Object.entries(replacements)) {
+            text = text.replaceAll(k, v);
+        }
+
+        text = text.replace(/\s+/g, ' ').trim();
+        if (!/[.!?;:,'")}\]…]$/.test(text) && text.length > 0) {
+            text += '.';
+        }
+
+        if (lang) {
+            text = `<${lang}>` + text + `</${lang}>`;
+        } else {
+            text = '<na>' + text + '</na>';
+        }
+
+        return text;
+    }
+
+    getTextMask(lengths, maxLen = null) {
+        maxLen = maxLen || Math.max(...lengths);
+        const mask = [];
+        for (let i = 0; i < lengths.length; i++) {
+            const row = [];
+            for (let j = 0; j < maxLen; j++) {
+                row.push(j < lengths[i] ? 1.0 : 0.0);
+            }
+            mask.push([row]);
+        }
+        return mask;
+    }
+}
+
+export default SupertoneLayout;
@@ -0,0 +1,21 @@
+/**
+ * TTS output sinks
+ * Where synthesized speech goes. A sink is any object with
+ *   play(audio: Float32Array, sampleRate: number): Promise<void>  - resolves when playback ends
+ *   stop(): void                                                   - cuts playback short
+ * Adapters provide their own (e.g. the Discord voice channel sink).
+ */
+
+import { SpeakerSink } from './speaker.js';
+import { MixerSink } from './mixer.js';
+
+/**
+ * Sink used when TextToSpeech is not given one: the local speaker, if the
+ * `speaker` module loaded
+ * @returns {SpeakerSink|null}
+ */
+export function createDefaultSink() {
+    return SpeakerSink.isAvailable() ? new SpeakerSink() : null;
+}
+
+export { SpeakerSink, MixerSink };
@@ -0,0 +1,25 @@
+/**
+ * Mixer Sink
+ * Plays speech on an AudioMixer channel, so it overlays whatever music the
+ * same output is playing instead of replacing it.
+ */
+
+export class MixerSink {
+    /**
+     * @param {Object} options
+     * @param {import('../../audio/mixer.js').AudioMixer} options.mixer
+     */
+    constructor(options = {}) {
+        this.mixer = options.mixer;
+    }
+
+    play(audio, sampleRate) {
+        return this.mixer.playSpeech(audio, sampleRate);
+    }
+
+    stop() {
+        this.mixer.stopSpeech();
+    }
+}
+
+export default MixerSink;
@@ -0,0 +1,78 @@
+/**
+ * Speaker Sink
+ * Plays synthesized speech on the local audio device via the `speaker` module.
+ */
+
+import { float32ToInt16 } from '../../audio/convert.js';
+
+// Speaker is optional - may not be available on all platforms
+let Speaker = null;
+try {
+    Speaker = (await import('speaker')).default;
+} catch {
+    console.warn('[TTS] Speaker not available - audio playback disabled');
+}
+
+export class SpeakerSink {
+    static isAvailable() {
+        return Speaker !== null;
+    }
+
+    constructor() {
+        this.speaker = null;
+        this.finish = null;
+    }
+
+    /**
+     * @param {Float32Array} audio - Mono samples
+     * @param {number} sampleRate
+     * @returns {Promise<void>} Resolves when the device has played everything, or on stop()
+     */
+    play(audio, sampleRate) {
+        return new Promise((resolve, reject) => {
+            const speaker = new Speaker({
+                channels: 1,
+                bitDepth: 16,
+                sampleRate: sampleRate,
+            });
+            this.speaker = speaker;
+
+            let settled = false;
+            const settle = (error) => {
+                if (settled) return;
+                settled = true;
+                if (this.speaker === speaker) {
+                    this.speaker = null;
+                    this.finish = null;
+                }
+                if (error) reject(error);
+                else resolve();
+            };
+            this.finish = () => settle();
+
+            speaker.on('close', () => settle());
+            speaker.on('error', (err) => settle(err));
+
+            // Convert Float32Array to Int16 for speaker
+            speaker.write(float32ToInt16(audio));
+            speaker.end();
+        });
+    }
+
+    /**
+     * Cut the clip off now (barge-in) instead of letting the device drain it
+     */
+    stop() {
+        const speaker = this.speaker;
+        const finish = this.finish;
+        if (!speaker) return;
+
+        this.speaker = null;
+        this.finish = null;
+        // close(false) skips the flush, so what is buffered is dropped
+        speaker.close(false);
+        finish?.();
+    }
+}
+
+export default SpeakerSink;
@@ -7,20 +7,22 @@
 import { EventEmitter } from 'events';
 import ort from 'onnxruntime-node';
 import { VADProcessor } from './vad.js';
+import { getModelResolver } from '../models/resolver.js';
+import { getArtifact } from '../models/manifest.js';
+import { ModelPool } from '../model-pool.js';
+import { int16ToFloat32 } from '../audio/convert.js';
 
-// Model URLs from HeyBuddy repository
-const HEYBUDDY_BASE = 'https://huggingface.co/benjamin-paine/hey-buddy/resolve/main';
-
+// HeyBuddy models (paths and URLs live in the shared manifest)
 const WAKE_WORD_MODELS = {
-    'hey-buddy': `${HEYBUDDY_BASE}/models/hey-buddy.onnx`,
-    'ok-buddy': `${HEYBUDDY_BASE}/models/okay-buddy.onnx`,
-    'hi-buddy': `${HEYBUDDY_BASE}/models/hi-buddy.onnx`,
+    'hey-buddy': getArtifact('wakeword/hey-buddy.onnx'),
+    'ok-buddy': getArtifact('wakeword/ok-buddy.onnx'),
+    'hi-buddy': getArtifact('wakeword/hi-buddy.onnx'),
 };
 
 const PRETRAINED_MODELS = {
-    vad: `${HEYBUDDY_BASE}/pretrained/silero-vad.onnx`,
-    spectrogram: `${HEYBUDDY_BASE}/pretrained/mel-spectrogram.onnx`,
-    embedding: `${HEYBUDDY_BASE}/pretrained/speech-embedding.onnx`,
+    vad: getArtifact('pretrained/silero-vad.onnx'),
+    spectrogram: getArtifact('pretrained/mel-spectrogram.onnx'),
+    embedding: getArtifact('pretrained/speech-embedding.onnx'),
 };
 
 export class WakeWordDetector extends EventEmitter {
@@ -31,6 +33,12 @@ export class WakeWordDetector extends EventEmitter {
         this.wakeWord = options.wakeWord || 'hey-buddy';
         this.threshold = options.threshold || 0.5;
         this.cooldownMs = options.cooldownMs || 2000;
+        this.resolver = options.resolver || getModelResolver();
+
+        // ONNX sessions are stateless and shared through the pool;
+        // buffers and VAD state below stay per detector
+        this.pool = options.pool || new ModelPool({ debug: this.debug });
+        this.poolKeys = [];
 
         // Sample rate
         this.sampleRate = 16000;
@@ -47,6 +55,7 @@ export class WakeWordDetector extends EventEmitter {
         // Audio buffer
         this.audioBuffer = new Float32Array(0);
         this.recordingBuffer = null;
+        this.lastBatch = null;
 
         // ONNX sessions
         this.vadSession = null;
@@ -74,13 +83,14 @@ export class WakeWordDetector extends EventEmitter {
         }
     }
 
-    async downloadModel(url) {
-        this.log('Downloading model:', url);
-        const response = await fetch(url);
-        if (!response.ok) {
-            throw new Error(`Failed to download model: ${response.statusText}`);
-        }
-        return new Uint8Array(await response.arrayBuffer());
+    async loadModel(artifact, sessionOptions) {
+        const key = `wakeword:${artifact.path}`;
+        const session = await this.pool.acquire(key, async () => {
+            const path = await this.resolver.resolveArtifact(artifact);
+            return ort.InferenceSession.create(path, sessionOptions);
+        }, (session) => session.release());
+        this.poolKeys.push(key);
+        return session;
     }
 
     async initialize() {
@@ -95,27 +105,23 @@ export class WakeWordDetector extends EventEmitter {
 
         // Load VAD model
         this.log('Loading VAD model...');
-        const vadData = await this.downloadModel(PRETRAINED_MODELS.vad);
-        this.vadSession = await ort.InferenceSession.create(vadData.buffer, sessionOptions);
+        this.vadSession = await this.loadModel(PRETRAINED_MODELS.vad, sessionOptions);
 
         // Load Mel Spectrogram model
         this.log('Loading spectrogram model...');
-        const specData = await this.downloadModel(PRETRAINED_MODELS.spectrogram);
-        this.spectrogramSession = await ort.InferenceSession.create(specData.buffer, sessionOptions);
+        this.spectrogramSession = await this.loadModel(PRETRAINED_MODELS.spectrogram, sessionOptions);
 
         // Load Speech Embedding model
         this.log('Loading embedding model...');
-        const embData = await this.downloadModel(PRETRAINED_MODELS.embedding);
-        this.embeddingSession = await ort.InferenceSession.create(embData.buffer, sessionOptions);
+        this.embeddingSession = await this.loadModel(PRETRAINED_MODELS.embedding, sessionOptions);
 
         // Load Wake Word model
-        const wakeWordUrl = WAKE_WORD_MODELS[this.wakeWord];
-        if (!wakeWordUrl) {
+        const wakeWordModel = WAKE_WORD_MODELS[this.wakeWord];
+        if (!wakeWordModel) {
             throw new Error(`Unknown wake word: ${this.wakeWord}`);
         }
         this.log('Loading wake word model:', this.wakeWord);
-        const wwData = await this.downloadModel(wakeWordUrl);
-        this.wakeWordSession = await ort.InferenceSession.create(wwData.buffer, sessionOptions);
+        this.wakeWordSession = await this.loadModel(wakeWordModel, sessionOptions);
 
         this.isInitialized = true;
         this.log('Wake word detector initialized');
@@ -151,24 +157,25 @@ export class WakeWordDetector extends EventEmitter {
         this.recordingBuffer = null;
     }
 
+    /**
+     * Record without the wake word (follow-up questions), starting from the
+     * batch that triggered 'speechStart'. Ends with 'speechEnd' as usual.
+     */
+    startRecording() {
+        this.isRecording = true;
+        this.recordingBuffer = new Float32Array(this.lastBatch || 0);
+    }
+
     /**
      * Process incoming audio chunk
-     * @param {Buffer|Float32Array} chunk - Audio samples
+     * @param {Buffer|Float32Array} chunk - 16kHz mono samples
      */
     async processAudioChunk(chunk) {
         if (!this.isRunning || this.isPaused) return;
 
-        // Convert Buffer to Float32Array if needed
-        let samples;
-        if (Buffer.isBuffer(chunk)) {
-            // Assume 16-bit PCM
-            samples = new Float32Array(chunk.length / 2);
-            for (let i = 0; i < samples.length; i++) {
-                samples[i] = chunk.readInt16LE(i * 2) / 32768.0;
-            }
-        } else {
-            samples = chunk;
-        }
+        // Buffers are 16-bit mono PCM at 16kHz (e.g. a microphone); other
+        // formats go through core/audio first (see decodeOpusStream)
+        const samples = Buffer.isBuffer(chunk) ? int16ToFloat32(chunk) : chunk;
 
         // Add to audio buffer
         const newBuffer = new Float32Array(this.audioBuffer.length + samples.length);
@@ -200,6 +207,8 @@ export class WakeWordDetector extends EventEmitter {
      * Process a batch of audio for wake word detection
      */
     async processBatch(audio) {
+        this.lastBatch = audio;
+
         try {
             // 1. VAD - Check if speech is present
             const vadResult = await this.runVAD(audio);
@@ -314,10 +323,14 @@ export class WakeWordDetector extends EventEmitter {
 
     async dispose() {
         this.stop();
-        await this.vadSession?.release();
-        await this.spectrogramSession?.release();
-        await this.embeddingSession?.release();
-        await this.wakeWordSession?.release();
+        for (const key of this.poolKeys) {
+            await this.pool.release(key);
+        }
+        this.poolKeys = [];
+        this.vadSession = null;
+        this.spectrogramSession = null;
+        this.embeddingSession = null;
+        this.wakeWordSession = null;
         this.isInitialized = false;
     }
 }
@@ -0,0 +1,81 @@
+/**
+ * Inference Worker Thread
+ * Loads one built-in engine and runs its heavy method on request, so model
+ * inference never blocks the main thread's audio handling.
+ *
+ * workerData: { kind, name, options, resolver }
+ * See protocol.js for the message format.
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { createDefaultRegistry } from '../engines/registry.js';
+import { ModelResolver } from '../models/resolver.js';
+import {
+    WORKER_METHODS,
+    FORWARDED_EVENTS,
+    serializeError,
+    collectTransferables,
+} from './protocol.js';
+
+// How each method unpacks its payload; the signal always goes last
+const CALLS = {
+    transcribe: (engine, { audio, options }, signal) => engine.transcribe(audio, { ...options, signal }),
+    generate: (engine, { prompt, options }, signal) => engine.generate(prompt, { ...options, signal }),
+    synthesize: (engine, { text, voiceId }, signal) => engine.synthesize(text, voiceId, { signal }),
+};
+
+const { kind, name, options, resolver } = workerData;
+
+/** @type {Map<number, AbortController>} */
+const running = new Map();
+
+let engine = null;
+
+async function start() {
+    try {
+        engine = await createDefaultRegistry().create(kind, name, {
+            ...options,
+            resolver: new ModelResolver(resolver),
+        });
+
+        for (const event of FORWARDED_EVENTS) {
+            engine.on?.(event, (data) => parentPort.postMessage({ type: 'event', event, data }));
+        }
+
+        await engine.initialize();
+        parentPort.postMessage({ type: 'ready' });
+    } catch (error) {
+        parentPort.postMessage({ type: 'error', error: serializeError(error) });
+    }
+}
+
+async function call({ id, method, payload }) {
+    const controller = new AbortController();
+    running.set(id, controller);
+
+    try {
+        if (!WORKER_METHODS[kind]?.includes(method)) {
+            throw new Error(`${kind} worker has no method: ${method}`);
+        }
+
+        const value = await CALLS[method](engine, payload, controller.signal);
+        parentPort.postMessage({ type: 'result', id, value }, collectTransferables(value));
+    } catch (error) {
+        parentPort.postMessage({ type: 'error', id, error: serializeError(error) });
+    } finally {
+        running.delete(id);
+    }
+}
+
+parentPort.on('message', (message) => {
+    switch (message.type) {
+        case 'call':
+            call(message);
+            break;
+        case 'cancel':
+            running.get(message.id)?.abort();
+            break;
+    }
+});
+
+start();
@@ -0,0 +1,192 @@
+/**
+ * Worker-backed Engines
+ * Drop-in variants of the built-in STT, intent and TTS engines whose model
+ * runs in an InferenceWorker. Everything else stays on the main thread:
+ * events, tool execution, the TTS cache and audio playback.
+ *
+ * Workers are shared through the ModelPool like the models themselves, so
+ * all pipelines using the same model talk to one thread, taking turns via
+ * pool.schedule().
+ */
+
+import { SpeechToText } from '../stt/whisper.js';
+import { FunctionCaller } from '../function-caller/gemma.js';
+import { TextToSpeech } from '../tts/supertonic.js';
+import { TTS_VOICES } from '../models/manifest.js';
+import { InferenceWorker } from './inference-worker.js';
+
+/**
+ * Get (or start) the shared worker for an engine
+ * @param {Object} engine - Engine instance with pool, resolver and debug
+ * @param {string} key - Pool key
+ * @param {Object} spec - { kind, name, engineOptions } for the worker
+ * @returns {Promise<InferenceWorker>}
+ */
+function acquireWorker(engine, key, spec) {
+    return engine.pool.acquire(key, async () => {
+        const worker = new InferenceWorker({
+            ...spec,
+            resolver: engine.resolver,
+            debug: engine.debug,
+        });
+        worker.on('progress', (progress) => engine.emit('progress', progress));
+
+        try {
+            await worker.start();
+        } catch (error) {
+            await worker.terminate();
+            throw error;
+        }
+        return worker;
+    }, (worker) => worker.terminate());
+}
+
+export class WorkerSpeechToText extends SpeechToText {
+    async initialize() {
+        if (this.isInitialized) return;
+
+        const dtype = this.quantized ? 'q8' : 'fp32';
+        this.poolKey = `worker:stt:${this.modelName}:${dtype}`;
+        this.worker = await acquireWorker(this, this.poolKey, {
+            kind: 'stt',
+            name: 'whisper',
+            engineOptions: {
+                model: this.modelName,
+                quantized: this.quantized,
+                language: this.language,
+            },
+        });
+
+        this.isInitialized = true;
+        this.log('STT worker initialized');
+    }
+
+    async transcribe(audio, options = {}) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+
+        const startTime = performance.now();
+        const { signal, ...rest } = options;
+
+        this.emit('start');
+
+        try {
+            // The copy is transferred, the caller keeps its samples
+            const samples = audio.slice();
+            const text = await this.pool.schedule(this.owner, () => {
+                signal?.throwIfAborted();
+                // The worker is shared by pipelines with other languages
+                const options = { ...rest, language: rest.language || this.language };
+                return this.worker.call('transcribe', { audio: samples, options }, { signal });
+            });
+
+            const elapsed = performance.now() - startTime;
+            this.log(`Transcription took ${elapsed.toFixed(0)}ms:`, text);
+
+            this.emit('complete', { text, duration: elapsed });
+            return text;
+
+        } catch (error) {
+            this.log('Transcription error:', error);
+            this.emit('error', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Chunk callbacks cannot cross the thread boundary; the callback gets the
+     * whole transcript once
+     */
+    async transcribeStreaming(audio, callback) {
+        const text = await this.transcribe(audio);
+        callback?.(text, null);
+        return text;
+    }
+
+    async dispose() {
+        await super.dispose();
+        this.worker = null;
+    }
+}
+
+export class WorkerFunctionCaller extends FunctionCaller {
+    async initialize() {
+        if (this.isInitialized) return;
+
+        const dtype = this.quantized ? 'q8' : 'fp32';
+        this.poolKey = `worker:intent:gemma:${dtype}`;
+        this.worker = await acquireWorker(this, this.poolKey, {
+            kind: 'intent',
+            name: 'gemma',
+            engineOptions: { quantized: this.quantized },
+        });
+
+        this.isInitialized = true;
+        this.log('FunctionGemma worker initialized');
+    }
+
+    /**
+     * Generation runs in the worker; process() and the tools stay here
+     */
+    async generate(prompt, options = {}) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+
+        const { signal } = options;
+        return this.pool.schedule(this.owner, () => {
+            signal?.throwIfAborted();
+            const constraint = this.constrained ? options.constraint : undefined;
+            return this.worker.call('generate', { prompt, options: { constraint } }, { signal });
+        });
+    }
+
+    async dispose() {
+        await super.dispose();
+        this.worker = null;
+    }
+}
+
+export class WorkerTextToSpeech extends TextToSpeech {
+    async initialize() {
+        if (this.isInitialized) return;
+
+        this.poolKey = `worker:tts:supertonic:${this.layoutName}`;
+        this.worker = await acquireWorker(this, this.poolKey, {
+            kind: 'tts',
+            name: 'supertonic',
+            engineOptions: {
+                layout: this.layoutName,
+                voice: this.voice,
+                // Caching happens here, before the worker round trip
+                caching: false,
+            },
+        });
+
+        this.isInitialized = true;
+        this.log('TTS worker initialized');
+    }
+
+    /**
+     * Voices are loaded by the worker on first use
+     */
+    async loadVoice(voiceId) {
+        if (!TTS_VOICES.includes(voiceId)) throw new Error(`Unknown voice: ${voiceId}`);
+    }
+
+    async synthesize(text, voiceId, options = {}) {
+        await this.loadVoice(voiceId);
+
+        const { signal } = options;
+        return this.pool.schedule(this.owner, () => {
+            signal?.throwIfAborted();
+            return this.worker.call('synthesize', { text, voiceId }, { signal });
+        });
+    }
+
+    async dispose() {
+        await super.dispose();
+        this.worker = null;
+    }
+}
@@ -0,0 +1,7 @@
+/**
+ * Inference worker exports
+ */
+
+export { InferenceWorker } from './inference-worker.js';
+export { WorkerSpeechToText, WorkerFunctionCaller, WorkerTextToSpeech } from './engines.js';
+export { WORKER_METHODS, collectTransferables } from './protocol.js';
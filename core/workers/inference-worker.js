@@ -0,0 +1,173 @@
+/**
+ * Inference Worker
+ * Main-thread handle on an engine running in a worker_threads Worker.
+ * Calls return promises, take an AbortSignal and move typed array buffers
+ * instead of copying them.
+ */
+
+import { EventEmitter } from 'events';
+import { Worker } from 'worker_threads';
+import { deserializeError, collectTransferables } from './protocol.js';
+
+const WORKER_SCRIPT = new URL('./engine-worker.js', import.meta.url);
+
+export class InferenceWorker extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {string} options.kind - 'stt' | 'intent' | 'tts'
+     * @param {string} options.name - Built-in engine to load in the worker (e.g. 'whisper')
+     * @param {Object} [options.engineOptions] - Structured-cloneable engine options
+     * @param {import('../models/resolver.js').ModelResolver} [options.resolver] - Recreated inside the worker
+     * @param {boolean} [options.debug]
+     */
+    constructor(options = {}) {
+        super();
+
+        this.debug = options.debug || false;
+        this.kind = options.kind;
+        this.name = options.name;
+        this.engineOptions = options.engineOptions || {};
+        this.resolver = options.resolver || null;
+
+        this.worker = null;
+        this.ready = null;
+        this.nextId = 1;
+
+        /** @type {Map<number, {resolve: Function, reject: Function}>} */
+        this.pending = new Map();
+    }
+
+    log(...args) {
+        if (this.debug) {
+            console.log(`[Worker:${this.kind}]`, ...args);
+        }
+    }
+
+    /**
+     * Spawn the thread and wait until its engine is loaded
+     */
+    start() {
+        if (this.worker) return this.ready;
+
+        this.log(`Starting ${this.name} worker...`);
+        this.worker = new Worker(WORKER_SCRIPT, {
+            workerData: {
+                kind: this.kind,
+                name: this.name,
+                options: { ...this.engineOptions, debug: this.debug },
+                resolver: this.resolver?.toOptions() || {},
+            },
+        });
+
+        this.ready = new Promise((resolve, reject) => {
+            this.worker.on('message', (message) => {
+                if (message.type === 'ready') {
+                    this.log('Ready');
+                    resolve();
+                } else if (message.type === 'error' && message.id === undefined) {
+                    reject(deserializeError(message.error));
+                } else {
+                    this.onMessage(message);
+                }
+            });
+
+            this.worker.on('error', (error) => {
+                this.log('Worker error:', error);
+                this.failAll(error);
+                reject(error);
+            });
+
+            this.worker.on('exit', (code) => {
+                this.log('Exited with code', code);
+                this.worker = null;
+                const error = new Error(`${this.kind} worker exited (code ${code})`);
+                this.failAll(error);
+                reject(error);
+            });
+        });
+
+        return this.ready;
+    }
+
+    onMessage(message) {
+        switch (message.type) {
+            case 'result':
+                this.pending.get(message.id)?.resolve(message.value);
+                this.pending.delete(message.id);
+                break;
+            case 'error':
+                this.pending.get(message.id)?.reject(deserializeError(message.error));
+                this.pending.delete(message.id);
+                break;
+            case 'event':
+                this.emit(message.event, message.data);
+                break;
+        }
+    }
+
+    /**
+     * Run an engine method in the worker
+     * Typed arrays in the payload are transferred: the caller must not use
+     * them afterwards (pass a copy if it still needs the data).
+     *
+     * @param {string} method - One of WORKER_METHODS[kind]
+     * @param {Object} payload
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Rejects right away and tells the worker to stop
+     * @returns {Promise<*>}
+     */
+    call(method, payload, options = {}) {
+        const { signal } = options;
+
+        return new Promise((resolve, reject) => {
+            if (!this.worker) {
+                reject(new Error(`${this.kind} worker is not running`));
+                return;
+            }
+            if (signal?.aborted) {
+                reject(signal.reason);
+                return;
+            }
+
+            const id = this.nextId++;
+            const onAbort = () => {
+                this.worker?.postMessage({ type: 'cancel', id });
+                this.pending.delete(id);
+                reject(signal.reason);
+            };
+
+            this.pending.set(id, {
+                resolve: (value) => {
+                    signal?.removeEventListener('abort', onAbort);
+                    resolve(value);
+                },
+                reject: (error) => {
+                    signal?.removeEventListener('abort', onAbort);
+                    reject(error);
+                },
+            });
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            this.worker.postMessage({ type: 'call', id, method, payload }, collectTransferables(payload));
+        });
+    }
+
+    failAll(error) {
+        for (const { reject } of this.pending.values()) {
+            reject(error);
+        }
+        this.pending.clear();
+    }
+
+    /**
+     * Stop the thread; its models are freed with it
+     */
+    async terminate() {
+        if (!this.worker) return;
+        const worker = this.worker;
+        this.worker = null;
+        await worker.terminate();
+    }
+}
+
+export default InferenceWorker;
@@ -0,0 +1,83 @@
+/**
+ * Inference Worker Protocol
+ * Messages exchanged between InferenceWorker (main thread) and
+ * engine-worker.js (worker thread).
+ *
+ * Main → worker:
+ *   { type: 'call', id, method, payload }   run a method (see WORKER_METHODS)
+ *   { type: 'cancel', id }                  abort a running call
+ *
+ * Worker → main:
+ *   { type: 'ready' }                       engine loaded
+ *   { type: 'result', id, value }           call finished
+ *   { type: 'error', id?, error }           call failed (no id: engine failed to load)
+ *   { type: 'event', event, data }          forwarded engine event (e.g. 'progress')
+ *
+ * Audio and tensors travel as typed arrays whose buffers are transferred,
+ * not copied (see collectTransferables).
+ */
+
+/**
+ * Methods each engine kind exposes through a worker, with their payloads
+ *
+ *   stt.transcribe   { audio: Float32Array, options }        → string
+ *   intent.generate  { prompt, options }                     → string
+ *   tts.synthesize   { text, voiceId }                       → { audio: Float32Array, sampleRate }
+ */
+export const WORKER_METHODS = {
+    stt: ['transcribe'],
+    intent: ['generate'],
+    tts: ['synthesize'],
+};
+
+/**
+ * Engine events forwarded from the worker to the main thread
+ */
+export const FORWARDED_EVENTS = ['progress'];
+
+/**
+ * Errors cross the thread boundary as plain objects
+ * @param {Error} error
+ */
+export function serializeError(error) {
+    return {
+        name: error?.name || 'Error',
+        message: error?.message || String(error),
+        stack: error?.stack,
+    };
+}
+
+/**
+ * @param {{name: string, message: string, stack?: string}} data
+ * @returns {Error}
+ */
+export function deserializeError(data) {
+    const error = new Error(data.message);
+    error.name = data.name;
+    if (data.stack) {
+        error.stack = data.stack;
+    }
+    return error;
+}
+
+/**
+ * Buffers in a message that can be transferred instead of copied.
+ * Only typed arrays that own their whole buffer are moved; views into a
+ * larger buffer are left to structured clone so the sender keeps the rest.
+ *
+ * @param {*} value - Message payload
+ * @returns {ArrayBuffer[]}
+ */
+export function collectTransferables(value, found = new Set()) {
+    if (ArrayBuffer.isView(value)) {
+        const { buffer } = value;
+        if (buffer instanceof ArrayBuffer && value.byteOffset === 0 && value.byteLength === buffer.byteLength) {
+            found.add(buffer);
+        }
+    } else if (Array.isArray(value)) {
+        value.forEach((item) => collectTransferables(item, found));
+    } else if (value && typeof value === 'object') {
+        Object.values(value).forEach((item) => collectTransferables(item, found));
+    }
+    return [...found];
+}
@@ -0,0 +1,91 @@
+/**
+ * Discord Audio Sink
+ * TTS output for a guild. Speech goes through the guild's AudioMixer, whose
+ * 48kHz stereo PCM output is what the guild's AudioPlayer plays, so replies
+ * overlay the music instead of replacing it.
+ *
+ * A reply only counts as said once the player has sent its last frame: the
+ * resource's playbackDuration tells the mixer how far the channel has got.
+ */
+
+import { AudioPlayerStatus, createAudioResource, StreamType } from '@discordjs/voice';
+
+export class DiscordAudioSink {
+    /**
+     * @param {Object} options
+     * @param {import('@discordjs/voice').AudioPlayer} options.player - Guild audio player
+     * @param {import('../core/audio/mixer.js').AudioMixer} options.mixer - Guild mixer (48kHz stereo)
+     */
+    constructor(options = {}) {
+        this.player = options.player;
+        this.mixer = options.mixer;
+        this.resource = null;
+        this.watcher = null;
+
+        // The player drops a resource that stays silent for a few frames;
+        // hand it a fresh mixer stream whenever there is audio again
+        this.onActive = () => this.attach();
+        this.mixer.on('active', this.onActive);
+
+        // Nothing left to play: whatever was waiting on playback is done
+        this.onIdle = () => this.mixer.updatePlayback();
+        this.player.on(AudioPlayerStatus.Idle, this.onIdle);
+    }
+
+    /**
+     * Make sure the player is playing the mixer output
+     */
+    attach() {
+        if (this.resource && !this.resource.ended && this.player.state.resource === this.resource) return;
+
+        const resource = createAudioResource(this.mixer.createStream(), {
+            inputType: StreamType.Raw,
+        });
+        this.resource = resource;
+        this.player.play(resource);
+
+        // playbackDuration grows by one frame (20 ms) per packet the player sends
+        this.mixer.trackPlayback(() => {
+            if (resource.ended || this.player.state.resource !== resource) return Infinity;
+            return Math.floor(resource.playbackDuration / this.mixer.frameMs);
+        });
+    }
+
+    /**
+     * Resolves when the channel has played the clip's last frame
+     */
+    play(audio, sampleRate) {
+        const played = this.mixer.playSpeech(audio, sampleRate);
+        this.watchPlayback();
+        return played;
+    }
+
+    /**
+     * Check playback every frame while speech is queued or still playing
+     */
+    watchPlayback() {
+        if (this.watcher) return;
+        this.watcher = setInterval(() => {
+            this.mixer.updatePlayback();
+            if (!this.mixer.isSpeaking) {
+                clearInterval(this.watcher);
+                this.watcher = null;
+            }
+        }, this.mixer.frameMs);
+    }
+
+    stop() {
+        this.mixer.stopSpeech();
+    }
+
+    destroy() {
+        clearInterval(this.watcher);
+        this.watcher = null;
+        this.mixer.off('active', this.onActive);
+        this.player.off(AudioPlayerStatus.Idle, this.onIdle);
+        this.mixer.trackPlayback(null);
+        this.resource = null;
+    }
+}
+
+export default DiscordAudioSink;
@@ -11,19 +11,30 @@ import {
     SlashCommandBuilder,
     REST,
     Routes,
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle,
 } from 'discord.js';
 import {
     joinVoiceChannel,
     createAudioPlayer,
-    createAudioResource,
     AudioPlayerStatus,
     VoiceConnectionStatus,
     entersState,
     EndBehaviorType,
 } from '@discordjs/voice';
 import { VoicePipeline } from '../core/pipeline.js';
-import { createTools } from '../tools/definitions.js';
+import { ModelPool } from '../core/model-pool.js';
+import { ToolExecutor } from '../core/function-caller/executor.js';
+import { decodeOpusStream } from '../core/audio/opus.js';
+import { decodeToPcm } from '../core/audio/ffmpeg.js';
+import { AudioMixer } from '../core/audio/mixer.js';
+import { createTools, TOOLS } from '../tools/definitions.js';
+import { PluginLoader } from '../tools/plugins.js';
 import { YouTubeTool } from '../tools/youtube.js';
+import { ReminderTool } from '../tools/reminders.js';
+import { ReminderScheduler } from '../core/scheduler/reminders.js';
+import { DiscordAudioSink } from './audio-sink.js';
 import { Readable } from 'stream';
 import chalk from 'chalk';
 import ora from 'ora';
@@ -37,8 +48,48 @@ const config = {
     ttsVoice: process.env.TTS_VOICE || 'M3',
     autoJoin: process.env.AUTO_JOIN !== 'false',
     debug: process.env.DEBUG === 'true',
+
+    // Engine backends by registry name (unset = built-in default)
+    engines: {
+        wakeWord: process.env.WAKE_WORD_ENGINE,
+        stt: process.env.STT_ENGINE,
+        intent: process.env.INTENT_ENGINE,
+        tts: process.env.TTS_ENGINE,
+    },
+    // Run STT, intent and TTS models in worker threads
+    workers: process.env.INFERENCE_WORKERS === 'true',
+    // Let the wake word interrupt a reply
+    bargeIn: process.env.BARGE_IN === 'true',
+    // Take a reply to the assistant without the wake word for this long (ms, 0 = off)
+    followUpMs: Number(process.env.FOLLOW_UP_MS) || 0,
+    // How long to wait for the answer when the assistant asks for something it needs (ms)
+    clarifyTimeoutMs: Number(process.env.CLARIFY_TIMEOUT_MS) || 8000,
+    // Ask before leaving, clearing the queue or inviting someone (schema policies);
+    // CONFIRMATIONS=false turns them off
+    confirmations: process.env.CONFIRMATIONS === 'false' ? false : {},
+    // Time limit per tool call (ms, tools may set their own) and tool calls run at once across guilds
+    toolTimeoutMs: Number(process.env.TOOL_TIMEOUT_MS) || 10000,
+    toolConcurrency: Number(process.env.TOOL_CONCURRENCY) || 4,
+    // How background tasks report back: voice, text (posted in the voice channel's chat) or both
+    announce: process.env.ANNOUNCE || 'voice',
+    // Where reminders are kept between restarts
+    remindersFile: process.env.REMINDERS_FILE || './data/reminders.json',
+
+    // Tool plugins (see tools/plugins.js): a directory, extra npm packages,
+    // enable/disable lists by tool name and the permissions they may use
+    plugins: {
+        dir: process.env.PLUGINS_DIR || './plugins',
+        packages: list(process.env.PLUGINS),
+        enabled: list(process.env.PLUGINS_ENABLED),
+        disabled: list(process.env.PLUGINS_DISABLED),
+        permissions: list(process.env.PLUGIN_PERMISSIONS ?? 'network'),
+    },
 };
 
+function list(value) {
+    return (value || '').split(',').map((item) => item.trim()).filter(Boolean);
+}
+
 class PlisCordBot {
     constructor() {
         this.client = new Client({
@@ -53,10 +104,33 @@ class PlisCordBot {
         // Per-guild connections
         this.connections = new Map();
         this.players = new Map();
+        this.mixers = new Map();
         this.pipelines = new Map();
 
-        // Shared tools
+        // Open confirmation messages (Yes/No buttons) per guild
+        this.confirmations = new Map();
+
+        // Models are loaded once and shared by every guild's pipeline
+        this.modelPool = new ModelPool({ debug: config.debug });
+
+        // Shared tools, and one executor so a busy guild cannot hog them
         this.youtube = new YouTubeTool({ debug: config.debug });
+        this.executor = new ToolExecutor({
+            timeoutMs: config.toolTimeoutMs,
+            maxConcurrent: config.toolConcurrency,
+            logger: { log: (...args) => this.log(...args), error: (...args) => this.error(...args) },
+            debug: config.debug,
+        });
+
+        // Reminders for every guild, kept on disk; delivered in the guild's
+        // voice channel and as a DM to whoever set them
+        this.scheduler = new ReminderScheduler({ path: config.remindersFile, debug: config.debug });
+        this.reminders = new ReminderTool({ scheduler: this.scheduler, debug: config.debug });
+        this.scheduler.on('reminder', (reminder) => this.deliverReminder(reminder));
+        this.scheduler.on('error', (error) => this.error('Reminders:', error.message));
+
+        // Tool plugins, loaded once at start and added to every guild's pipeline
+        this.plugins = [];
 
         this.setupEventHandlers();
     }
@@ -84,6 +158,14 @@ class PlisCordBot {
         // Register slash commands
         await this.registerCommands();
 
+        // After login, so reminders that came due while offline can be sent as DMs
+        try {
+            await this.scheduler.load();
+            this.log(`Reminders: ${this.scheduler.list().length} pending`);
+        } catch (error) {
+            this.error('Failed to load reminders:', error.message);
+        }
+
         this.log('Bot is ready!');
     }
 
@@ -108,6 +190,12 @@ class PlisCordBot {
             new SlashCommandBuilder()
                 .setName('status')
                 .setDescription('Show bot status'),
+            new SlashCommandBuilder()
+                .setName('tasks')
+                .setDescription('List background tasks, or cancel one')
+                .addStringOption(option =>
+                    option.setName('cancel')
+                        .setDescription('ID of the task to cancel')),
         ].map(cmd => cmd.toJSON());
 
         const rest = new REST().setToken(config.token);
@@ -146,6 +234,11 @@ class PlisCordBot {
             }, 1000);
         }
 
+        // User left or switched channels: drop their listening session
+        if (oldState.channelId && oldState.channelId !== newState.channelId) {
+            this.pipelines.get(oldState.guild.id)?.removeSpeaker(oldState.id);
+        }
+
         // Check if we're alone in the channel
         if (oldState.channel && !newState.channel) {
             const channel = oldState.channel;
@@ -190,6 +283,9 @@ class PlisCordBot {
             connection.subscribe(player);
             this.players.set(guildId, player);
 
+            // Music and assistant speech share the player through the mixer
+            this.mixers.set(guildId, new AudioMixer({ debug: config.debug }));
+
             // Setup voice pipeline for this guild
             await this.setupPipeline(guildId, connection);
 
@@ -219,6 +315,8 @@ class PlisCordBot {
             this.pipelines.delete(guildId);
         }
 
+        this.mixers.get(guildId)?.destroy();
+        this.mixers.delete(guildId);
         this.players.delete(guildId);
         this.log('Left voice channel');
     }
@@ -231,16 +329,19 @@ class PlisCordBot {
 
         // Create tool handlers for this guild
         const handlers = {
-            play_youtube: async (params) => {
-                const result = await this.youtube.play(params);
+            play_youtube: async (params, context = {}) => {
+                const result = await this.youtube.play(params, context);
                 if (result.track) {
+                    result.track.requestedBy = context.speaker?.name;
                     await this.playYouTube(guildId, result.track.url);
                 }
                 return result;
             },
 
             media_control: async (params) => {
-                return this.youtube.mediaControl(params.action);
+                const result = this.youtube.mediaControl(params.action);
+                this.applyMediaControl(guildId, params.action);
+                return result;
             },
 
             voice_channel: async (params) => {
@@ -253,36 +354,88 @@ class PlisCordBot {
                 }
             },
 
-            invite_friend: async (params) => {
+            set_reminder: (params, context) => this.reminders.set(params, context),
+
+            manage_reminders: (params, context) => this.reminders.manage(params, context),
+
+            invite_friend: async (params, { speaker } = {}) => {
                 // TODO: Implement friend invite via Discord DM
+                const from = speaker?.name ? ` for ${speaker.name}` : '';
                 return {
-                    response: `I would invite ${params.friend_name} to play ${params.game || 'games'}, but that feature is coming soon!`
+                    response: `I would invite ${params.friend_name} to play ${params.game || 'games'}${from}, but that feature is coming soon!`
                 };
             },
         };
 
-        const tools = createTools(handlers);
+        const tools = createTools(handlers, {
+            plugins: this.plugins,
+            host: { adapter: 'discord', guildId, client: this.client },
+            onPluginError: (plugin, error) => this.error(`Plugin ${plugin.name} failed to start:`, error.message),
+        });
 
         // Create pipeline
         const pipeline = new VoicePipeline({
             performanceMode: config.performanceMode,
             wakeWord: config.wakeWord,
             ttsVoice: config.ttsVoice,
+            // Replies go to the voice channel, not the host's speakers
+            ttsSink: new DiscordAudioSink({
+                player: this.players.get(guildId),
+                mixer: this.mixers.get(guildId),
+            }),
             tools,
+            engines: config.engines,
+            workers: config.workers,
+            bargeIn: config.bargeIn,
+            followUpMs: config.followUpMs,
+            clarifyTimeoutMs: config.clarifyTimeoutMs,
+            confirmations: config.confirmations,
+            pool: this.modelPool,
+            owner: guildId,
+            executor: this.executor,
+            toolContext: { adapter: 'discord', guildId },
+            speakAnnouncements: config.announce !== 'text',
             debug: config.debug,
         });
 
+        // Duck the music while someone talks to the assistant and while it answers
+        this.mixers.get(guildId).followPipeline(pipeline);
+
         // Handle pipeline events
-        pipeline.on('wakeWord', () => {
-            this.log(chalk.yellow('Wake word detected!'));
+        pipeline.on('wakeWord', (speaker) => {
+            this.log(chalk.yellow('Wake word detected from'), speaker.name);
+        });
+
+        pipeline.on('transcript', (text, speaker) => {
+            this.log(chalk.cyan(`${speaker.name}:`), text);
+        });
+
+        pipeline.on('intent', (result, speaker) => {
+            const actions = result.calls?.length ? result.calls.map((call) => call.function).join(', ') : 'chat';
+            this.log(chalk.green('Action:'), actions, chalk.gray(`(${speaker.name})`));
+            // Any new result settles the question the buttons were for
+            this.closeConfirmation(guildId);
+        });
+
+        pipeline.on('confirmation', (request, speaker) => {
+            this.postConfirmation(guildId, request, speaker);
+        });
+
+        pipeline.on('clarificationTimeout', (speaker) => {
+            this.log(chalk.gray('No answer from'), speaker.name);
+            this.closeConfirmation(guildId);
         });
 
-        pipeline.on('transcript', (text) => {
-            this.log(chalk.cyan('Heard:'), text);
+        pipeline.on('announcement', (announcement) => {
+            this.log(chalk.magenta('Announcement:'), announcement.text);
+            // A ringing timer is posted once, not on every repeat of its alert
+            if (config.announce !== 'voice' && !(announcement.timer?.rings > 1)) {
+                this.postAnnouncement(guildId, announcement);
+            }
         });
 
-        pipeline.on('intent', (result) => {
-            this.log(chalk.green('Action:'), result.function || 'chat');
+        pipeline.on('interrupted', (state, speaker) => {
+            this.log(chalk.yellow('Interrupted by'), speaker.name, chalk.gray(`(was ${state})`));
         });
 
         pipeline.on('stateChange', (state) => {
@@ -311,6 +464,9 @@ class PlisCordBot {
         const receiver = connection.receiver;
 
         receiver.speaking.on('start', (userId) => {
+            // Still subscribed from an earlier burst: the session already has this stream
+            if (receiver.subscriptions.has(userId)) return;
+
             const audioStream = receiver.subscribe(userId, {
                 end: {
                     behavior: EndBehaviorType.AfterSilence,
@@ -318,36 +474,135 @@ class PlisCordBot {
                 },
             });
 
-            // Create a fake audio source for the pipeline
-            const audioSource = {
-                on: (event, callback) => {
-                    if (event === 'data') {
-                        audioStream.on('data', (chunk) => {
-                            // Discord audio is Opus, need to decode
-                            callback(chunk);
-                        });
-                    }
-                },
-                removeAllListeners: () => audioStream.removeAllListeners(),
-            };
+            // Opus packets → 16kHz mono float, what the wake word detector expects
+            const audioSource = decodeOpusStream(audioStream);
+            audioSource.on('error', (error) => this.error('Audio decode error:', error.message));
 
-            // Note: In real implementation, you'd need to decode Opus to PCM
-            // This is a simplified version
-            pipeline.start(audioSource);
+            // Each user gets their own wake word / VAD session
+            pipeline.addSpeaker(this.getSpeaker(guildId, userId), audioSource)
+                .catch((error) => this.error('Failed to start speaker session:', error));
         });
     }
 
+    /**
+     * Identity of a voice channel member, passed to tool handlers
+     */
+    getSpeaker(guildId, userId) {
+        const member = this.client.guilds.cache.get(guildId)?.members.cache.get(userId);
+        return {
+            id: userId,
+            name: member?.displayName || member?.user?.username || userId,
+        };
+    }
+
+    /**
+     * Post a confirmation question with Yes/No buttons in the voice channel's chat
+     * The spoken answer works too; whichever comes first settles it.
+     */
+    async postConfirmation(guildId, request, speaker) {
+        const channelId = this.connections.get(guildId)?.joinConfig.channelId;
+        const channel = channelId && this.client.channels.cache.get(channelId);
+        if (!channel?.isTextBased()) return;
+
+        const row = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`confirm:yes:${speaker.id}`)
+                .setLabel('Yes')
+                .setStyle(ButtonStyle.Success),
+            new ButtonBuilder()
+                .setCustomId(`confirm:no:${speaker.id}`)
+                .setLabel('No')
+                .setStyle(ButtonStyle.Secondary),
+        );
+
+        try {
+            const message = await channel.send({ content: `<@${speaker.id}> ${request.question}`, components: [row] });
+            this.confirmations.set(guildId, message);
+        } catch (error) {
+            this.error('Failed to post confirmation:', error.message);
+        }
+    }
+
+    /**
+     * Post a background task's announcement in the voice channel's chat
+     */
+    async postAnnouncement(guildId, announcement) {
+        const channelId = this.connections.get(guildId)?.joinConfig.channelId;
+        const channel = channelId && this.client.channels.cache.get(channelId);
+        if (!channel?.isTextBased()) return;
+
+        const mention = announcement.speaker?.id ? `<@${announcement.speaker.id}> ` : '';
+        try {
+            await channel.send(`${mention}${announcement.text}`);
+        } catch (error) {
+            this.error('Failed to post announcement:', error.message);
+        }
+    }
+
+    /**
+     * Say a reminder in its guild's voice channel (if connected) and DM it to whoever set it
+     */
+    async deliverReminder(reminder) {
+        const text = ReminderTool.announcement(reminder);
+        this.log(chalk.magenta('Reminder:'), text);
+
+        this.pipelines.get(reminder.owner)?.announce(text, { speaker: reminder.speaker });
+
+        if (!reminder.speaker?.id) return;
+        try {
+            const user = await this.client.users.fetch(reminder.speaker.id);
+            await user.send(`⏰ ${text}`);
+        } catch (error) {
+            this.error('Failed to send reminder DM:', error.message);
+        }
+    }
+
+    /**
+     * Remove the buttons of a guild's open confirmation
+     */
+    closeConfirmation(guildId) {
+        const message = this.confirmations.get(guildId);
+        if (!message) return;
+
+        this.confirmations.delete(guildId);
+        message.edit({ components: [] }).catch((error) => this.log('Failed to close confirmation:', error.message));
+    }
+
+    /**
+     * Yes/No button on a confirmation message
+     */
+    async onConfirmButton(interaction) {
+        const [, answer, userId] = interaction.customId.split(':');
+        const { guildId } = interaction;
+
+        if (interaction.user.id !== userId) {
+            await interaction.reply({ content: 'Only the person who asked can answer.', ephemeral: true });
+            return;
+        }
+
+        const pipeline = this.pipelines.get(guildId);
+        if (this.confirmations.get(guildId)?.id === interaction.message.id) {
+            this.confirmations.delete(guildId);
+        }
+        await interaction.update({ components: [] });
+
+        const result = await pipeline?.confirm(this.getSpeaker(guildId, userId), answer === 'yes');
+        if (!result) {
+            await interaction.followUp({ content: 'That request has expired.', ephemeral: true });
+        }
+    }
+
     /**
      * Play YouTube audio in voice channel
      */
     async playYouTube(guildId, url) {
-        const player = this.players.get(guildId);
-        if (!player) return;
+        const mixer = this.mixers.get(guildId);
+        if (!mixer) return;
 
         try {
             const stream = await this.youtube.getStream(url);
-            const resource = createAudioResource(stream);
-            player.play(resource);
+            mixer.setMusicVolume(this.youtube.volume);
+            mixer.playMusic(decodeToPcm(stream));
 
             this.log(`Playing: ${url}`);
         } catch (error) {
@@ -355,10 +610,38 @@ class PlisCordBot {
         }
     }
 
+    /**
+     * Mirror a media_control action on the guild's music channel
+     */
+    applyMediaControl(guildId, action) {
+        const mixer = this.mixers.get(guildId);
+        if (!mixer) return;
+
+        switch (action) {
+            case 'pause':
+                mixer.pauseMusic();
+                break;
+            case 'resume':
+                mixer.resumeMusic();
+                break;
+            case 'stop':
+                mixer.stopMusic();
+                break;
+            case 'volume_up':
+            case 'volume_down':
+                mixer.setMusicVolume(this.youtube.volume);
+                break;
+        }
+    }
+
     /**
      * Handle slash command interactions
      */
     async onInteraction(interaction) {
+        if (interaction.isButton() && interaction.customId.startsWith('confirm:')) {
+            await this.onConfirmButton(interaction);
+            return;
+        }
         if (!interaction.isChatInputCommand()) return;
 
         const { commandName, guildId } = interaction;
@@ -401,9 +684,10 @@ class PlisCordBot {
             }
 
             case 'stop': {
-                const player = this.players.get(guildId);
-                if (player) {
-                    player.stop();
+                const mixer = this.mixers.get(guildId);
+                if (mixer?.music) {
+                    // Only the music: the player keeps carrying assistant speech
+                    mixer.stopMusic();
                     await interaction.reply('Stopped playback.');
                 } else {
                     await interaction.reply('Nothing is playing.');
@@ -414,6 +698,10 @@ class PlisCordBot {
             case 'status': {
                 const pipeline = this.pipelines.get(guildId);
                 const state = pipeline?.getState() || { state: 'not connected' };
+                const poolStats = this.modelPool.getStats();
+                const constraints = state.intentConstraints;
+                const routing = state.intentRouting;
+                const executions = state.toolExecutions;
 
                 await interaction.reply({
                     embeds: [{
@@ -422,12 +710,83 @@ class PlisCordBot {
                             { name: 'State', value: state.state, inline: true },
                             { name: 'Mode', value: config.performanceMode, inline: true },
                             { name: 'Wake Word', value: config.wakeWord, inline: true },
+                            { name: 'Guilds', value: String(this.pipelines.size), inline: true },
+                            { name: 'Shared Models', value: String(poolStats.models.length), inline: true },
+                            { name: 'Queued Jobs', value: String(poolStats.queued), inline: true },
+                            ...(constraints ? [{
+                                name: 'Intent Fallbacks',
+                                value: `${constraints.fallbacks}/${constraints.generations}`,
+                                inline: true,
+                            }] : []),
+                            ...(routing ? [{
+                                name: 'Fast Path',
+                                value: `${routing.router}/${routing.total}`,
+                                inline: true,
+                            }] : []),
+                            ...(executions ? [{
+                                name: 'Tool Timeouts',
+                                value: `${executions.timeout} (${executions.failed} failed)`,
+                                inline: true,
+                            }] : []),
+                            ...(state.timers ? [{
+                                name: 'Timers',
+                                value: state.ringing ? `${state.timers} (${state.ringing} ringing)` : String(state.timers),
+                                inline: true,
+                            }] : []),
                         ],
                         color: 0x5865F2,
                     }],
                 });
                 break;
             }
+
+            case 'tasks': {
+                const pipeline = this.pipelines.get(guildId);
+                if (!pipeline) {
+                    await interaction.reply('Not connected to any voice channel.');
+                    return;
+                }
+
+                const id = interaction.options.getString('cancel');
+                if (id) {
+                    const cancelled = pipeline.cancelTask(id);
+                    await interaction.reply(cancelled ? `Cancelled task ${id}.` : `No running task ${id}.`);
+                    return;
+                }
+
+                const tasks = pipeline.getTasks();
+                const lines = tasks.map((task) => {
+                    const who = task.speaker?.name ? ` (${task.speaker.name})` : '';
+                    const since = `<t:${Math.floor(task.startedAt / 1000)}:R>`;
+                    return `\`${task.id}\` ${task.description}${who}, started ${since}`;
+                });
+                await interaction.reply(lines.length > 0 ? lines.join('\n') : 'No background tasks.');
+                break;
+            }
+        }
+    }
+
+    /**
+     * Load tool plugins; a plugin that fails is logged and left out
+     */
+    async loadPlugins() {
+        const loader = new PluginLoader({
+            ...config.plugins,
+            adapter: 'discord',
+            reserved: Object.keys(TOOLS),
+            debug: config.debug,
+        });
+        this.plugins = await loader.load();
+
+        for (const entry of loader.report) {
+            const version = entry.version ? chalk.gray(` v${entry.version}`) : '';
+            if (entry.status === 'loaded') {
+                this.log(`Plugin ${chalk.green(entry.name)}${version} loaded`);
+            } else if (entry.status === 'failed') {
+                this.error(`Plugin ${entry.name}${version}: ${entry.reason}`);
+            } else {
+                this.log(chalk.gray(`Plugin ${entry.name}${version} ${entry.status}: ${entry.reason}`));
+            }
         }
     }
 
@@ -441,6 +800,8 @@ class PlisCordBot {
             process.exit(1);
         }
 
+        await this.loadPlugins();
+
         const spinner = ora('Starting PlisCord...').start();
 
         try {
@@ -12,8 +12,15 @@
 
 import 'dotenv/config';
 import { VoicePipeline } from '../core/pipeline.js';
-import { createTools } from '../tools/definitions.js';
+import { ToolExecutor } from '../core/function-caller/executor.js';
+import { AudioMixer } from '../core/audio/mixer.js';
+import { decodeToPcm } from '../core/audio/ffmpeg.js';
+import { MixerSink } from '../core/tts/sinks/mixer.js';
+import { createTools, TOOLS } from '../tools/definitions.js';
+import { PluginLoader } from '../tools/plugins.js';
 import { YouTubeTool } from '../tools/youtube.js';
+import { ReminderTool } from '../tools/reminders.js';
+import { ReminderScheduler } from '../core/scheduler/reminders.js';
 import { exec } from 'child_process';
 import mic from 'mic';
 import Speaker from 'speaker';
@@ -26,6 +33,38 @@ const config = {
     audioDevice: process.env.AUDIO_DEVICE || 'default',
     debug: process.env.DEBUG === 'true',
 
+    // Engine backends by registry name (unset = built-in default)
+    engines: {
+        wakeWord: process.env.WAKE_WORD_ENGINE,
+        stt: process.env.STT_ENGINE,
+        intent: process.env.INTENT_ENGINE,
+        tts: process.env.TTS_ENGINE,
+    },
+    // Run STT, intent and TTS models in worker threads
+    workers: process.env.INFERENCE_WORKERS === 'true',
+    // Let the wake word interrupt a reply
+    bargeIn: process.env.BARGE_IN === 'true',
+    // Take a reply to the assistant without the wake word for this long (ms, 0 = off)
+    followUpMs: Number(process.env.FOLLOW_UP_MS) || 0,
+    // How long to wait for the answer when the assistant asks for something it needs (ms)
+    clarifyTimeoutMs: Number(process.env.CLARIFY_TIMEOUT_MS) || 8000,
+    // Fewer questions on the road: stopping the music just stops it;
+    // CONFIRMATIONS=false turns the rest off too
+    confirmations: process.env.CONFIRMATIONS === 'false' ? false : { media_control: false },
+    // Time limit per tool call (ms, tools may set their own) and tool calls run at once
+    toolTimeoutMs: Number(process.env.TOOL_TIMEOUT_MS) || 10000,
+    toolConcurrency: Number(process.env.TOOL_CONCURRENCY) || 4,
+    // Where reminders are kept between drives
+    remindersFile: process.env.REMINDERS_FILE || './data/reminders.json',
+    // Tool plugins (see tools/plugins.js); only those made for driving are loaded
+    plugins: {
+        dir: process.env.PLUGINS_DIR || './plugins',
+        packages: list(process.env.PLUGINS),
+        enabled: list(process.env.PLUGINS_ENABLED),
+        disabled: list(process.env.PLUGINS_DISABLED),
+        permissions: list(process.env.PLUGIN_PERMISSIONS ?? 'network'),
+    },
+
     // Driving-specific optimizations
     performanceMode: 'potato', // Always potato for driving
     sampleRate: 16000,
@@ -37,12 +76,19 @@ const config = {
     workAddress: process.env.WORK_ADDRESS || '',
 };
 
+function list(value) {
+    return (value || '').split(',').map((item) => item.trim()).filter(Boolean);
+}
+
 class DrivingAssistant {
     constructor() {
         this.pipeline = null;
         this.microphone = null;
         this.speaker = null;
+        this.mixer = null;
         this.youtube = new YouTubeTool({ debug: config.debug });
+        this.scheduler = new ReminderScheduler({ path: config.remindersFile, debug: config.debug });
+        this.reminders = new ReminderTool({ scheduler: this.scheduler, debug: config.debug });
 
         this.isListening = false;
     }
@@ -69,23 +115,28 @@ class DrivingAssistant {
 
         // Create tool handlers for driving mode
         const handlers = {
-            play_youtube: async (params) => {
-                const result = await this.youtube.play(params);
+            play_youtube: async (params, context) => {
+                const result = await this.youtube.play(params, context);
                 if (result.track) {
-                    // In driving mode, we'd play through system audio
-                    this.log(`Would play: ${result.track.title}`);
+                    await this.playMusic(result.track);
                 }
                 return result;
             },
 
             media_control: async (params) => {
-                return this.youtube.mediaControl(params.action);
+                const result = this.youtube.mediaControl(params.action);
+                this.applyMediaControl(params.action);
+                return result;
             },
 
             navigate: async (params) => {
                 return this.startNavigation(params.destination);
             },
 
+            set_reminder: (params, context) => this.reminders.set(params, context),
+
+            manage_reminders: (params, context) => this.reminders.manage(params, context),
+
             search_web: async (params) => {
                 // Simplified search for driving - just acknowledge
                 return {
@@ -94,7 +145,35 @@ class DrivingAssistant {
             },
         };
 
-        const tools = createTools(handlers);
+        const loader = new PluginLoader({
+            ...config.plugins,
+            adapter: 'driving',
+            reserved: Object.keys(TOOLS),
+            debug: config.debug,
+        });
+        const plugins = await loader.load();
+        for (const entry of loader.report) {
+            if (entry.status === 'failed') {
+                this.error(`Plugin ${entry.name}: ${entry.reason}`);
+            } else {
+                this.status(`Plugin ${entry.name}: ${entry.status}${entry.reason ? ` (${entry.reason})` : ''}`);
+            }
+        }
+
+        const tools = createTools(handlers, {
+            plugins,
+            host: { adapter: 'driving' },
+            onPluginError: (plugin, error) => this.error(`Plugin ${plugin.name} failed to start: ${error.message}`),
+        });
+
+        // One output for music and replies, so a reply ducks the music instead of cutting it
+        this.mixer = new AudioMixer({ debug: config.debug });
+        this.speaker = new Speaker({
+            channels: this.mixer.channels,
+            bitDepth: 16,
+            sampleRate: this.mixer.sampleRate,
+        });
+        this.mixer.createStream().pipe(this.speaker);
 
         // Create pipeline with potato settings
         this.pipeline = new VoicePipeline({
@@ -102,8 +181,23 @@ class DrivingAssistant {
             wakeWord: config.wakeWord,
             ttsVoice: config.ttsVoice,
             tools,
+            engines: config.engines,
+            workers: config.workers,
+            bargeIn: config.bargeIn,
+            followUpMs: config.followUpMs,
+            clarifyTimeoutMs: config.clarifyTimeoutMs,
+            confirmations: config.confirmations,
+            executor: new ToolExecutor({
+                timeoutMs: config.toolTimeoutMs,
+                maxConcurrent: config.toolConcurrency,
+                logger: { log: (...args) => this.status(...args), error: (...args) => this.error(...args) },
+                debug: config.debug,
+            }),
+            toolContext: { adapter: 'driving' },
+            ttsSink: new MixerSink({ mixer: this.mixer }),
             debug: config.debug,
         });
+        this.mixer.followPipeline(this.pipeline);
 
         // Setup event handlers
         this.setupPipelineEvents();
@@ -112,6 +206,19 @@ class DrivingAssistant {
         this.status('Loading AI models (this may take a minute)...');
         await this.pipeline.initialize();
 
+        // Reminders are spoken when the assistant is free; ones that came due
+        // while the car was off are said once it starts listening
+        this.scheduler.on('reminder', (reminder) => {
+            this.pipeline.announce(ReminderTool.announcement(reminder), { speaker: reminder.speaker });
+        });
+        this.scheduler.on('error', (error) => this.error(`Reminders: ${error.message}`));
+        try {
+            await this.scheduler.load();
+            this.status(`Reminders: ${this.scheduler.list().length} pending`);
+        } catch (error) {
+            this.error(`Failed to load reminders: ${error.message}`);
+        }
+
         this.log(chalk.green('✓') + ' Driving Assistant ready!');
     }
 
@@ -122,7 +229,7 @@ class DrivingAssistant {
         this.pipeline.on('stateChange', (state) => {
             if (state === 'listening') {
                 // Show subtle indicator
-            } else if (state === 'recording') {
+            } else if (state === 'recording' || state === 'followUp') {
                 this.status('Listening...');
             }
         });
@@ -132,19 +239,37 @@ class DrivingAssistant {
             // Could trigger a beep here
         });
 
+        this.pipeline.on('confirmation', (request) => {
+            this.log(chalk.yellow('Confirm:'), request.question);
+        });
+
+        this.pipeline.on('clarificationTimeout', () => {
+            this.log(chalk.gray('No answer, never mind'));
+        });
+
+        this.pipeline.on('interrupted', () => {
+            this.log(chalk.yellow('Interrupted'));
+        });
+
         this.pipeline.on('transcript', (text) => {
             this.log(chalk.cyan('Heard:'), text);
         });
 
         this.pipeline.on('intent', (result) => {
-            if (result.function) {
-                this.log(chalk.green('Action:'), result.function);
+            // Every call of the command, in the order they ran
+            for (const call of result.calls?.length ? result.calls : result.function ? [result] : []) {
+                this.log(chalk.green('Action:'), call.function, call.error ? chalk.red(call.error) : '');
             }
             if (result.response) {
                 this.log(chalk.blue('Response:'), result.response);
             }
         });
 
+        // Background tasks speak up once the assistant is free (reminders, downloads...)
+        this.pipeline.on('announcement', (announcement) => {
+            this.log(chalk.magenta('Announcement:'), announcement.text);
+        });
+
         this.pipeline.on('error', (error) => {
             this.error('Pipeline error:', error.message);
         });
@@ -193,6 +318,41 @@ class DrivingAssistant {
         }
     }
 
+    /**
+     * Play a track through the system audio output
+     */
+    async playMusic(track) {
+        try {
+            const stream = await this.youtube.getStream(track.url);
+            this.mixer.setMusicVolume(this.youtube.volume);
+            this.mixer.playMusic(decodeToPcm(stream));
+            this.log(`Playing: ${track.title}`);
+        } catch (error) {
+            this.error('Playback error:', error);
+        }
+    }
+
+    /**
+     * Mirror a media_control action on the music channel
+     */
+    applyMediaControl(action) {
+        switch (action) {
+            case 'pause':
+                this.mixer.pauseMusic();
+                break;
+            case 'resume':
+                this.mixer.resumeMusic();
+                break;
+            case 'stop':
+                this.mixer.stopMusic();
+                break;
+            case 'volume_up':
+            case 'volume_down':
+                this.mixer.setMusicVolume(this.youtube.volume);
+                break;
+        }
+    }
+
     /**
      * Initialize system microphone
      */
@@ -271,10 +431,14 @@ class DrivingAssistant {
             this.microphone.stop();
         }
 
+        this.scheduler.dispose();
+
         if (this.pipeline) {
             await this.pipeline.dispose();
         }
 
+        this.mixer?.destroy();
+
         this.log('Driving Assistant stopped');
     }
 }
@@ -0,0 +1,267 @@
+/**
+ * Model Manager CLI
+ * Pull, verify, prune and bundle the models listed in core/models/manifest.js
+ *
+ *   npm run models -- list
+ *   npm run models -- pull [group|mode|all ...]
+ *   npm run models -- verify [group|mode|all ...]
+ *   npm run models -- prune [--dry-run]
+ *   npm run models -- bundle [file]
+ *   npm run models -- pin
+ *
+ * Options:
+ *   --mode <potato|balanced|quality>  Performance mode (default: $PERFORMANCE_MODE or potato)
+ *   --force                           Re-download files that already verify
+ *   --dry-run                         Show what prune would delete
+ */
+
+import 'dotenv/config';
+import { writeFile } from 'fs/promises';
+import chalk from 'chalk';
+import ora from 'ora';
+import { ModelStore } from '../core/models/store.js';
+import {
+    MODEL_ARTIFACTS,
+    MODEL_GROUPS,
+    MODE_GROUPS,
+    PINS_FILE,
+    getGroupArtifacts,
+    getModeArtifacts,
+    getUnpinnedArtifacts,
+} from '../core/models/manifest.js';
+
+function parseArgs(argv) {
+    const args = { command: null, targets: [], mode: process.env.PERFORMANCE_MODE || 'potato', force: false, dryRun: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--mode') {
+            args.mode = argv[++i];
+        } else if (arg === '--force') {
+            args.force = true;
+        } else if (arg === '--dry-run') {
+            args.dryRun = true;
+        } else if (!args.command) {
+            args.command = arg;
+        } else {
+            args.targets.push(arg);
+        }
+    }
+
+    if (!MODE_GROUPS[args.mode]) {
+        throw new Error(`Unknown mode: ${args.mode} (available: ${Object.keys(MODE_GROUPS).join(', ')})`);
+    }
+
+    return args;
+}
+
+/**
+ * Turn CLI targets into artifacts. A target is a group, a mode or `all`;
+ * no target means everything the current mode needs.
+ */
+function selectArtifacts(targets, mode) {
+    if (targets.length === 0) {
+        return getModeArtifacts(mode);
+    }
+
+    const selected = new Set();
+    for (const target of targets) {
+        let artifacts;
+        if (target === 'all') {
+            artifacts = MODEL_ARTIFACTS;
+        } else if (MODE_GROUPS[target]) {
+            artifacts = getModeArtifacts(target);
+        } else if (MODEL_GROUPS[target]) {
+            artifacts = getGroupArtifacts(target).filter((artifact) => !artifact.modes || artifact.modes.includes(mode));
+        } else {
+            throw new Error(`Unknown group or mode: ${target} (groups: ${Object.keys(MODEL_GROUPS).join(', ')})`);
+        }
+        artifacts.forEach((artifact) => selected.add(artifact));
+    }
+    return [...selected];
+}
+
+function formatSize(bytes) {
+    if (bytes == null) return '?';
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+}
+
+async function list(store, args) {
+    const statuses = await store.status();
+    const modeGroups = MODE_GROUPS[args.mode];
+
+    console.log(chalk.bold(`Model store: ${store.modelsDir}`));
+    console.log(chalk.gray(`Mode: ${args.mode} (groups marked * are needed)\n`));
+
+    for (const [group, info] of Object.entries(MODEL_GROUPS)) {
+        const files = statuses.filter((s) => s.artifact.group === group);
+        const installed = files.filter((s) => s.size !== null);
+        const partial = files.filter((s) => s.partialSize !== null);
+        const bytes = installed.reduce((sum, s) => sum + s.size, 0);
+
+        const marker = modeGroups.includes(group) ? chalk.yellow('*') : ' ';
+        const countText = `${installed.length}/${files.length}`.padEnd(7);
+        const count = installed.length === files.length ? chalk.green(countText) : chalk.red(countText);
+
+        console.log(`${marker} ${chalk.cyan(group.padEnd(14))} ${count} ${formatSize(bytes).padStart(10)}  ${info.description}`);
+        if (partial.length > 0) {
+            console.log(chalk.gray(`    ${partial.length} partial download(s), run pull to resume`));
+        }
+    }
+}
+
+async function pull(store, args) {
+    const artifacts = selectArtifacts(args.targets, args.mode);
+    const spinner = ora(`Pulling ${artifacts.length} files...`).start();
+
+    store.on('start', ({ artifact }) => {
+        spinner.text = `Downloading: ${artifact.path}`;
+    });
+    store.on('progress', ({ artifact, received, total }) => {
+        const percent = total ? ` ${((received / total) * 100).toFixed(1)}%` : '';
+        spinner.text = `Downloading: ${artifact.path} ${formatSize(received)}${percent}`;
+    });
+    store.on('done', ({ artifact, size }) => {
+        spinner.succeed(`Downloaded: ${artifact.path} (${formatSize(size)})`);
+        spinner.start();
+    });
+    store.on('fail', ({ artifact, error }) => {
+        spinner.warn(`Failed: ${artifact.path} - ${error.message}`);
+        spinner.start();
+    });
+
+    const summary = await store.pull(artifacts, { force: args.force });
+    spinner.stop();
+
+    console.log(`
+Downloaded: ${summary.downloaded.length}  Up to date: ${summary.skipped.length}  Failed: ${summary.failed.length}`);
+
+    return summary.failed.length === 0;
+}
+
+async function verify(store, args) {
+    const artifacts = selectArtifacts(args.targets, args.mode);
+    const spinner = ora(`Verifying ${artifacts.length} files...`).start();
+    const results = await store.verify(artifacts);
+    spinner.stop();
+
+    const colors = { ok: chalk.green, unverified: chalk.yellow, missing: chalk.red, corrupt: chalk.red };
+    for (const { artifact, status } of results) {
+        if (status !== 'ok') {
+            console.log(`${colors[status](status.padEnd(10))} ${artifact.path}`);
+        }
+    }
+
+    const counts = results.reduce((acc, { status }) => ({ ...acc, [status]: (acc[status] || 0) + 1 }), {});
+    console.log(`
+OK: ${counts.ok || 0}  Unverified: ${counts.unverified || 0}  Missing: ${counts.missing || 0}  Corrupt: ${counts.corrupt || 0}`);
+
+    const unpinned = getUnpinnedArtifacts().filter((artifact) => artifacts.includes(artifact));
+    if (unpinned.length > 0) {
+        console.log(chalk.yellow(`${unpinned.length} files have no pinned hash and were only checked against the lock file (run pin)`));
+    }
+
+    return !counts.missing && !counts.corrupt;
+}
+
+async function prune(store, args) {
+    // With explicit targets, keep only those; otherwise keep the whole manifest
+    const keep = args.targets.length > 0 ? selectArtifacts(args.targets, args.mode) : MODEL_ARTIFACTS;
+    const removed = await store.prune({ keep, dryRun: args.dryRun });
+
+    for (const { path, size } of removed) {
+        console.log(`${args.dryRun ? 'Would remove' : 'Removed'}: ${path} (${formatSize(size)})`);
+    }
+
+    const total = removed.reduce((sum, { size }) => sum + (size || 0), 0);
+    console.log(`\n${removed.length} files, ${formatSize(total)} ${args.dryRun ? 'can be freed' : 'freed'}`);
+    return true;
+}
+
+async function bundle(store, args) {
+    const [outFile = `pliscord-models-${args.mode}.tar.gz`, ...targets] = args.targets;
+    const artifacts = selectArtifacts(targets, args.mode);
+
+    const spinner = ora(`Bundling ${artifacts.length} files...`).start();
+    const result = await store.bundle(outFile, artifacts);
+    spinner.succeed(`Bundle written: ${result.file} (${formatSize(result.size)}, ${result.count} files)`);
+
+    console.log(chalk.gray(`
+On the offline machine:
+  mkdir -p models && tar -xzf ${outFile} -C models
+  MODELS_OFFLINE=true npm run models -- verify --mode ${args.mode}`));
+    return true;
+}
+
+/**
+ * Pin every manifest file to the hash and size the server has now
+ * Run after changing the manifest, then commit core/models/pins.json.
+ */
+async function pin(store) {
+    const spinner = ora(`Pinning ${MODEL_ARTIFACTS.length} files...`).start();
+    const pins = {};
+    let failed = 0;
+
+    for (const artifact of MODEL_ARTIFACTS) {
+        spinner.text = `Pinning: ${artifact.path}`;
+        try {
+            const { sha256, size } = await store.fetchPin(artifact);
+            pins[artifact.path] = { sha256, size };
+            if (artifact.sha256 && artifact.sha256 !== sha256) {
+                spinner.warn(`Changed upstream: ${artifact.path}`);
+                spinner.start();
+            }
+        } catch (error) {
+            failed++;
+            // Keep the old pin rather than dropping it
+            if (artifact.sha256) pins[artifact.path] = { sha256: artifact.sha256, size: artifact.size };
+            spinner.warn(`Failed: ${artifact.path} - ${error.message}`);
+            spinner.start();
+        }
+    }
+
+    await writeFile(PINS_FILE, JSON.stringify(pins, null, 2) + '\n');
+    spinner.succeed(`Pinned ${Object.keys(pins).length}/${MODEL_ARTIFACTS.length} files in core/models/pins.json`);
+    return failed === 0;
+}
+
+const COMMANDS = { list, pull, verify, prune, bundle, pin };
+
+function usage() {
+    console.log(`Usage: npm run models -- <command> [targets...] [options]
+
+Commands:
+  list                      Show model groups and what is installed
+  pull [group|mode|all]     Download missing or corrupt files (resumes partial downloads)
+  verify [group|mode|all]   Check sizes and SHA-256 hashes
+  prune [group|mode|all]    Delete manifest files not in the given targets, and partial downloads
+  bundle [file] [targets]   Export a .tar.gz for offline machines
+  pin                       Record every file's SHA-256 and size in core/models/pins.json
+
+Options:
+  --mode <${Object.keys(MODE_GROUPS).join('|')}>
+  --force                   Re-download files that already verify
+  --dry-run                 Show what prune would delete
+
+Groups: ${Object.keys(MODEL_GROUPS).join(', ')}`);
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const command = COMMANDS[args.command];
+
+    if (!command) {
+        usage();
+        process.exit(args.command ? 1 : 0);
+    }
+
+    const store = new ModelStore({ debug: process.env.DEBUG === 'true' });
+    const ok = await command(store, args);
+    process.exit(ok ? 0 : 1);
+}
+
+main().catch((error) => {
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+});
@@ -0,0 +1,130 @@
+/**
+ * One command through the pipeline, with fake engines from a registry
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { VoicePipeline } from '../core/pipeline.js';
+import { EngineRegistry } from '../core/engines/registry.js';
+import { ENGINE_KINDS, assertEngine } from '../core/engines/interfaces.js';
+
+class FakeDetector extends EventEmitter {
+    async initialize() {}
+    start(source) { this.source = source; }
+    stop() {}
+    pause() { this.paused = true; }
+    resume() { this.paused = false; }
+    async dispose() {}
+}
+
+// Transcribes "audio" that is already text
+class FakeStt {
+    async initialize() {}
+    async transcribe(audio) { return audio; }
+    async dispose() {}
+}
+
+// Calls the tool named by the first word, with the rest as its parameter
+class FakeIntent {
+    constructor() { this.tools = {}; }
+    async initialize() {}
+    registerTool(name, schema, handler) { this.tools[name] = { schema, handler }; }
+    async process(text, { context }) {
+        const [name, ...rest] = text.split(' ');
+        const parameters = { level: Number(rest.join(' ')) };
+        const toolResult = await this.tools[name].handler(parameters, context);
+        const call = { function: name, parameters, toolResult };
+        return { ...call, response: toolResult.response, calls: [call] };
+    }
+    async dispose() {}
+}
+
+class FakeTts {
+    constructor() { this.spoken = []; }
+    async initialize() {}
+    async speak(text) { this.spoken.push(text); }
+    stop() {}
+    async dispose() {}
+}
+
+const registry = new EngineRegistry()
+    .register('wakeWord', 'fake', () => new FakeDetector())
+    .register('stt', 'fake', () => new FakeStt())
+    .register('intent', 'fake', () => new FakeIntent())
+    .register('tts', 'fake', () => new FakeTts());
+
+/**
+ * Pipeline on the fake engines with a set_volume tool; `say(text)` runs one
+ * command and resolves with the states it went through
+ */
+async function createPipeline(options = {}) {
+    const calls = [];
+    const pipeline = new VoicePipeline({
+        registry,
+        engines: { wakeWord: 'fake', stt: 'fake', intent: 'fake', tts: 'fake' },
+        owner: 'guild-1',
+        tools: {
+            set_volume: {
+                schema: { description: 'Set the volume', parameters: { level: { type: 'number' } } },
+                handler: async (parameters, context) => {
+                    calls.push({ parameters, speaker: context.speaker, owner: context.owner });
+                    return { response: `Volume set to ${parameters.level}.` };
+                },
+            },
+        },
+        ...options,
+    });
+
+    const speaker = { id: 'user-1', name: 'Ada' };
+    await pipeline.start(new EventEmitter(), speaker);
+
+    const say = (text) => new Promise((resolve) => {
+        const states = [];
+        const onState = (state) => {
+            states.push(state);
+            if (state === 'listening' || state === 'followUp') {
+                pipeline.off('stateChange', onState);
+                resolve(states);
+            }
+        };
+        pipeline.on('stateChange', onState);
+        pipeline.wakeWordDetector.emit('detected');
+        pipeline.wakeWordDetector.emit('speechEnd', text);
+    });
+
+    return { pipeline, calls, speaker, say };
+}
+
+test('the fake engines pass the engine interface checks', async () => {
+    for (const kind of ENGINE_KINDS) {
+        assertEngine(kind, await registry.create(kind, 'fake'), 'fake');
+    }
+});
+
+test('a command goes through wake word, transcription, intent and speech', async () => {
+    const { pipeline, calls, speaker, say } = await createPipeline();
+    assert.ok(pipeline.wakeWordDetector instanceof FakeDetector);
+    assert.ok(pipeline.functionCaller.tools.set_volume);
+
+    const states = await say('set_volume 80');
+
+    assert.deepEqual(states, ['recording', 'transcribing', 'processing', 'speaking', 'listening']);
+    assert.deepEqual(calls, [{ parameters: { level: 80 }, speaker, owner: 'guild-1' }]);
+    assert.deepEqual(pipeline.tts.spoken, ['Volume set to 80.']);
+    assert.equal(pipeline.wakeWordDetector.paused, false);
+
+    pipeline.stop();
+    await pipeline.dispose();
+});
+
+test('with follow-ups on, the reply opens the follow-up window', async () => {
+    const { pipeline, say } = await createPipeline({ followUpMs: 5000 });
+
+    const states = await say('set_volume 20');
+
+    assert.deepEqual(states, ['recording', 'transcribing', 'processing', 'speaking', 'followUp']);
+
+    pipeline.stop();
+    await pipeline.dispose();
+});
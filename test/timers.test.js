@@ -0,0 +1,242 @@
+/**
+ * Timers and alarms, driven by a ManualClock
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TimerManager } from '../core/scheduler/timers.js';
+import { ManualClock } from '../core/scheduler/clock.js';
+import { VoicePipeline } from '../core/pipeline.js';
+import { handleTimers } from '../tools/timers.js';
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+// Monday, January 5 2026, 8:00 local time
+const START = new Date(2026, 0, 5, 8, 0).getTime();
+
+function setup(options = {}) {
+    const clock = new ManualClock(START);
+    const timers = new TimerManager({ clock, ringIntervalMs: 20 * SECOND, maxRings: 3, ...options });
+    const events = [];
+    for (const event of ['started', 'ringing', 'missed', 'dismissed', 'cancelled']) {
+        timers.on(event, (payload) => events.push({ event, payload }));
+    }
+    return { clock, timers, events, named: (event) => events.filter((entry) => entry.event === event) };
+}
+
+test('a timer rings when its time is up', () => {
+    const { clock, timers, named } = setup();
+    const timer = timers.startTimer({ durationMs: 12 * MINUTE, name: 'the Pizza timer' });
+
+    assert.equal(timer.name, 'pizza');
+    assert.equal(timer.remainingMs, 12 * MINUTE);
+
+    clock.advance(12 * MINUTE - 1);
+    assert.equal(named('ringing').length, 0);
+    assert.equal(timers.get(timer.id).remainingMs, 1);
+
+    clock.advance(1);
+    const [{ payload }] = named('ringing');
+    assert.equal(payload.text, 'Your pizza timer is done.');
+    assert.equal(payload.timer.id, timer.id);
+    assert.equal(timers.get(timer.id).status, 'ringing');
+});
+
+test('a ringing timer rings again until maxRings, then is missed and removed', () => {
+    const { clock, timers, named } = setup();
+    const timer = timers.startTimer({ durationMs: MINUTE });
+
+    clock.advance(MINUTE);
+    assert.equal(named('ringing').length, 1);
+
+    clock.advance(20 * SECOND);
+    clock.advance(20 * SECOND);
+    assert.equal(named('ringing').length, 3);
+    assert.equal(named('missed').length, 0);
+
+    clock.advance(20 * SECOND);
+    assert.equal(named('ringing').length, 3);
+    assert.equal(named('missed').length, 1);
+    assert.equal(named('missed')[0].payload.id, timer.id);
+    assert.equal(timers.get(timer.id), null);
+    assert.equal(clock.timers.length, 0);
+});
+
+test('dismissing a timer stops it ringing', () => {
+    const { clock, timers, named } = setup();
+    const timer = timers.startTimer({ durationMs: MINUTE });
+
+    assert.equal(timers.dismiss(timer.id), false);
+    clock.advance(MINUTE);
+    assert.equal(timers.dismiss(timer.id), true);
+
+    clock.advance(10 * MINUTE);
+    assert.equal(named('ringing').length, 1);
+    assert.equal(named('dismissed').length, 1);
+    assert.equal(timers.list().length, 0);
+});
+
+test('a daily alarm moves to the next day when dismissed', () => {
+    const { clock, timers, named } = setup();
+    const alarm = timers.setAlarm({ at: new Date(2026, 0, 5, 9, 0).getTime(), repeat: 'daily' });
+
+    assert.equal(alarm.at, new Date(2026, 0, 5, 9, 0).getTime());
+
+    clock.advance(60 * MINUTE);
+    assert.match(named('ringing')[0].payload.text, /^It's 9:00\sAM\. Your alarm is going off\.$/);
+
+    timers.dismiss(alarm.id);
+    const next = timers.get(alarm.id);
+    assert.equal(next.status, 'running');
+    assert.equal(next.rings, 0);
+    assert.equal(next.at, new Date(2026, 0, 6, 9, 0).getTime());
+
+    clock.advance(24 * 60 * MINUTE);
+    assert.equal(named('ringing').length, 2);
+});
+
+test('a weekday alarm that is missed on Friday moves to Monday', () => {
+    const { clock, timers, named } = setup();
+    // Friday, January 9 2026, 7:00
+    clock.advance(new Date(2026, 0, 9, 7, 0).getTime() - START);
+    const alarm = timers.setAlarm({ at: new Date(2026, 0, 9, 7, 30).getTime(), name: 'work', repeat: 'weekdays' });
+
+    clock.advance(30 * MINUTE + 3 * 20 * SECOND);
+    assert.equal(named('ringing').length, 3);
+    assert.equal(named('missed').length, 1);
+
+    const next = timers.get(alarm.id);
+    assert.equal(next.status, 'running');
+    assert.equal(next.at, new Date(2026, 0, 12, 7, 30).getTime());
+});
+
+test('a one-off alarm is removed once dismissed', () => {
+    const { clock, timers } = setup();
+    const alarm = timers.setAlarm({ at: START + 30 * MINUTE });
+
+    clock.advance(30 * MINUTE);
+    timers.dismiss(alarm.id);
+    assert.equal(timers.get(alarm.id), null);
+});
+
+test('cancel removes one timer, cancelAll the ones matching the filter', () => {
+    const { clock, timers, named } = setup();
+    const pizza = timers.startTimer({ durationMs: 12 * MINUTE, name: 'pizza' });
+    timers.startTimer({ durationMs: 5 * MINUTE, name: 'tea' }, { owner: 'guild-1' });
+    timers.startTimer({ durationMs: 8 * MINUTE, name: 'eggs' }, { owner: 'guild-1' });
+    timers.setAlarm({ at: START + 60 * MINUTE }, { owner: 'guild-1' });
+
+    assert.equal(timers.cancel(pizza.id, { owner: 'guild-1' }), false);
+    assert.equal(timers.cancel(pizza.id), true);
+    assert.equal(timers.cancel(pizza.id), false);
+    assert.equal(named('cancelled').length, 1);
+
+    assert.equal(timers.cancelAll({ owner: 'guild-1', kind: 'timer' }), 2);
+    assert.deepEqual(timers.list().map((timer) => timer.kind), ['alarm']);
+
+    assert.equal(timers.cancelAll(), 1);
+    clock.advance(2 * 60 * MINUTE);
+    assert.equal(named('ringing').length, 0);
+    assert.equal(clock.timers.length, 0);
+});
+
+test('the pipeline lists and dismisses its own timers', () => {
+    const { clock, timers } = setup();
+    const pipeline = new VoicePipeline({ timers, owner: 'guild-1' });
+    const announced = [];
+    pipeline.on('announcement', (announcement) => announced.push(announcement));
+
+    const context = pipeline.contextFor(null);
+    context.timers.startTimer({ durationMs: 5 * MINUTE, name: 'tea' });
+    context.timers.startTimer({ durationMs: 10 * MINUTE, name: 'eggs' });
+    timers.startTimer({ durationMs: 10 * MINUTE, name: 'other' }, { owner: 'guild-2' });
+
+    assert.deepEqual(pipeline.getTimers().map((timer) => timer.name), ['tea', 'eggs']);
+
+    clock.advance(5 * MINUTE);
+    assert.deepEqual(pipeline.getTimers({ status: 'ringing' }).map((timer) => timer.name), ['tea']);
+    assert.equal(pipeline.getTimers()[0].remainingMs, 0);
+    // Not listening, so the alert waits in the queue, once per timer
+    clock.advance(20 * SECOND);
+    assert.deepEqual(pipeline.announcements.map((announcement) => announcement.text), ['Your tea timer is done.']);
+    assert.equal(announced.length, 0);
+
+    assert.equal(pipeline.dismissTimers(), 1);
+    assert.deepEqual(pipeline.getTimers().map((timer) => timer.name), ['eggs']);
+    assert.equal(pipeline.getState().ringing, 0);
+
+    clock.advance(5 * MINUTE);
+    const [eggs] = pipeline.getTimers({ status: 'ringing' });
+    assert.equal(pipeline.dismissTimers('nope'), 0);
+    assert.equal(pipeline.dismissTimers(eggs.id), 1);
+    assert.equal(pipeline.getTimers().length, 0);
+
+    // The other owner's timer is not this pipeline's to dismiss
+    assert.equal(timers.list({ owner: 'guild-2', status: 'ringing' }).length, 1);
+    timers.dispose();
+});
+
+test('a queued alert is dropped once its timer stops ringing', () => {
+    const { clock, timers } = setup();
+    const pipeline = new VoicePipeline({ timers, owner: 'guild-1', speakAnnouncements: false });
+    const announced = [];
+    pipeline.on('announcement', (announcement) => announced.push(announcement.text));
+    const context = pipeline.contextFor(null);
+
+    // A command is running while they go off
+    pipeline.state = 'processing';
+    context.timers.startTimer({ durationMs: 12 * MINUTE, name: 'pizza' });
+    const tea = context.timers.startTimer({ durationMs: 12 * MINUTE, name: 'tea' });
+    context.timers.startTimer({ durationMs: 12 * MINUTE, name: 'eggs' });
+    clock.advance(12 * MINUTE);
+    assert.equal(pipeline.announcements.length, 3);
+
+    assert.equal(pipeline.dismissTimers(pipeline.getTimers({ status: 'ringing' }).find((timer) => timer.name === 'pizza').id), 1);
+    assert.equal(context.timers.cancel(tea.id), true);
+    assert.deepEqual(pipeline.announcements.map((announcement) => announcement.text), ['Your eggs timer is done.']);
+
+    // Rung out while still busy
+    clock.advance(3 * 20 * SECOND);
+    assert.equal(pipeline.getTimers().length, 0);
+    assert.equal(pipeline.announcements.length, 0);
+
+    pipeline.resume();
+    assert.deepEqual(announced, []);
+    timers.dispose();
+});
+
+test('"a" is one only right before a unit; otherwise the timer asks how long', async () => {
+    const { timers } = setup();
+    const context = { timers: timers.scope({}) };
+
+    const vague = await handleTimers({ action: 'set', duration: 'a lot of minutes' }, context);
+    assert.equal(vague.clarify.field, 'duration');
+    assert.equal((await handleTimers({ action: 'set', duration: 'a lot' }, context)).clarify.field, 'duration');
+    assert.equal(timers.list().length, 0);
+
+    const minute = await handleTimers({ action: 'set', duration: 'a minute' }, context);
+    assert.equal(minute.response, 'Timer set for 1 minute.');
+    assert.equal(minute.timer.durationMs, MINUTE);
+    timers.dispose();
+});
+
+test('alerts posted as text go out once per ring-out, not on every repeat', () => {
+    const { clock, timers } = setup();
+    const pipeline = new VoicePipeline({ timers, owner: 'guild-1', speakAnnouncements: false });
+    const announced = [];
+    pipeline.on('announcement', (announcement) => announced.push(announcement.text));
+    pipeline.state = 'listening';
+
+    const alarm = pipeline.contextFor(null).timers.setAlarm({ at: new Date(2026, 0, 5, 9, 0).getTime(), name: 'standup', repeat: 'daily' });
+    clock.advance(60 * MINUTE + 2 * 20 * SECOND);
+    assert.equal(timers.get(alarm.id).rings, 3);
+    assert.equal(announced.length, 1);
+    assert.match(announced[0], /standup alarm/);
+
+    // Next day it is posted again
+    pipeline.dismissTimers();
+    clock.advance(24 * 60 * MINUTE);
+    assert.equal(announced.length, 2);
+    timers.dispose();
+});
@@ -3,7 +3,14 @@
  * These are the functions that FunctionGemma can call
  */
 
+import { pluginTools } from './plugins.js';
+import { handleTimers } from './timers.js';
+
 // Tool registry with schemas and handlers
+// A property's `question` is what the assistant asks when it is missing;
+// `confirm` asks for a yes before the handler runs (see core/function-caller/clarification.js);
+// `routes` match simple commands without the model (see core/function-caller/router.js);
+// `timeoutMs` overrides the executor's time limit (see core/function-caller/executor.js)
 export const TOOLS = {
     // YouTube Music Playback
     play_youtube: {
@@ -14,10 +21,16 @@ export const TOOLS = {
                 query: {
                     type: 'string',
                     description: 'Song name, artist, or search query',
+                    question: 'What should I play?',
                 },
             },
             required: ['query'],
+            // Search plus the first bytes of the stream
+            timeoutMs: 15000,
         },
+        routes: [
+            { pattern: /^play (?<query>.+)$/i, confidence: 0.9 },
+        ],
         handler: null, // Set by the specific adapter (Discord/Driving)
     },
 
@@ -34,7 +47,19 @@ export const TOOLS = {
                 },
             },
             required: ['action'],
+            // Stop clears the whole queue
+            confirm: {
+                when: { action: ['stop'] },
+                question: 'Do you want me to stop the music and clear the queue?',
+            },
         },
+        routes: [
+            { pattern: /^(?<action>pause|resume|skip|stop)(?: (?:the )?(?:music|song|track|playback|it))?$/i },
+            { pattern: /^(?:next|next song|skip this(?: song)?)$/i, parameters: { action: 'skip' } },
+            { pattern: /^(?:unpause|continue(?: playing)?|keep playing)$/i, parameters: { action: 'resume' } },
+            { pattern: /^(?:louder|volume up|turn (?:it|the volume|the music) up)$/i, parameters: { action: 'volume_up' } },
+            { pattern: /^(?:quieter|volume down|turn (?:it|the volume|the music) down)$/i, parameters: { action: 'volume_down' } },
+        ],
         handler: null,
     },
 
@@ -47,10 +72,14 @@ export const TOOLS = {
                 query: {
                     type: 'string',
                     description: 'Search query',
+                    question: 'What should I search for?',
                 },
             },
             required: ['query'],
         },
+        routes: [
+            { pattern: /^(?:search|google|look up)(?: for)? (?<query>.+)$/i, confidence: 0.9 },
+        ],
         handler: null,
     },
 
@@ -63,6 +92,7 @@ export const TOOLS = {
                 friend_name: {
                     type: 'string',
                     description: 'Name of the friend to invite',
+                    question: 'Who should I invite?',
                 },
                 game: {
                     type: 'string',
@@ -70,7 +100,11 @@ export const TOOLS = {
                 },
             },
             required: ['friend_name'],
+            confirm: { question: 'Do you want me to invite {friend_name}?' },
         },
+        routes: [
+            { pattern: /^invite (?<friend_name>\S+)(?: to play (?<game>.+))?$/i, confidence: 0.9 },
+        ],
         handler: null,
     },
 
@@ -83,10 +117,15 @@ export const TOOLS = {
                 destination: {
                     type: 'string',
                     description: 'Where to navigate (address, place name, or "home")',
+                    question: 'Where to?',
                 },
             },
             required: ['destination'],
         },
+        routes: [
+            // "drive" and "directions" need a "to", so "drive safely" goes to the model
+            { pattern: /^(?:navigate (?:me )?(?:to )?|take me (?:to )?|(?:drive|directions) (?:me )?to )(?<destination>.+)$/i, confidence: 0.9 },
+        ],
         handler: null,
     },
 
@@ -103,6 +142,10 @@ export const TOOLS = {
                 },
             },
         },
+        routes: [
+            { pattern: /^(?:what time is it|what's the time|what is the time|time)$/i, parameters: { format: 'time' } },
+            { pattern: /^(?:what's the date|what is the date|what's today's date|what day is (?:it|today))$/i, parameters: { format: 'date' } },
+        ],
         handler: async (params) => {
             const now = new Date();
             const format = params.format || 'time';
@@ -138,6 +181,62 @@ export const TOOLS = {
         },
     },
 
+    // Named timers and alarms; they ring through the pipeline until stopped
+    timers: {
+        schema: {
+            name: 'timers',
+            description: 'Set, check, list, stop or cancel named timers and alarms',
+            properties: {
+                action: {
+                    type: 'string',
+                    enum: ['set', 'alarm', 'check', 'list', 'cancel', 'stop'],
+                    description: 'set a timer, set an alarm, check time left, list, cancel, or stop one that is ringing',
+                },
+                name: {
+                    type: 'string',
+                    description: 'Timer or alarm name (pizza, tea), or "all"',
+                },
+                duration: {
+                    type: 'string',
+                    description: 'How long a timer runs (12 minutes)',
+                },
+                time: {
+                    type: 'string',
+                    description: 'When an alarm goes off (6:30 am, tomorrow at 7)',
+                },
+                repeat: {
+                    type: 'string',
+                    enum: ['once', 'daily', 'weekdays', 'weekends'],
+                    description: 'When an alarm repeats',
+                },
+                kind: {
+                    type: 'string',
+                    enum: ['timer', 'alarm'],
+                    description: 'Timers or alarms only',
+                },
+            },
+            required: ['action'],
+        },
+        routes: [
+            { pattern: /^(?:(?:set|start) )?(?:a |an )?(?:(?<name>.+?) )?timer for (?<duration>.+)$/i, parameters: { action: 'set' } },
+            { pattern: /^(?:(?:set|start) )?(?:a |an )?(?<duration>\S+(?: and a half)? (?:second|minute|hour)s?)(?: (?<name>.+?))? timer$/i, parameters: { action: 'set' } },
+            { pattern: /^how (?:long|much time)(?: is| do i have)?(?: left)?(?: on (?:the |my )?(?:(?<name>.+?) )?timer)?$/i, parameters: { action: 'check' } },
+            { pattern: /^(?:what|which) (?<kind>timer|alarm)s (?:do i have|are (?:running|set))$/i, parameters: { action: 'list' } },
+            { pattern: /^(?:list |show )?(?:my |the )?(?:timers|alarms|timers and alarms)$/i, parameters: { action: 'list' } },
+            { pattern: /^(?:cancel|delete|clear|stop) all (?:(?:the|my) )?(?<kind>timer|alarm)s$/i, parameters: { action: 'cancel', name: 'all' } },
+            { pattern: /^(?:cancel|delete|clear|stop) all (?:(?:the|my) )?timers and alarms$/i, parameters: { action: 'cancel', name: 'all' } },
+            { pattern: /^(?:cancel|delete|remove) (?:the |my )?(?:(?<name>.+?) )?(?<kind>timer|alarm)$/i, parameters: { action: 'cancel' } },
+            { pattern: /^(?:stop|dismiss|silence|turn off) (?:the |my |that )?(?:(?<name>.+?) )?(?<kind>timer|alarm)$/i, parameters: { action: 'stop' } },
+            { pattern: /^(?:dismiss|silence)(?: it| that)?$/i, parameters: { action: 'stop' } },
+            { pattern: /^(?:set )?(?:an? )?(?:(?<name>.+?) )?alarm (?:for|at) (?<time>.+?) (?:every day|daily)$/i, parameters: { action: 'alarm', repeat: 'daily' } },
+            { pattern: /^(?:set )?(?:an? )?(?:(?<name>.+?) )?alarm (?:for|at) (?<time>.+?) (?:every weekday|on weekdays|weekdays)$/i, parameters: { action: 'alarm', repeat: 'weekdays' } },
+            { pattern: /^(?:set )?(?:an? )?(?:(?<name>.+?) )?alarm (?:for|at) (?<time>.+?) (?:every weekend|on weekends|weekends)$/i, parameters: { action: 'alarm', repeat: 'weekends' } },
+            { pattern: /^(?:set )?(?:an? )?(?:(?<name>.+?) )?alarm (?:for|at) (?<time>.+)$/i, parameters: { action: 'alarm' } },
+            { pattern: /^wake me up (?<time>(?:at|in|tomorrow)\b.+)$/i, parameters: { action: 'alarm' } },
+        ],
+        handler: handleTimers,
+    },
+
     // Set Reminder
     set_reminder: {
         schema: {
@@ -147,6 +246,11 @@ export const TOOLS = {
                 message: {
                     type: 'string',
                     description: 'What to remind about',
+                    question: 'What should I remind you about?',
+                },
+                time: {
+                    type: 'string',
+                    description: 'When, as said (in 10 minutes, at 6pm tomorrow)',
                 },
                 minutes: {
                     type: 'number',
@@ -155,9 +259,65 @@ export const TOOLS = {
             },
             required: ['message'],
         },
+        routes: [
+            { pattern: /^remind me (?<time>(?:in|after|at|on|tomorrow|tonight|this)\b.+?) to (?<message>.+)$/i },
+            { pattern: /^remind me to (?<message>.+?) (?<time>(?:in|after|at|on|tomorrow|tonight|this)\b.+)$/i, confidence: 0.9 },
+        ],
         handler: null,
     },
 
+    // List, snooze or cancel reminders set with set_reminder
+    manage_reminders: {
+        schema: {
+            name: 'manage_reminders',
+            description: 'List, snooze or cancel reminders',
+            properties: {
+                action: {
+                    type: 'string',
+                    enum: ['list', 'snooze', 'cancel'],
+                    description: 'What to do with the reminders',
+                },
+                target: {
+                    type: 'string',
+                    description: 'Which reminder, by what it is about, or "all"',
+                },
+                minutes: {
+                    type: 'number',
+                    description: 'How long to snooze for',
+                },
+            },
+            required: ['action'],
+            confirm: {
+                when: { action: ['cancel'], target: ['all'] },
+                question: 'Do you want me to cancel all your reminders?',
+            },
+        },
+        routes: [
+            { pattern: /^(?:what are |list |read )?(?:my |the )?reminders$/i, parameters: { action: 'list' } },
+            { pattern: /^(?:what reminders do i have|do i have any reminders)$/i, parameters: { action: 'list' } },
+            { pattern: /^snooze(?: (?:it|that|the reminder))?(?: for (?<minutes>.+?) minutes?)?$/i, parameters: { action: 'snooze' } },
+            { pattern: /^(?:cancel|delete|remove|clear) (?:all )?(?:of )?(?:my |the )?reminders$/i, parameters: { action: 'cancel', target: 'all' } },
+            { pattern: /^(?:cancel|delete|remove) (?:the |my |that )?reminder$/i, parameters: { action: 'cancel' } },
+            { pattern: /^(?:cancel|delete|remove) (?:the |my )?(?<target>.+?) reminder$/i, parameters: { action: 'cancel' } },
+            { pattern: /^(?:cancel|delete|remove) (?:the |my )?reminder (?:about|to|for) (?<target>.+)$/i, parameters: { action: 'cancel' } },
+        ],
+        handler: null,
+    },
+
+    // End the conversation ("never mind"); also closes a follow-up window
+    cancel: {
+        schema: {
+            name: 'cancel',
+            description: 'Cancel the current request or stop talking to the assistant (never mind, forget it)',
+            properties: {},
+            required: [],
+        },
+        routes: [
+            { pattern: /^(?:never ?mind|cancel|forget it|that's all)$/i },
+        ],
+        handler: async () => ({ response: 'Okay.', endConversation: true }),
+    },
+
     // Voice Channel Control (Discord)
     voice_channel: {
         schema: {
@@ -175,7 +335,14 @@ export const TOOLS = {
                 },
             },
             required: ['action'],
+            confirm: {
+                when: { action: ['leave'] },
+                question: 'Do you want me to leave the voice channel?',
+            },
         },
+        routes: [
+            { pattern: /^(?:leave|disconnect|leave the (?:voice )?channel)$/i, parameters: { action: 'leave' } },
+        ],
         handler: null,
     },
 };
@@ -183,20 +350,31 @@ export const TOOLS = {
 /**
  * Create a tools object configured for a specific adapter
  * @param {Object} handlers - Map of tool name to handler function
+ * @param {Object} [options]
+ * @param {import('./plugins.js').ToolPlugin[]} [options.plugins] - Loaded plugins to add (see tools/plugins.js)
+ * @param {Object} [options.host] - Passed to plugins' createHandler
+ * @param {(plugin: Object, error: Error) => void} [options.onPluginError]
  * @returns {Object} Configured tools
  */
-export function createTools(handlers) {
+export function createTools(handlers, options = {}) {
     const tools = {};
 
     for (const [name, tool] of Object.entries(TOOLS)) {
         tools[name] = {
             schema: tool.schema,
+            routes: tool.routes,
             handler: handlers[name] || tool.handler || (async () => ({
                 response: `Sorry, ${name} is not available right now.`,
             })),
         };
     }
 
+    const plugins = pluginTools(options.plugins || [], options.host, options.onPluginError);
+    for (const [name, tool] of Object.entries(plugins)) {
+        // Built-in tools win; the loader already reports the clash
+        if (!tools[name]) tools[name] = tool;
+    }
+
     return tools;
 }
 
@@ -4,3 +4,6 @@
 
 export { TOOLS, createTools } from './definitions.js';
 export { YouTubeTool } from './youtube.js';
+export { ReminderTool } from './reminders.js';
+export { handleTimers } from './timers.js';
+export { PluginLoader, PLUGIN_API_VERSION, pluginTools, registerPlugins } from './plugins.js';
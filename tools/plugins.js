@@ -0,0 +1,334 @@
+/**
+ * Tool Plugins
+ * Loads tools that live outside tools/definitions.js: modules in a plugins
+ * directory (default ./plugins) and npm packages named pliscord-plugin-*
+ * (found in package.json) or listed explicitly.
+ *
+ * A plugin module default-exports one plugin or an array of them:
+ *
+ *   export default {
+ *       name: 'roll_dice',
+ *       version: '1.2.0',
+ *       apiVersion: 1,
+ *       adapters: ['discord'],
+ *       permissions: ['network'],
+ *       schema: { description: 'Roll dice', properties: { sides: { type: 'integer' } } },
+ *       routes: [{ pattern: /^roll (?:a )?d(?<sides>\d+)$/i }],
+ *       handler: async (params, context) => ({ response: 'You rolled a 4.' }),
+ *   };
+ *
+ * Handlers that need the adapter (a guild, the client) export
+ * createHandler(host) instead, called once per pipeline. Each plugin loads on
+ * its own: a broken one is reported and skipped, the others still load.
+ */
+
+import { readdir, readFile, stat } from 'fs/promises';
+import { join, resolve, extname } from 'path';
+import { pathToFileURL } from 'url';
+
+/** Plugin API this version of the assistant implements */
+export const PLUGIN_API_VERSION = 1;
+
+export const ADAPTERS = ['discord', 'driving'];
+
+const DEFAULT_PLUGINS_DIR = './plugins';
+const PACKAGE_PATTERN = /^(@[^/]+\/)?pliscord-plugin-/;
+const NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+/**
+ * @typedef {Object} ToolPlugin
+ * @property {string} name - Tool name, as the model calls it
+ * @property {string} [version] - Plugin version, for the load report
+ * @property {number} apiVersion - PLUGIN_API_VERSION it was written for
+ * @property {Object} schema - Parameters, as in tools/definitions.js
+ * @property {Function} [handler] - Called with (parameters, context)
+ * @property {(host: Object) => Function} [createHandler] - Handler factory, given the adapter host
+ * @property {string[]} [adapters] - Where it runs (default: all)
+ * @property {string[]} [permissions] - What it needs granted (e.g. 'network', 'messages')
+ * @property {Object[]} [routes] - Router patterns (see core/function-caller/router.js)
+ * @property {string} [source] - Where it was loaded from (set by the loader)
+ */
+
+/**
+ * @typedef {Object} PluginReport
+ * @property {string} name - Tool name, or the source if it never got that far
+ * @property {string} source
+ * @property {string} [version]
+ * @property {'loaded'|'disabled'|'skipped'|'failed'} status
+ * @property {string} [reason]
+ */
+
+export class PluginLoader {
+    /**
+     * @param {Object} options
+     * @param {string} [options.adapter] - 'discord' | 'driving'; plugins for other adapters are skipped
+     * @param {string|null} [options.dir] - Plugins directory (default: ./plugins; null: none)
+     * @param {string[]} [options.packages] - npm packages to load besides the discovered ones
+     * @param {boolean} [options.discoverPackages] - Load pliscord-plugin-* dependencies (default: true)
+     * @param {string[]} [options.enabled] - Only these plugins (default: all)
+     * @param {string[]} [options.disabled] - Never these plugins
+     * @param {string[]} [options.permissions] - Permissions granted to plugins (default: none)
+     * @param {string[]} [options.reserved] - Tool names already taken (e.g. the built-in tools)
+     * @param {boolean} [options.debug]
+     */
+    constructor(options = {}) {
+        this.debug = options.debug || false;
+        this.adapter = options.adapter || null;
+        this.dir = options.dir === null ? null : resolve(options.dir || DEFAULT_PLUGINS_DIR);
+        this.packages = options.packages || [];
+        this.discoverPackages = options.discoverPackages !== false;
+        this.enabled = options.enabled?.length ? options.enabled : null;
+        this.disabled = options.disabled || [];
+        this.permissions = options.permissions || [];
+        this.reserved = options.reserved || [];
+
+        /** @type {ToolPlugin[]} */
+        this.plugins = [];
+        /** @type {PluginReport[]} */
+        this.report = [];
+    }
+
+    log(...args) {
+        if (this.debug) {
+            console.log('[Plugins]', ...args);
+        }
+    }
+
+    /**
+     * Find and load every plugin
+     * @returns {Promise<ToolPlugin[]>} The ones that loaded (see `report` for the rest)
+     */
+    async load() {
+        this.plugins = [];
+        this.report = [];
+
+        const sources = [...await this.findFiles(), ...await this.findPackages()];
+        for (const source of sources) {
+            await this.loadSource(source);
+        }
+
+        this.log(`Loaded ${this.plugins.length} of ${this.report.length} plugins`);
+        return this.plugins;
+    }
+
+    /**
+     * Modules in the plugins directory: *.js / *.mjs files and folders with an index.js
+     * @returns {Promise<Array<{source: string, specifier: string}>>}
+     */
+    async findFiles() {
+        if (!this.dir) return [];
+
+        let entries;
+        try {
+            entries = await readdir(this.dir, { withFileTypes: true });
+        } catch {
+            this.log('No plugins directory:', this.dir);
+            return [];
+        }
+
+        const files = [];
+        for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+            const path = join(this.dir, entry.name);
+            if (entry.isFile() && ['.js', '.mjs'].includes(extname(entry.name))) {
+                files.push({ source: path, specifier: pathToFileURL(path).href });
+            } else if (entry.isDirectory() && await exists(join(path, 'index.js'))) {
+                files.push({ source: path, specifier: pathToFileURL(join(path, 'index.js')).href });
+            }
+        }
+        return files;
+    }
+
+    /**
+     * Listed packages, plus pliscord-plugin-* dependencies of the app
+     * @returns {Promise<Array<{source: string, specifier: string}>>}
+     */
+    async findPackages() {
+        const names = new Set(this.packages);
+
+        if (this.discoverPackages) {
+            try {
+                const manifest = JSON.parse(await readFile(resolve('package.json'), 'utf8'));
+                const dependencies = { ...manifest.dependencies, ...manifest.optionalDependencies };
+                for (const name of Object.keys(dependencies)) {
+                    if (PACKAGE_PATTERN.test(name)) names.add(name);
+                }
+            } catch (error) {
+                this.log('Could not read package.json:', error.message);
+            }
+        }
+
+        return [...names].map((name) => ({ source: name, specifier: name }));
+    }
+
+    /**
+     * Import one module and check its plugins; never throws
+     */
+    async loadSource({ source, specifier }) {
+        let exported;
+        try {
+            const module = await import(specifier);
+            exported = module.default ?? module.plugin;
+        } catch (error) {
+            this.record({ name: source, source }, 'failed', `Could not import: ${error.message}`);
+            return;
+        }
+
+        const plugins = [].concat(exported ?? []);
+        if (plugins.length === 0) {
+            this.record({ name: source, source }, 'failed', 'No plugin exported');
+            return;
+        }
+
+        for (const plugin of plugins) {
+            const problem = this.check(plugin);
+            const entry = { ...plugin, source };
+
+            if (problem) {
+                this.record(entry, problem.status, problem.reason);
+            } else {
+                this.plugins.push(entry);
+                this.record(entry, 'loaded');
+            }
+        }
+    }
+
+    /**
+     * Why a plugin cannot be used here, or null
+     * @param {ToolPlugin} plugin
+     * @returns {{status: string, reason: string}|null}
+     */
+    check(plugin) {
+        const fail = (reason) => ({ status: 'failed', reason });
+        const skip = (reason) => ({ status: 'skipped', reason });
+
+        if (!plugin || typeof plugin !== 'object') return fail('Not a plugin object');
+        if (!NAME_PATTERN.test(plugin.name || '')) return fail(`Invalid tool name: ${plugin.name}`);
+
+        if (this.disabled.includes(plugin.name) || (this.enabled && !this.enabled.includes(plugin.name))) {
+            return { status: 'disabled', reason: 'Disabled in configuration' };
+        }
+
+        if (plugin.apiVersion !== PLUGIN_API_VERSION) {
+            return fail(`Written for plugin API ${plugin.apiVersion ?? '(none)'}, this version supports ${PLUGIN_API_VERSION}`);
+        }
+        if (!plugin.schema || typeof plugin.schema !== 'object') return fail('Missing schema');
+        if (typeof plugin.handler !== 'function' && typeof plugin.createHandler !== 'function') {
+            return fail('Missing handler or createHandler');
+        }
+        if (plugin.routes !== undefined && !Array.isArray(plugin.routes)) return fail('routes must be an array');
+        for (const [index, route] of (plugin.routes || []).entries()) {
+            const problem = routeProblem(route, plugin);
+            if (problem) return fail(`Route ${index + 1}: ${problem}`);
+        }
+
+        const adapters = plugin.adapters || ADAPTERS;
+        if (this.adapter && !adapters.includes(this.adapter)) {
+            return skip(`Not for ${this.adapter} (${adapters.join(', ')})`);
+        }
+
+        const missing = (plugin.permissions || []).filter((permission) => !this.permissions.includes(permission));
+        if (missing.length > 0) return skip(`Needs permission: ${missing.join(', ')}`);
+
+        if (this.reserved.includes(plugin.name) || this.plugins.some((loaded) => loaded.name === plugin.name)) {
+            return fail(`Tool ${plugin.name} is already defined`);
+        }
+        return null;
+    }
+
+    record(plugin, status, reason) {
+        this.report.push({
+            name: plugin.name,
+            source: plugin.source,
+            ...(plugin.version && { version: plugin.version }),
+            status,
+            ...(reason && { reason }),
+        });
+        this.log(`${plugin.name}: ${status}${reason ? ` (${reason})` : ''}`);
+    }
+}
+
+/**
+ * Loaded plugins as tools ({ schema, handler, routes } by name)
+ * A createHandler that throws leaves that tool out; the others are kept.
+ *
+ * @param {ToolPlugin[]} plugins
+ * @param {Object} [host] - Passed to createHandler (e.g. { adapter, guildId, client })
+ * @param {(plugin: ToolPlugin, error: Error) => void} [onError]
+ * @returns {Object<string, {schema: Object, handler: Function, routes?: Object[]}>}
+ */
+export function pluginTools(plugins, host = {}, onError = () => {}) {
+    const tools = {};
+
+    for (const plugin of plugins) {
+        try {
+            tools[plugin.name] = {
+                schema: { name: plugin.name, ...plugin.schema },
+                handler: plugin.createHandler ? plugin.createHandler(host) : plugin.handler,
+                routes: plugin.routes,
+            };
+        } catch (error) {
+            onError(plugin, error);
+        }
+    }
+
+    return tools;
+}
+
+/**
+ * Add loaded plugins to a running pipeline
+ * @param {import('../core/pipeline.js').VoicePipeline} pipeline
+ * @param {ToolPlugin[]} plugins
+ * @param {Object} [host] - See pluginTools()
+ * @param {(plugin: ToolPlugin, error: Error) => void} [onError]
+ * @returns {string[]} Names of the tools registered
+ */
+export function registerPlugins(pipeline, plugins, host = {}, onError) {
+    const tools = pluginTools(plugins, host, onError);
+    for (const [name, tool] of Object.entries(tools)) {
+        pipeline.registerTool(name, tool.schema, tool.handler, { routes: tool.routes });
+    }
+    return Object.keys(tools);
+}
+
+/**
+ * What is wrong with a plugin route, or null. Checked here so a bad pattern
+ * fails only its plugin instead of the router when the tool is registered.
+ */
+function routeProblem(route, plugin) {
+    if (!route || typeof route !== 'object') return 'not an object';
+    if (route.tool !== undefined && route.tool !== plugin.name) return `belongs to ${route.tool}, not ${plugin.name}`;
+    if (!(route.pattern instanceof RegExp) && typeof route.pattern !== 'string') return 'pattern must be a RegExp or string';
+
+    let pattern;
+    try {
+        pattern = route.pattern instanceof RegExp ? route.pattern : new RegExp(route.pattern);
+    } catch (error) {
+        return `invalid pattern (${error.message})`;
+    }
+
+    if (route.parameters !== undefined &&
+        (!route.parameters || typeof route.parameters !== 'object' || Array.isArray(route.parameters))) {
+        return 'parameters must be an object';
+    }
+    if (route.confidence !== undefined && !(route.confidence >= 0 && route.confidence <= 1)) {
+        return 'confidence must be between 0 and 1';
+    }
+
+    // Named groups and fixed parameters both end up as tool parameters
+    const properties = plugin.schema.properties || {};
+    const groups = [...pattern.source.matchAll(/\(\?<([A-Za-z_$][\w$]*)>/g)].map((match) => match[1]);
+    const unknown = [...groups, ...Object.keys(route.parameters || {})].filter((name) => !(name in properties));
+    if (unknown.length > 0) return `unknown parameters: ${unknown.join(', ')}`;
+    return null;
+}
+
+async function exists(path) {
+    try {
+        await stat(path);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+export default PluginLoader;
@@ -0,0 +1,210 @@
+/**
+ * Reminders Tool Implementation
+ * set_reminder and manage_reminders on top of the persistent scheduler
+ * (core/scheduler). Reminders belong to the speaker who asked, within the
+ * adapter's owner (a Discord guild, or the car).
+ */
+
+import { parseTime, describeTime } from '../core/scheduler/time.js';
+import { normalize, listAnd, listOr } from '../core/function-caller/speech-text.js';
+
+const MINUTE = 60 * 1000;
+
+// Said out loud in lists; the rest is summed up
+const MAX_LISTED = 5;
+
+export class ReminderTool {
+    /**
+     * @param {Object} options
+     * @param {import('../core/scheduler/reminders.js').ReminderScheduler} options.scheduler
+     * @param {number} [options.snoozeMinutes] - Default snooze (default: 10)
+     * @param {boolean} [options.debug]
+     */
+    constructor(options = {}) {
+        if (!options.scheduler) {
+            throw new Error('ReminderTool needs a scheduler');
+        }
+
+        this.debug = options.debug || false;
+        this.scheduler = options.scheduler;
+        this.snoozeMinutes = options.snoozeMinutes || 10;
+    }
+
+    log(...args) {
+        if (this.debug) {
+            console.log('[Reminders]', ...args);
+        }
+    }
+
+    /**
+     * set_reminder handler
+     * @param {Object} params - { message, time?, minutes? }
+     * @param {Object} [context] - { owner, speaker }
+     */
+    async set(params, context = {}) {
+        const now = this.scheduler.clock.now();
+        const message = cleanMessage(params.message);
+
+        let at = null;
+        if (params.time) {
+            at = parseTime(params.time, now);
+            if (at === null) {
+                return ask('time', 'Sorry, when should I remind you? Say something like in 10 minutes, or at 6 pm.');
+            }
+        } else if (params.minutes !== undefined) {
+            at = now + params.minutes * MINUTE;
+        } else {
+            return ask('time', 'When should I remind you?');
+        }
+
+        if (at <= now) {
+            return ask('time', 'That time has already passed. When should I remind you?');
+        }
+
+        try {
+            const reminder = await this.scheduler.add({
+                message,
+                at,
+                owner: context.owner,
+                speaker: context.speaker,
+            });
+            return {
+                response: `I'll remind you ${phrase(message)} ${describeTime(at, now)}.`,
+                reminder,
+            };
+        } catch (error) {
+            this.log('Could not add reminder:', error.message);
+            return { response: `Sorry, I couldn't set that reminder. ${error.message}.`, error: error.message };
+        }
+    }
+
+    /**
+     * manage_reminders handler
+     * @param {Object} params - { action: 'list'|'snooze'|'cancel', target?, minutes? }
+     * @param {Object} [context] - { owner, speaker }
+     */
+    async manage(params, context = {}) {
+        switch (params.action) {
+            case 'list':
+                return this.list(context);
+            case 'snooze':
+                return this.snooze(params, context);
+            case 'cancel':
+                return this.cancel(params, context);
+            default:
+                return { response: `Unknown action: ${params.action}` };
+        }
+    }
+
+    list(context) {
+        const now = this.scheduler.clock.now();
+        const reminders = this.scheduler.list(filterFor(context));
+        if (reminders.length === 0) {
+            return { response: "You don't have any reminders.", reminders };
+        }
+
+        const items = reminders.slice(0, MAX_LISTED).map((reminder) => `${reminder.message} ${describeTime(reminder.at, now)}`);
+        const more = reminders.length - items.length;
+        if (more > 0) items.push(`${more} more`);
+
+        const count = reminders.length === 1 ? 'one reminder' : `${reminders.length} reminders`;
+        return { response: `You have ${count}: ${listAnd(items)}.`, reminders };
+    }
+
+    async snooze(params, context) {
+        const filter = filterFor(context);
+        const reminder = params.target
+            ? findByTarget([...this.scheduler.list(filter), ...this.scheduler.select(filter, 'fired')], params.target)
+            : this.scheduler.lastFired(filter);
+        if (!reminder) {
+            return { response: "There's no reminder to snooze." };
+        }
+
+        const minutes = params.minutes > 0 ? params.minutes : this.snoozeMinutes;
+        const snoozed = await this.scheduler.snooze(reminder.id, minutes * MINUTE);
+        return {
+            response: `Okay, I'll remind you again ${describeTime(snoozed.at, this.scheduler.clock.now())}.`,
+            reminder: snoozed,
+        };
+    }
+
+    async cancel(params, context) {
+        const filter = filterFor(context);
+        const pending = this.scheduler.list(filter);
+
+        if (isAll(params.target)) {
+            const count = await this.scheduler.cancelAll(filter);
+            return { response: count === 0 ? "You don't have any reminders." : `Cancelled ${count === 1 ? 'your reminder' : `all ${count} reminders`}.` };
+        }
+
+        let reminder;
+        if (params.target) {
+            reminder = findByTarget(pending, params.target);
+            if (!reminder) return { response: `I couldn't find a reminder about ${params.target}.` };
+        } else if (pending.length === 1) {
+            [reminder] = pending;
+        } else if (pending.length === 0) {
+            return { response: "You don't have any reminders." };
+        } else {
+            return ask('target', `Which reminder: ${listOr(pending.slice(0, MAX_LISTED).map((item) => item.message))}?`);
+        }
+
+        await this.scheduler.cancel(reminder.id);
+        return { response: `Okay, I cancelled the reminder ${phrase(reminder.message)}.`, reminder };
+    }
+
+    /**
+     * What to say when a reminder fires
+     * @param {import('../core/scheduler/reminders.js').Reminder} reminder
+     * @returns {string}
+     */
+    static announcement(reminder) {
+        const name = reminder.speaker?.name;
+        if (reminder.late) {
+            return `${name ? `${name}, I` : 'I'} missed a reminder while I was away: ${reminder.message}.`;
+        }
+        return `${name ? `${name}, reminder` : 'Reminder'}: ${reminder.message}.`;
+    }
+}
+
+/**
+ * Reminders are per speaker within the adapter's owner
+ */
+function filterFor(context) {
+    return {
+        owner: context.owner || 'default',
+        ...(context.speaker?.id && { speakerId: context.speaker.id }),
+    };
+}
+
+function ask(field, question) {
+    return { response: question, clarify: { field, question } };
+}
+
+/**
+ * Reminder by ID or by what it is about ("stretch" finds "stretch your legs")
+ */
+function findByTarget(reminders, target) {
+    const wanted = normalize(target).replace(/^(?:the|my)\s+|\s+reminder$/g, '');
+    return reminders.find((reminder) => reminder.id === wanted) ||
+        reminders.find((reminder) => normalize(reminder.message).includes(wanted)) ||
+        reminders.find((reminder) => wanted.includes(normalize(reminder.message))) ||
+        null;
+}
+
+function isAll(target) {
+    return /^(?:all|everything|all of them|all reminders|all my reminders)$/.test(normalize(target || ''));
+}
+
+/**
+ * "stretch" -> "to stretch", "about the meeting" stays as it is
+ */
+function phrase(message) {
+    return /^(?:about|that|of)\b/i.test(message) ? message : `to ${message}`;
+}
+
+function cleanMessage(message) {
+    return String(message).trim().replace(/^to\s+/i, '').replace(/[.!]+$/, '');
+}
+
+export default ReminderTool;
@@ -0,0 +1,239 @@
+/**
+ * Timers Tool Implementation
+ * Handler for the `timers` tool: named countdowns and alarms, through the
+ * pipeline's TimerManager (core/scheduler/timers.js), which handlers get as
+ * `context.timers`. Timers are shared by everyone in the owner (a guild, or
+ * the car); ringing ones are announced by the pipeline until dismissed.
+ */
+
+import { parseTime, parseDuration, describeTime, describeDuration } from '../core/scheduler/time.js';
+import { normalize, capitalize, listAnd, listOr } from '../core/function-caller/speech-text.js';
+
+const REPEAT_WORDS = {
+    daily: 'every day',
+    weekdays: 'every weekday',
+    weekends: 'every weekend',
+};
+
+/**
+ * timers handler
+ * @param {Object} params - { action, name?, duration?, time?, repeat?, kind? }
+ * @param {Object} [context] - Pipeline context with `timers`
+ */
+export async function handleTimers(params, context = {}) {
+    const { timers } = context;
+    if (!timers) {
+        return { response: 'Timers are not available right now.' };
+    }
+
+    try {
+        switch (params.action) {
+            case 'set':
+                return setTimer(timers, params);
+            case 'alarm':
+                return setAlarm(timers, params);
+            case 'check':
+                return checkTimers(timers, params);
+            case 'list':
+                return listTimers(timers, params);
+            case 'cancel':
+                return cancelTimers(timers, params);
+            case 'stop':
+                return stopTimers(timers, params);
+            default:
+                return { response: `Unknown action: ${params.action}` };
+        }
+    } catch (error) {
+        return { response: `Sorry, I couldn't do that. ${error.message}.`, error: error.message };
+    }
+}
+
+function setTimer(timers, params) {
+    if (!params.duration) {
+        return ask('duration', 'For how long?');
+    }
+
+    const durationMs = spokenDuration(params.duration);
+    if (!durationMs) {
+        return ask('duration', 'Sorry, for how long? Say something like 10 minutes.');
+    }
+
+    const existing = params.name && findByName(timers.list({ kind: 'timer' }), params.name);
+    if (existing) {
+        return { response: `You already have ${article(existing.name, 'timer')}, it ${status(existing)}.`, timer: existing };
+    }
+
+    const timer = timers.startTimer({ durationMs, name: params.name });
+    return { response: `${timer.name ? capitalize(`${timer.name} timer`) : 'Timer'} set for ${describeDuration(durationMs)}.`, timer };
+}
+
+function setAlarm(timers, params) {
+    if (!params.time) {
+        return ask('time', 'What time should the alarm go off?');
+    }
+
+    const now = timers.now();
+    const at = parseTime(params.time, now);
+    if (at === null) {
+        return ask('time', 'Sorry, what time? Say something like 6:30 am.');
+    }
+
+    const repeat = params.repeat && params.repeat !== 'once' ? params.repeat : null;
+    const alarm = timers.setAlarm({ at, name: params.name, repeat });
+    return { response: `Okay, your ${alarm.name ? `${alarm.name} ` : ''}alarm will go off ${when(alarm, now)}.`, timer: alarm };
+}
+
+function checkTimers(timers, params) {
+    const kind = params.kind || 'timer';
+    const all = timers.list({ kind });
+
+    if (params.name && !isAll(params.name)) {
+        const timer = findByName(all, params.name);
+        if (!timer) return { response: `You don't have ${article(params.name, kind)}.` };
+        return { response: `${capitalize(label(timer))} ${status(timer)}.`, timers: [timer] };
+    }
+
+    if (all.length === 0) {
+        return { response: `You don't have any ${kind}s.`, timers: all };
+    }
+    if (all.length === 1) {
+        return { response: `${capitalize(label(all[0]))} ${status(all[0])}.`, timers: all };
+    }
+    return { response: `${capitalize(listAnd(all.map((timer) => `${label(timer)} ${status(timer)}`)))}.`, timers: all };
+}
+
+function listTimers(timers, params) {
+    const all = timers.list(params.kind ? { kind: params.kind } : {});
+    if (all.length === 0) {
+        return { response: `You don't have any ${params.kind ? `${params.kind}s` : 'timers or alarms'}.`, timers: all };
+    }
+
+    const now = timers.now();
+    const items = all.map((timer) => timer.kind === 'alarm'
+        ? `${label(timer, false)} ${timer.status === 'ringing' ? 'ringing' : when(timer, now)}`
+        : `${label(timer, false)} with ${timer.status === 'ringing' ? 'no time' : describeDuration(timer.remainingMs)} left`);
+    return { response: `You have ${count(all)}: ${listAnd(items)}.`, timers: all };
+}
+
+function cancelTimers(timers, params) {
+    const filter = params.kind ? { kind: params.kind } : {};
+    const noun = params.kind ? `${params.kind}s` : 'timers or alarms';
+
+    if (isAll(params.name)) {
+        const cancelled = timers.cancelAll(filter);
+        if (cancelled === 0) return { response: `You don't have any ${noun}.` };
+        return { response: cancelled === 1 ? 'Okay, cancelled it.' : `Okay, cancelled all ${cancelled}.` };
+    }
+
+    const all = timers.list(filter);
+    let timer;
+    if (params.name) {
+        timer = findByName(all, params.name);
+        if (!timer) return { response: `You don't have ${article(params.name, params.kind || 'timer')}.` };
+    } else if (all.length === 1) {
+        [timer] = all;
+    } else if (all.length === 0) {
+        return { response: `You don't have any ${noun}.` };
+    } else {
+        return ask('name', `Which one: ${listOr(all.map((item) => label(item, false)))}?`);
+    }
+
+    timers.cancel(timer.id);
+    return { response: `Okay, cancelled ${label(timer)}.`, timer };
+}
+
+/**
+ * "Stop the timer": silence what is ringing; if nothing is, cancel the
+ * timer (alarms are left alone, so a repeating one is not lost)
+ */
+function stopTimers(timers, params) {
+    const filter = params.kind ? { kind: params.kind } : {};
+    let ringing = timers.list({ ...filter, status: 'ringing' });
+    if (params.name && !isAll(params.name)) {
+        const timer = findByName(ringing, params.name);
+        ringing = timer ? [timer] : [];
+    }
+
+    if (ringing.length === 0) {
+        if (params.kind === 'alarm') return { response: "The alarm isn't ringing." };
+        return cancelTimers(timers, { ...params, kind: 'timer' });
+    }
+
+    for (const timer of ringing) {
+        timers.dismiss(timer.id);
+    }
+    // A repeating alarm stays, set for its next day
+    const [first] = ringing;
+    const again = ringing.length === 1 && first.repeat ? timers.list().find((timer) => timer.id === first.id) : null;
+    const next = again ? ` It will go off again ${describeTime(again.at, timers.now())}.` : '';
+    return { response: `Okay, ${ringing.length === 1 ? `${label(ringing[0])} is off` : 'they are off'}.${next}`, timers: ringing };
+}
+
+/**
+ * "the pizza timer", "the timer for 10 minutes", "the 6:30 AM alarm"
+ */
+function label(timer, definite = true) {
+    const the = definite ? 'the ' : '';
+    if (timer.kind === 'alarm') {
+        return timer.name ? `${the}${timer.name} alarm` : `${the}${clockOf(timer)} alarm`;
+    }
+    return timer.name ? `${the}${timer.name} timer` : `${the}timer for ${describeDuration(timer.durationMs)}`;
+}
+
+function status(timer) {
+    if (timer.status === 'ringing') return timer.kind === 'alarm' ? 'is ringing' : 'is done';
+    return timer.kind === 'alarm'
+        ? `goes off ${when(timer, timer.at - timer.remainingMs)}`
+        : `has ${describeDuration(timer.remainingMs)} left`;
+}
+
+function when(timer, now) {
+    return timer.repeat ? `at ${clockOf(timer)} ${REPEAT_WORDS[timer.repeat]}` : describeTime(timer.at, now);
+}
+
+function clockOf(timer) {
+    return new Date(timer.at).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+}
+
+function count(timers) {
+    const counts = ['timer', 'alarm']
+        .map((kind) => [kind, timers.filter((timer) => timer.kind === kind).length])
+        .filter(([, n]) => n > 0)
+        .map(([kind, n]) => `${n === 1 ? 'one' : n} ${kind}${n === 1 ? '' : 's'}`);
+    return counts.join(' and ');
+}
+
+/**
+ * Timer by name, or by how it is described ("the 10 minute one")
+ */
+function findByName(timers, name) {
+    const wanted = normalize(name).replace(/^(?:the|my)\s+/, '').replace(/\s+(?:timer|alarm|one)$/, '');
+    return timers.find((timer) => timer.name === wanted) ||
+        timers.find((timer) => timer.name && (timer.name.includes(wanted) || wanted.includes(timer.name))) ||
+        timers.find((timer) => normalize(label(timer, false)).includes(wanted)) ||
+        null;
+}
+
+/**
+ * "12 minutes", "an hour and a half"; a bare number means minutes
+ */
+function spokenDuration(text) {
+    const cleaned = normalize(text).replace(/^for\s+/, '');
+    if (/^\d+(?:\.\d+)?$/.test(cleaned)) return Number(cleaned) * 60 * 1000;
+    return parseDuration(cleaned);
+}
+
+function isAll(name) {
+    return /^(?:all|everything|all of them|both)$/.test(normalize(name || ''));
+}
+
+function ask(field, question) {
+    return { response: question, clarify: { field, question } };
+}
+
+function article(name, kind) {
+    const cleaned = normalize(name).replace(/\s+(?:timer|alarm)$/, '');
+    return `${/^[aeiou]/.test(cleaned) ? 'an' : 'a'} ${cleaned} ${kind}`;
+}
+
+export default handleTimers;
@@ -26,15 +26,19 @@ export class YouTubeTool {
     /**
      * Search YouTube and get audio stream
      * @param {string} query - Search query
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Drops the result if the caller gave up
      * @returns {Promise<Object>} - Track info and stream
      */
-    async search(query) {
+    async search(query, options = {}) {
         this.log('Searching:', query);
 
         const results = await play.search(query, {
             source: { youtube: 'video' },
             limit: 1,
         });
+        // play-dl cannot cancel a search; at least do not queue a track nobody waits for
+        options.signal?.throwIfAborted();
 
         if (results.length === 0) {
             throw new Error('No results found');
@@ -68,12 +72,14 @@ export class YouTubeTool {
 
     /**
      * Play handler for function calling
+     * @param {Object} params - { query }
+     * @param {Object} [context] - Handler context; its `signal` cancels the search
      */
-    async play(params) {
+    async play(params, context = {}) {
         const { query } = params;
 
         try {
-            const track = await this.search(query);
+            const track = await this.search(query, { signal: context.signal });
             this.currentTrack = track;
             this.queue.push(track);
 
@@ -82,6 +88,8 @@ export class YouTubeTool {
                 track,
             };
         } catch (error) {
+            if (context.signal?.aborted) throw error;
+
             this.log('Play error:', error);
             return {
                 response: `Sorry, I couldn't find "${query}" on YouTube`,